@@ -1,22 +1,44 @@
 const express = require('express');
 const app = express();
-const wppconnect = require('@wppconnect-team/wppconnect');
-const WEBHOOK_URL = 'https://crmloop.com.br/api/whatsappwebhook'; // substitua pela sua!
 const axios = require('axios');
-const ffmpeg = require('fluent-ffmpeg');
-const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
-ffmpeg.setFfmpegPath(ffmpegPath);
 const path = require('path');
 const fs = require('fs');
 const { randomUUID } = require('crypto');
-const puppeteer = require('puppeteer');
-
-const qrcodesTemp = {};
-const instancias = {};
-const sessionStatus = {}; // Para acompanhar o status de criação das sessões
+const sessionStore = require('./lib/sessionStore');
+const {
+  sessionManager,
+  STATES,
+  serializePairingCode,
+} = require('./lib/sessionManager');
+const { dispatchWebhook } = require('./lib/webhooks');
+const { startWebhookWorker } = require('./lib/webhookQueue');
+const webhookRoutes = require('./routes/webhooks');
+const deadLetterRoutes = require('./routes/deadLetters');
+const eventRoutes = require('./routes/events');
+const apiKeyRoutes = require('./routes/apiKeys');
+const sessionRoutes = require('./routes/sessions');
+const metricsRoutes = require('./routes/metrics');
+const docsRoutes = require('./routes/docs');
+const auth = require('./lib/auth');
+const { validateRequest } = require('./lib/validation');
+const { buildDownloadUrl } = require('./lib/mediaLinks');
+const eventStream = require('./lib/eventStream');
+const metrics = require('./lib/metrics');
+const { recordSend } = metrics;
+const { ApiError, toApiError, sendError, fail } = require('./lib/errors');
+const { idempotency } = require('./lib/idempotency');
+const { isUploadRoute, parseMultipartUpload } = require('./lib/uploads');
+const messageStore = require('./lib/messageStore');
+const { subscribeChatEvents } = require('./lib/chatEvents');
+const mediaArchive = require('./lib/mediaArchive');
+const { transcodeVoiceNote, PTT_MAX_BYTES } = require('./lib/mediaConvert');
+const { sendMedia, localMediaPath } = require('./lib/mediaSend');
+const messageActions = require('./lib/messageActions');
+const groups = require('./lib/groups');
+const tagSync = require('./lib/tagSync');
 
 // ---- avatar cache (evita bater no WA toda hora)
-const avatarCache = new Map(); // key: jid, value: { url, ts }
+const avatarCache = new Map(); // key: sessão → Map(jid → { url, ts })
 const AVATAR_TTL_MS = 10 * 60 * 1000; // 10 min
 function isHttpUrl(s) {
   return typeof s === 'string' && /^https?:\/\//i.test(s);
@@ -30,10 +52,12 @@ function filenameFromUrl(u, fallback = 'imagem.jpg') {
     return fallback;
   }
 }
-async function safeGetAvatar(client, jid) {
+async function safeGetAvatar(sessionName, client, jid) {
   if (!jid) return null;
 
-  const hit = avatarCache.get(jid);
+  if (!avatarCache.has(sessionName)) avatarCache.set(sessionName, new Map());
+  const cache = avatarCache.get(sessionName);
+  const hit = cache.get(jid);
   if (hit && Date.now() - hit.ts < AVATAR_TTL_MS) return hit.url;
 
   try {
@@ -41,48 +65,41 @@ async function safeGetAvatar(client, jid) {
     const url = await client.getProfilePicFromServer(jid);
     const valid = typeof url === 'string' && url.startsWith('http');
     const val = valid ? url : null;
-    avatarCache.set(jid, { url: val, ts: Date.now() });
+    cache.set(jid, { url: val, ts: Date.now() });
     return val;
   } catch {
-    avatarCache.set(jid, { url: null, ts: Date.now() });
+    cache.set(jid, { url: null, ts: Date.now() });
     return null;
   }
 }
 
-// Função para limpar sessões antigas
-function cleanupSession(sessionName) {
-  try {
-    const sessionDir = path.join(__dirname, 'tokens', sessionName);
-    if (fs.existsSync(sessionDir)) {
-      fs.rmSync(sessionDir, { recursive: true, force: true });
-      console.log(`Sessão ${sessionName} limpa`);
-    }
-  } catch (error) {
-    console.error(`Erro ao limpar sessão ${sessionName}:`, error);
-  }
-}
-
 // Configuração do CORS - deve vir antes de outros middlewares
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header(
-    'Access-Control-Allow-Headers',
-    'Origin, X-Requested-With, Content-Type, Accept, Authorization'
-  );
+app.use(auth.cors);
 
-  // Responde imediatamente para requisições OPTIONS (preflight)
-  if (req.method === 'OPTIONS') {
-    res.sendStatus(200);
-  } else {
-    next();
-  }
-});
+// Documentação pública: /openapi.json e /docs (Swagger UI)
+app.use(docsRoutes);
+
+// API key obrigatória em todas as rotas; chaves de usuário só acessam as
+// próprias sessões (ver lib/auth.js)
+app.use(auth.authenticate);
+app.param('session', auth.authorizeSession);
 
 // Aumenta limite do body-parser para 50MB (necessário para áudios/vídeos em base64)
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// Body, query e parâmetros validados contra o documento OpenAPI (400 com os
+// campos inválidos). As rotas de upload validam na própria rota, depois de
+// ler o multipart (mediaUpload)
+app.use((req, res, next) =>
+  isUploadRoute(req) ? next() : validateRequest(req, res, next)
+);
+
+// Rotas de envio de mídia: o multipart/form-data (lib/uploads.js) é lido na
+// rota, só depois da autorização da sessão (app.param), e então vêm a
+// validação e a idempotência
+const mediaUpload = [parseMultipartUpload, validateRequest, idempotency];
+
 // Função para processar mensagens de documento
 function processDocumentMessage(message) {
   return {
@@ -209,605 +226,541 @@ function processVideoMessage(message) {
     ack: message.ack,
   };
 }
-async function syncQrCodeState(sessionName, client) {
-  const state = await client.getConnectionState();
-  // Atualiza o estado atual dentro do cache, se já existir
-  if (qrcodesTemp[sessionName]) {
-    qrcodesTemp[sessionName].connectionState = state;
+// Processa uma mensagem recebida e envia ao webhook
+async function handleIncomingMessage(sessionName, client, message) {
+  // Ignora mensagens do tipo ciphertext sem corpo (são apenas notificações)
+  if (message.type === 'ciphertext' && !message.body) {
+    console.log(
+      `🔐 Mensagem ciphertext ignorada (sem corpo) na sessão ${sessionName}`
+    );
+    return;
   }
-}
 
-// Função para criar sessão em background
-async function createSessionInBackground(sessionName) {
-  console.log('to entrando aqui');
-  try {
-    // ✅ Atualizar status apenas se ainda não existir (pode ter sido criado antes)
-    if (!sessionStatus[sessionName]) {
-      sessionStatus[sessionName] = {
-        status: 'creating',
-        message: 'Iniciando criação da sessão...',
-      };
-    } else {
-      // Atualizar mensagem se já existir
-      sessionStatus[sessionName].status = 'creating';
-      sessionStatus[sessionName].message = 'Iniciando criação da sessão...';
-    }
+  let processedMessage;
 
-    cleanupSession(sessionName);
-
-    let qrCodeData = null;
-    let clientInstance = null;
-    let qrCodeDataTemp = null;
-    const QRCODE_LIFETIME = 40 * 1000;
-    let client;
-    const catchQR = (base64Qr, asciiQR, attempts, urlCode) => {
-      const expiresAt = Date.now() + QRCODE_LIFETIME;
-      const qr = {
-        base64Image: base64Qr,
-        urlCode: urlCode,
-        asciiQR: asciiQR,
-        attempts: attempts,
-        expiresAt,
-      };
-      qrcodesTemp[sessionName] = qr;
-      if (client) client.qrCodeData = qr;
-      sessionStatus[sessionName] = {
-        status: 'qr_code',
-        message: 'QR Code gerado com sucesso',
-      };
-      console.log('QR Code capturado e armazenado');
-    };
+  // Processa diferentes tipos de mensagem
+  if (message.type === 'document') {
+    processedMessage = processDocumentMessage(message);
+    // Adiciona URL de download local
+    processedMessage.document.localDownloadUrl = buildDownloadUrl(
+      sessionName,
+      message.id
+    );
+    console.log(`📄 Documento recebido na sessão ${sessionName}:`, {
+      arquivo: processedMessage.document.filename,
+      tamanho: processedMessage.document.size,
+      remetente: processedMessage.sender.name,
+    });
+  } else if (message.type === 'image') {
+    processedMessage = processImageMessage(message);
+    // Adiciona URL de download local
+    processedMessage.image.localDownloadUrl = buildDownloadUrl(
+      sessionName,
+      message.id
+    );
+    console.log(`🖼️ Imagem recebida na sessão ${sessionName}:`, {
+      remetente: processedMessage.sender.name,
+      caption: message.caption || '(sem legenda)',
+    });
+  } else if (message.type === 'audio') {
+    processedMessage = processAudioMessage(message);
+    // Adiciona URL de download local
+    processedMessage.audio.localDownloadUrl = buildDownloadUrl(
+      sessionName,
+      message.id
+    );
+    console.log(`🔊 Áudio recebido na sessão ${sessionName}:`, {
+      remetente: processedMessage.sender.name,
+    });
+  } else if (message.type === 'video') {
+    processedMessage = processVideoMessage(message);
+    // Adiciona URL de download local
+    processedMessage.video.localDownloadUrl = buildDownloadUrl(
+      sessionName,
+      message.id
+    );
+    console.log(`🎥 Vídeo recebido na sessão ${sessionName}:`, {
+      remetente: processedMessage.sender.name,
+    });
+  } else {
+    processedMessage = processRegularMessage(message);
+    console.log(`💬 Mensagem recebida na sessão ${sessionName}:`, {
+      tipo: processedMessage.type,
+      corpo: processedMessage.body,
+      remetente: processedMessage.sender.name,
+    });
+  }
 
-    const executablePath = await puppeteer.executablePath();
+  // --- ANEXAR FOTO DE PERFIL DO REMETENTE (e opcionalmente do grupo) ---
+  const jidForAvatar =
+    (message.sender && message.sender.id) || message.author || message.from;
 
-    client = await wppconnect.create({
-      session: sessionName,
-      catchQR,
-      statusFind: (statusSession, session) => {
-        sessionStatus[sessionName] = {
-          status: 'QR_CODE',
-          message: `Status: ${statusSession}`,
-        };
-      },
+  // thumb que às vezes já vem no payload:
+  const thumb =
+    message.sender?.profilePicThumbObj?.eurl ||
+    message.sender?.profilePicUrl ||
+    null;
 
-      headless: true,
-      devtools: false,
-      debug: true,
-      logQR: true,
-
-      useChrome: true,
-      browserArgs: [], // deixa vazio pra não conflitar
-
-      puppeteerOptions: {
-        executablePath: '/usr/bin/google-chrome',
-        headless: 'new',
-        dumpio: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--disable-extensions',
-          '--disable-background-networking',
-          '--disable-default-apps',
-          '--disable-sync',
-          '--disable-translate',
-          '--disable-features=TranslateUI',
-          '--window-size=1280,800',
-          `--user-data-dir=${path.join(__dirname, 'tokens', sessionName)}`,
-        ],
-      },
-      autoClose: false, // nunca fecha sozinho
-      tokenStore: 'file',
-      folderNameToken: './tokens',
-    });
+  let avatarUrl = thumb;
+  if (!avatarUrl && jidForAvatar) {
+    avatarUrl = await safeGetAvatar(sessionName, client, jidForAvatar);
+  }
 
-    clientInstance = client;
-    client.qrCodeData = qrCodeData;
+  // garante que processedMessage.sender existe
+  processedMessage.sender = processedMessage.sender || {
+    id: message.sender?.id,
+    name: message.sender?.name,
+    pushname: message.sender?.pushname,
+  };
 
-    if (qrCodeDataTemp) client.qrCodeData = qrCodeDataTemp;
+  if (avatarUrl) {
+    processedMessage.sender.profilePicUrl = avatarUrl;
+    console.log('[avatar] remetente', jidForAvatar, '→', avatarUrl);
+  } else {
+    console.log('[avatar] remetente', jidForAvatar, '→ (sem foto)');
+  }
 
-    client.onMessage(async (message) => {
-      // Ignora mensagens do tipo ciphertext sem corpo (são apenas notificações)
-      if (message.type === 'ciphertext' && !message.body) {
-        console.log(
-          `🔐 Mensagem ciphertext ignorada (sem corpo) na sessão ${sessionName}`
-        );
-        return;
-      }
+  // (opcional) se for grupo, pega a foto do grupo também
+  if (String(message.from || '').endsWith('@g.us')) {
+    const groupPic = await safeGetAvatar(sessionName, client, message.from);
+    if (groupPic) {
+      processedMessage.chat = {
+        ...(processedMessage.chat || {}),
+        profilePicUrl: groupPic,
+      };
+      console.log('[avatar] grupo', message.from, '→', groupPic);
+    }
+  }
 
-      let processedMessage;
+  const chatId = message.chatId || (message.fromMe ? message.to : message.from);
+  processedMessage.chatId = chatId;
 
-      if (message.type === 'document') {
-        processedMessage = processDocumentMessage(message);
-        processedMessage.document.localDownloadUrl = `https://wppconnect-production-c06e.up.railway.app/${sessionName}/downloadmedia/${message.id}`;
-        console.log(`📄 Documento recebido na sessão ${sessionName}:`, {
-          arquivo: processedMessage.document.filename,
-          tamanho: processedMessage.document.size,
-          remetente: processedMessage.sender.name,
-        });
-      } else if (message.type === 'image') {
-        processedMessage = processImageMessage(message);
-        processedMessage.image.localDownloadUrl = `https://wppconnect-production-c06e.up.railway.app/${sessionName}/downloadmedia/${message.id}`;
-
-        // 🔍 DEBUG: Log completo do caption
-        console.log(`🖼️ Imagem recebida na sessão ${sessionName}:`, {
-          remetente: processedMessage.sender.name,
-          caption: message.caption || '(sem legenda)',
-          captionRaw: message.caption,
-          hasCaption: !!message.caption,
-          messageBody: message.body,
-        });
-      } else if (message.type === 'audio') {
-        processedMessage = processAudioMessage(message);
-        processedMessage.audio.localDownloadUrl = `https://wppconnect-production-c06e.up.railway.app/${sessionName}/downloadmedia/${message.id}`;
-        console.log(`🔊 Áudio recebido na sessão ${sessionName}:`, {
-          remetente: processedMessage.sender.name,
-        });
-      } else if (message.type === 'video') {
-        processedMessage = processVideoMessage(message);
-        processedMessage.video.localDownloadUrl = `https://wppconnect-production-c06e.up.railway.app/${sessionName}/downloadmedia/${message.id}`;
-        console.log(`🎥 Vídeo recebido na sessão ${sessionName}:`, {
-          remetente: processedMessage.sender.name,
-        });
-      } else {
-        processedMessage = processRegularMessage(message);
-        console.log(`💬 Mensagem recebida na sessão ${sessionName}:`, {
-          tipo: processedMessage.type,
-          corpo: processedMessage.body,
-          remetente: processedMessage.sender.name,
-        });
-      }
+  // Envia para os webhooks da sessão
+  dispatchWebhook(sessionName, 'received', {
+    event: 'received',
+    session: sessionName,
+    message: processedMessage,
+  });
+}
 
-      // --- ANEXAR FOTO DE PERFIL DO REMETENTE (e opcionalmente do grupo) ---
-      const jidForAvatar =
-        (message.sender && message.sender.id) || message.author || message.from;
+// ---- nome dos grupos para o histórico (mesmo esquema do avatarCache)
+const groupNameCache = new Map(); // key: sessão → Map(jid → { name, ts })
+async function safeGetGroupName(sessionName, client, jid) {
+  if (!groupNameCache.has(sessionName))
+    groupNameCache.set(sessionName, new Map());
+  const cache = groupNameCache.get(sessionName);
+  const hit = cache.get(jid);
+  if (hit && Date.now() - hit.ts < AVATAR_TTL_MS) return hit.name;
 
-      // thumb que às vezes já vem no payload:
-      const thumb =
-        message.sender?.profilePicThumbObj?.eurl ||
-        message.sender?.profilePicUrl ||
-        null;
+  try {
+    const chat = await client.getChatById(jid);
+    const name = chat?.name || chat?.contact?.name || null;
+    cache.set(jid, { name, ts: Date.now() });
+    return name;
+  } catch {
+    cache.set(jid, { name: null, ts: Date.now() });
+    return null;
+  }
+}
 
-      let avatarUrl = thumb;
-      if (!avatarUrl && jidForAvatar) {
-        avatarUrl = await safeGetAvatar(client, jidForAvatar);
-      }
+// Grava toda mensagem (recebida ou enviada) em WhatsAppMessage/WhatsAppContact
+async function persistMessage(sessionName, client, message) {
+  if (message.type === 'ciphertext' && !message.body) return;
+
+  const chatId =
+    message.chatId?._serialized ||
+    message.chatId ||
+    (message.fromMe ? message.to : message.from);
+  const isGroup = String(chatId || '').endsWith('@g.us');
+  const [profilePic, chatName] = await Promise.all([
+    chatId === 'status@broadcast'
+      ? null
+      : safeGetAvatar(sessionName, client, chatId),
+    isGroup ? safeGetGroupName(sessionName, client, chatId) : null,
+  ]);
+
+  // Mídia recebida vai para o arquivo enquanto ainda está no navegador;
+  // sem arquivo, fica o caminho estável (sem token: o link assinado expira)
+  const isMedia = MEDIA_TYPES.includes(message.type);
+  const archived =
+    isMedia && !message.fromMe
+      ? await mediaArchive.archiveMessageMedia(client, message)
+      : null;
+
+  await messageStore.saveMessage(sessionName, message, {
+    profilePic,
+    chatName,
+    mediaUrl: archived
+      ? archived.uri
+      : isMedia
+      ? `/${encodeURIComponent(sessionName)}/downloadmedia/${encodeURIComponent(
+          message.id
+        )}`
+      : null,
+    mediaSize: archived?.size,
+  });
+}
 
-      // garante que processedMessage.sender existe
-      processedMessage.sender = processedMessage.sender || {
-        id: message.sender?.id,
-        name: message.sender?.name,
-        pushname: message.sender?.pushname,
-      };
+// Ack de entrega/leitura (inclusive de mensagens digitadas no celular):
+// grava a etapa na linha do tempo e envia o evento "ack" aos webhooks
+async function handleAck(sessionName, ack) {
+  const messageId = ack.id?._serialized || ack.id;
+  if (!messageId || typeof ack.ack !== 'number') return;
+  const at = new Date();
+
+  const recorded = await messageStore.saveAck(sessionName, {
+    messageId,
+    ack: ack.ack,
+    at,
+  });
+  if (!recorded) return; // etapa repetida: o webhook já recebeu
 
-      if (avatarUrl) {
-        processedMessage.sender.profilePicUrl = avatarUrl;
-        console.log('[avatar] remetente', jidForAvatar, '→', avatarUrl);
-      }
+  dispatchWebhook(sessionName, 'ack', {
+    event: 'ack',
+    session: sessionName,
+    ack: {
+      id: messageId,
+      ack: ack.ack,
+      status: messageStore.ackStatus(ack.ack),
+      fromMe: Boolean(ack.id?.fromMe),
+      from: ack.from,
+      to: ack.to,
+      messageTimestamp: ack.t,
+      at: at.toISOString(),
+    },
+  });
+}
 
-      // (opcional) se for grupo, pega a foto do grupo também
-      if (String(message.from || '').endsWith('@g.us')) {
-        const groupPic = await safeGetAvatar(client, message.from);
-        if (groupPic) {
-          processedMessage.chat = {
-            ...(processedMessage.chat || {}),
-            profilePicUrl: groupPic,
-          };
-        }
-      }
-      console.log('log para debug');
-      const chatId =
-        message.chatId || (message.fromMe ? message.to : message.from);
-      processedMessage.chatId = chatId;
-
-      // 🔍 DEBUG: Log do payload que será enviado ao webhook
-      if (processedMessage.type === 'image') {
-        console.log('📤 Enviando ao webhook (IMAGEM):', {
-          messageId: processedMessage.id,
-          caption: processedMessage.image?.caption,
-          hasCaption: !!processedMessage.image?.caption,
+// Registra os listeners uma única vez por client (o SessionManager avisa
+// quando um client novo fica pronto e os remove ao encerrar a sessão)
+sessionManager.on('client', (sessionName, client) => {
+  sessionManager.track(
+    sessionName,
+    client.onMessage((message) => {
+      metrics.messagesReceived.inc({
+        session: sessionName,
+        type: message.type || 'unknown',
+      });
+      handleIncomingMessage(sessionName, client, message).catch((error) => {
+        console.error(
+          `Erro ao processar mensagem na sessão ${sessionName}:`,
+          error
+        );
+      });
+    }),
+    client.onAnyMessage((message) => {
+      persistMessage(sessionName, client, message).catch((error) => {
+        console.error(
+          `Erro ao gravar mensagem no histórico da sessão ${sessionName}:`,
+          error
+        );
+      });
+    }),
+    client.onAck((ack) => {
+      handleAck(sessionName, ack).catch((error) => {
+        console.error(`Erro ao processar ack na sessão ${sessionName}:`, error);
+      });
+    }),
+    ...subscribeChatEvents(client, (event, data) => {
+      dispatchWebhook(sessionName, event, {
+        event,
+        session: sessionName,
+        ...data,
+      });
+      if (event === 'label') {
+        tagSync.handleLabelEvent(sessionName, client, data).catch((error) => {
+          console.error(
+            `Erro ao sincronizar etiquetas da sessão ${sessionName}:`,
+            error
+          );
         });
       }
+    })
+  );
+});
 
-      axios
-        .post(WEBHOOK_URL, {
-          event: 'received',
-          session: sessionName,
-          message: processedMessage,
-        })
-        .catch(console.error);
-    });
+// Sessão encerrada (pause/logout/delete/cleansession): descarta os caches
+sessionManager.on('closed', (sessionName) => {
+  avatarCache.delete(sessionName);
+  groupNameCache.delete(sessionName);
+  messageStore.forgetSession(sessionName);
+});
 
-    instancias[sessionName] = client;
-    sessionStatus[sessionName] = {
-      status: 'ready',
-      message: 'Sessão criada com sucesso',
-    };
-    console.log(`Sessão ${sessionName} criada com sucesso em background`);
+// QR e mudanças de estado vão para o stream de eventos (/events)
+sessionManager.on('state', (sessionName, state, previous) =>
+  eventStream.publish(sessionName, 'state', {
+    state,
+    previous,
+    message: sessionManager.get(sessionName)?.message || null,
+  })
+);
+sessionManager.on('qr', (sessionName, qrCode) =>
+  eventStream.publish(sessionName, 'qr', eventStream.qrEventData(qrCode))
+);
+sessionManager.on('pairing-code', (sessionName, pairingCode) =>
+  eventStream.publish(
+    sessionName,
+    'pairing-code',
+    serializePairingCode(pairingCode)
+  )
+);
+
+/**
+ * Client conectado da sessão. Sem sessão: SESSION_NOT_FOUND; sessão
+ * subindo ou desconectada: NOT_CONNECTED (retryable)
+ */
+async function requireConnectedClient(sessionName) {
+  const client = await sessionManager.getOrCreate(sessionName);
+  if (!client) {
+    if (sessionManager.isStarting(sessionName)) {
+      throw new ApiError(
+        'NOT_CONNECTED',
+        `Sessão [${sessionName}] ainda está sendo iniciada`,
+        { session: sessionName }
+      );
+    }
+    throw new ApiError(
+      'SESSION_NOT_FOUND',
+      `Sessão [${sessionName}] não existe ou não foi inicializada`,
+      { session: sessionName }
+    );
+  }
 
-    return client;
-  } catch (error) {
-    sessionStatus[sessionName] = { status: 'error', message: error.message };
-    console.error(`Erro ao criar sessão ${sessionName}:`, error);
-    delete instancias[sessionName];
-    throw error;
+  const state = await client.getConnectionState();
+  if (state !== 'CONNECTED') {
+    throw new ApiError(
+      'NOT_CONNECTED',
+      `Sessão [${sessionName}] não está conectada (${state})`,
+      { session: sessionName, connectionState: state }
+    );
   }
+  return client;
 }
 
-// Função para criar ou retornar uma instância existente
-async function getOrCreateSession(sessionName) {
-  if (instancias[sessionName]) {
-    console.log(`Sessão ${sessionName} já existe!`);
-    return instancias[sessionName];
+// Resultado do checkNumberStatus de um número que pode receber mensagens
+async function requireWhatsAppNumber(client, jid) {
+  const numberStatus = await client.checkNumberStatus(jid);
+  if (!numberStatus || !numberStatus.canReceiveMessage) {
+    throw new ApiError(
+      'NUMBER_NOT_ON_WHATSAPP',
+      'Número não existe no WhatsApp ou não pode receber mensagens',
+      { jid }
+    );
   }
+  return numberStatus;
+}
 
-  cleanupSession(sessionName);
-  try {
-    let qrCodeData = null;
-    let clientInstance = null;
-    let qrCodeDataTemp = null;
-    const QRCODE_LIFETIME = 40 * 1000;
-    let client;
-    const catchQR = (base64Qr, asciiQR, attempts, urlCode) => {
-      const expiresAt = Date.now() + QRCODE_LIFETIME;
-      const qr = {
-        base64Image: base64Qr,
-        urlCode: urlCode,
-        asciiQR: asciiQR,
-        attempts: attempts,
-        expiresAt,
-      };
-      qrcodesTemp[sessionName] = qr; // <--- Salva no cache global
-      if (client) client.qrCodeData = qr;
-      console.log('QR Code capturado e armazenado');
-    };
-
-    const executablePath = await puppeteer.executablePath();
-
-    client = await wppconnect.create({
-      session: sessionName,
-      catchQR,
-      statusFind: (statusSession, session) => {
-        sessionStatus[sessionName] = {
-          status: 'QR_CODE',
-          message: `Status: ${statusSession}`,
-        };
-      },
-
-      headless: true,
-      devtools: false,
-      debug: true,
-      logQR: true,
-
-      useChrome: true,
-      browserArgs: [], // deixa vazio pra não conflitar
-
-      puppeteerOptions: {
-        executablePath: '/usr/bin/google-chrome',
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--disable-extensions',
-          '--disable-background-networking',
-          '--disable-default-apps',
-          '--disable-sync',
-          '--disable-translate',
-          '--disable-features=TranslateUI',
-          '--window-size=1280,800',
-          `--user-data-dir=${path.join(__dirname, 'tokens', sessionName)}`,
-        ],
-      },
-
-      autoClose: 0, // nunca fecha automático
+const MEDIA_TYPES = ['document', 'image', 'audio', 'ptt', 'video', 'sticker'];
 
-      tokenStore: 'file',
-      folderNameToken: './tokens',
+// Mensagem de mídia pelo id: MESSAGE_NOT_FOUND ou NOT_A_MEDIA_MESSAGE
+async function requireMediaMessage(client, messageId) {
+  const message = await messageActions.requireMessage(client, messageId);
+  if (!MEDIA_TYPES.includes(message.type)) {
+    throw new ApiError('NOT_A_MEDIA_MESSAGE', 'A mensagem não é uma mídia', {
+      messageId,
+      type: message.type,
     });
+  }
+  return message;
+}
 
-    // Atualiza a referência do cliente e adiciona o QR code
-    clientInstance = client;
-    client.qrCodeData = qrCodeData;
-
-    // Se o QR code foi capturado durante a criação, atribui ao cliente
-    if (qrCodeDataTemp) client.qrCodeData = qrCodeDataTemp;
-
-    client.onMessage(async (message) => {
-      // Ignora mensagens do tipo ciphertext sem corpo (são apenas notificações)
-      if (message.type === 'ciphertext' && !message.body) {
-        console.log(
-          `🔐 Mensagem ciphertext ignorada (sem corpo) na sessão ${sessionName}`
-        );
-        return;
-      }
-
-      let processedMessage;
-
-      // Processa diferentes tipos de mensagem
-      if (message.type === 'document') {
-        processedMessage = processDocumentMessage(message);
-        // Adiciona URL de download local
-        processedMessage.document.localDownloadUrl = `https://wppconnect-production-c06e.up.railway.app/${sessionName}/downloadmedia/${message.id}`;
-        console.log(`📄 Documento recebido na sessão ${sessionName}:`, {
-          arquivo: processedMessage.document.filename,
-          tamanho: processedMessage.document.size,
-          remetente: processedMessage.sender.name,
-        });
-      } else if (message.type === 'image') {
-        processedMessage = processImageMessage(message);
-        // Adiciona URL de download local
-        processedMessage.image.localDownloadUrl = `https://wppconnect-production-c06e.up.railway.app/${sessionName}/downloadmedia/${message.id}`;
-
-        // 🔍 DEBUG: Log completo do caption
-        console.log(`🖼️ Imagem recebida na sessão ${sessionName}:`, {
-          remetente: processedMessage.sender.name,
-          caption: message.caption || '(sem legenda)',
-          captionRaw: message.caption,
-          hasCaption: !!message.caption,
-          messageBody: message.body,
-        });
-      } else if (message.type === 'audio') {
-        processedMessage = processAudioMessage(message);
-        // Adiciona URL de download local
-        processedMessage.audio.localDownloadUrl = `https://wppconnect-production-c06e.up.railway.app/${sessionName}/downloadmedia/${message.id}`;
-        console.log(`🔊 Áudio recebido na sessão ${sessionName}:`, {
-          remetente: processedMessage.sender.name,
-        });
-      } else if (message.type === 'video') {
-        processedMessage = processVideoMessage(message);
-        // Adiciona URL de download local
-        processedMessage.video.localDownloadUrl = `https://wppconnect-production-c06e.up.railway.app/${sessionName}/downloadmedia/${message.id}`;
-        console.log(`🎥 Vídeo recebido na sessão ${sessionName}:`, {
-          remetente: processedMessage.sender.name,
-        });
-      } else {
-        processedMessage = processRegularMessage(message);
-        console.log(`💬 Mensagem recebida na sessão ${sessionName}:`, {
-          tipo: processedMessage.type,
-          corpo: processedMessage.body,
-          remetente: processedMessage.sender.name,
-        });
-      }
-
-      const jidForAvatar =
-        (message.sender && message.sender.id) || message.author || message.from;
+// Estados do SessionManager → connectionState devolvido pela API
+// (mantém os valores que o CRM já conhece: CREATING, QRCODE, CONNECTED...)
+function toConnectionState(state) {
+  if (state === STATES.QR_CODE) return 'QRCODE';
+  return state || 'UNKNOWN';
+}
 
-      // thumb que às vezes já vem no payload:
-      const thumb =
-        message.sender?.profilePicThumbObj?.eurl ||
-        message.sender?.profilePicUrl ||
-        null;
+// phoneNumber do body: só dígitos, com DDI (ex.: 5511999999999)
+function normalizePhoneNumber(phoneNumber) {
+  const digits = String(phoneNumber).replace(/\D/g, '');
+  return /^\d{10,15}$/.test(digits) ? digits : null;
+}
 
-      let avatarUrl = thumb;
-      if (!avatarUrl && jidForAvatar) {
-        avatarUrl = await safeGetAvatar(client, jidForAvatar);
-      }
+// Número logado na sessão ({ wid, id }) ou null
+async function getNumberInfo(client) {
+  const wid = await client.getWid();
+  return {
+    wid: wid, // ex: 5511999999999@c.us
+    id: wid.replace('@c.us', ''), // ex: 5511999999999
+  };
+}
 
-      // garante que processedMessage.sender existe
-      processedMessage.sender = processedMessage.sender || {
-        id: message.sender?.id,
-        name: message.sender?.name,
-        pushname: message.sender?.pushname,
-      };
+// Webhooks por sessão e administração do dead-letter / API keys / sessões
+app.use('/webhooks/dead-letters', auth.requireAdmin, deadLetterRoutes);
+app.use('/api-keys', auth.requireAdmin, apiKeyRoutes);
+app.use('/sessions', auth.requireAdmin, sessionRoutes);
+app.use('/metrics', auth.requireAdmin, metricsRoutes);
+app.use('/:session/webhooks', webhookRoutes);
+
+// Stream de eventos em tempo real (SSE)
+app.use('/events', auth.requireAdmin, eventRoutes);
+app.use('/:session/events', eventRoutes);
+
+// Mídia já arquivada da mensagem ({ buffer, mimetype, filename }) ou null.
+// Falha do backend só é logada: o download cai para o navegador.
+async function loadArchivedMedia(sessionName, messageId) {
+  if (!mediaArchive.isEnabled()) return null;
+  try {
+    const row = await messageStore.findMessageMedia(sessionName, messageId);
+    if (!row || !mediaArchive.isArchiveUri(row.mediaUrl)) return null;
+    const buffer = await mediaArchive.readArchived(row.mediaUrl);
+    if (!buffer) return null;
+    return { buffer, mimetype: row.mediaType, filename: row.fileName };
+  } catch (error) {
+    console.error(
+      `⚠️ [MEDIA-ARCHIVE] Falha ao ler a mídia ${messageId} do arquivo:`,
+      error?.message || error
+    );
+    return null;
+  }
+}
 
-      if (avatarUrl) {
-        processedMessage.sender.profilePicUrl = avatarUrl;
-        console.log('[avatar] remetente', jidForAvatar, '→', avatarUrl);
-      } else {
-        console.log('[avatar] remetente', jidForAvatar, '→ (sem foto)');
-      }
+// Mídia baixada pelo navegador da sessão; arquiva para os próximos downloads
+async function downloadLiveMedia(sessionName, messageId) {
+  const client = await requireConnectedClient(sessionName);
+  const message = await requireMediaMessage(client, messageId);
 
-      // (opcional) se for grupo, pega a foto do grupo também
-      if (String(message.from || '').endsWith('@g.us')) {
-        const groupPic = await safeGetAvatar(client, message.from);
-        if (groupPic) {
-          processedMessage.chat = {
-            ...(processedMessage.chat || {}),
-            profilePicUrl: groupPic,
-          };
-          console.log('[avatar] grupo', message.from, '→', groupPic);
-        }
-      }
+  const media = await client.downloadMedia(message).catch((error) => {
+    throw new ApiError(
+      'MEDIA_DOWNLOAD_FAILED',
+      `Erro ao fazer download da mídia: ${error.message || error}`
+    );
+  });
+  if (!media) {
+    throw new ApiError(
+      'MEDIA_DOWNLOAD_FAILED',
+      'Erro ao fazer download da mídia'
+    );
+  }
+  const buffer = mediaArchive.toBuffer(media);
 
-      // Envia para o webhook
-      axios
-        .post(WEBHOOK_URL, {
-          event: 'received',
-          session: sessionName,
-          message: processedMessage,
-        })
-        .catch(console.error);
-    });
-    instancias[sessionName] = client;
-    return client;
-  } catch (err) {
-    delete instancias[sessionName];
-    return;
+  if (mediaArchive.isEnabled()) {
+    mediaArchive
+      .archiveBuffer(buffer, message.mimetype)
+      .then((archived) => messageStore.setMediaUrl(messageId, archived.uri))
+      .catch((error) =>
+        console.error(
+          `⚠️ [MEDIA-ARCHIVE] Falha ao arquivar a mídia ${messageId}:`,
+          error?.message || error
+        )
+      );
   }
+  return { buffer, mimetype: message.mimetype, filename: message.filename };
 }
 
-// Endpoint para download de mídia (documentos, imagens, áudios, vídeos)
+// Endpoint para download de mídia (documentos, imagens, áudios, vídeos).
+// Serve do arquivo quando possível; senão, baixa pelo navegador da sessão.
 app.get('/:session/downloadmedia/:messageId', async function (req, res) {
   const sessionName = req.params.session;
   const messageId = req.params.messageId;
 
   try {
-    const client = await getOrCreateSession(sessionName);
-
-    if (typeof client === 'object') {
-      const status = await client.getConnectionState();
-      if (status === 'CONNECTED') {
-        // Busca a mensagem pelo ID
-        const message = await client.getMessageById(messageId);
-
-        if (
-          message &&
-          (message.type === 'document' ||
-            message.type === 'image' ||
-            message.type === 'audio' ||
-            message.type === 'video')
-        ) {
-          // Faz o download do arquivo
-          const buffer = await client.downloadMedia(message);
-
-          if (buffer) {
-            // Define o nome do arquivo
-            let filename = message.filename;
-            if (!filename) {
-              const ext = message.mimetype
-                ? message.mimetype.split('/')[1]
-                : 'bin';
-              filename = `media_${messageId}.${ext}`;
-            }
-
-            // Define os headers da resposta
-            res.setHeader(
-              'Content-Type',
-              message.mimetype || 'application/octet-stream'
-            );
-            res.setHeader(
-              'Content-Disposition',
-              `attachment; filename="${filename}"`
-            );
-            res.setHeader('Content-Length', buffer.length);
-
-            // Envia o arquivo
-            res.send(buffer);
-          } else {
-            res.status(500).send({
-              status: false,
-              message: 'Erro ao fazer download da mídia',
-            });
-          }
-        } else {
-          res.status(404).send({
-            status: false,
-            message: 'Mensagem não encontrada ou não é uma mídia',
-          });
-        }
-      } else {
-        res.status(500).send({
-          status: false,
-          message: 'Cliente não conectado',
-        });
-      }
-    } else {
-      res.status(500).send({
-        status: false,
-        message: 'Instância não inicializada',
-      });
+    const media =
+      (await loadArchivedMedia(sessionName, messageId)) ||
+      (await downloadLiveMedia(sessionName, messageId));
+
+    // Define o nome do arquivo
+    let filename = media.filename;
+    if (!filename) {
+      const ext = media.mimetype
+        ? media.mimetype.split('/')[1].split(';')[0]
+        : 'bin';
+      filename = `media_${messageId}.${ext}`;
     }
+
+    // Define os headers da resposta
+    res.setHeader('Content-Type', media.mimetype || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', media.buffer.length);
+
+    // Envia o arquivo
+    res.send(media.buffer);
   } catch (error) {
     console.error('Erro ao fazer download:', error);
-    res.status(500).send({
-      status: false,
-      message: 'Erro interno do servidor',
-      error: error.message,
-    });
+    sendError(res, error);
   }
 });
 
 // Endpoint para criar nova sessão e obter QR code ou status de conexão
 app.get('/:session/getconnectionstatus', async function (req, res) {
   const sessionName = req.params.session;
-  let mensagemretorno = '';
-  let sucesso = false;
-  let qrcode = null;
-  let connectionState = null;
+  const record = sessionManager.get(sessionName);
 
-  // Se a sessão está sendo criada em background
+  // Se a sessão não existe (ou foi encerrada), inicia a criação em background
   if (
-    sessionStatus[sessionName] &&
-    sessionStatus[sessionName].status === 'creating'
+    !record ||
+    record.state === STATES.CLOSED ||
+    record.state === STATES.ERROR
   ) {
+    console.log(`Iniciando criação da sessão ${sessionName} em background...`);
+    sessionManager.start(sessionName).catch((error) => {
+      console.error(
+        `Erro na criação em background da sessão ${sessionName}:`,
+        error
+      );
+    });
+
     return res.send({
       status: true,
-      message: 'Sessão sendo criada em background',
+      message: 'Iniciando criação da sessão em background',
       connectionState: 'CREATING',
       qrcode: null,
     });
   }
 
-  // Se a sessão está pronta mas ainda não foi inicializada
-  if (
-    sessionStatus[sessionName] &&
-    sessionStatus[sessionName].status === 'qr_code'
-  ) {
-    if (qrcodesTemp[sessionName] && qrcodesTemp[sessionName].base64Image) {
-      return res.send({
-        status: true,
-        message: 'QR Code disponível',
-        connectionState: 'QRCODE',
-        qrcode: qrcodesTemp[sessionName],
-      });
-    }
+  if (record.state === STATES.CREATING) {
+    return res.send({
+      status: true,
+      message: 'Sessão sendo criada em background',
+      connectionState: 'CREATING',
+      qrcode: null,
+    });
   }
 
-  // Se a sessão já existe
-  if (instancias[sessionName]) {
-    const client = instancias[sessionName];
-    connectionState = await client.getConnectionState();
-    sucesso = true;
-
-    if (connectionState === 'QRCODE') {
-      await syncQrCodeState(sessionName, client);
-      // Primeiro tenta usar o QR code armazenado durante a criação
-      if (client.qrCodeData && client.qrCodeData.base64Image) {
-        qrcode = {
-          base64Image: client.qrCodeData.base64Image,
-          urlCode: client.qrCodeData.urlCode,
-          asciiQR: client.qrCodeData.asciiQR,
-          attempts: client.qrCodeData.attempts,
-        };
-        mensagemretorno = 'QR Code gerado com sucesso';
-      } else {
-        // Se não tiver o QR code armazenado, tenta obter via getQrCode()
-        try {
-          const qrData = await client.getQrCode();
-          if (qrData && qrData.base64Image) {
-            qrcode = {
-              base64Image: qrData.base64Image,
-              urlCode: qrData.urlCode,
-            };
-            mensagemretorno = 'QR Code gerado com sucesso';
-          } else {
-            mensagemretorno = 'QR Code não disponível no momento';
-          }
-        } catch (error) {
-          console.error('Erro ao obter QR code:', error);
-          mensagemretorno = 'Erro ao gerar QR Code';
+  if (record.state === STATES.QR_CODE) {
+    let qrcode = record.qrCode;
+
+    // Se não tiver o QR code armazenado, tenta obter via getQrCode()
+    if (!qrcode?.base64Image && record.client) {
+      try {
+        const qrData = await record.client.getQrCode();
+        if (qrData && qrData.base64Image) {
+          qrcode = {
+            base64Image: qrData.base64Image,
+            urlCode: qrData.urlCode,
+          };
         }
+      } catch (error) {
+        console.error('Erro ao obter QR code:', error);
       }
-    } else {
-      mensagemretorno = connectionState;
     }
-  } else {
-    // Se a sessão não existe, inicia a criação em background
-    console.log(`Iniciando criação da sessão ${sessionName} em background...`);
-    createSessionInBackground(sessionName).catch((error) => {
-      console.error(
-        `Erro na criação em background da sessão ${sessionName}:`,
-        error
-      );
+
+    return res.send({
+      status: true,
+      message: qrcode?.base64Image
+        ? 'QR Code disponível'
+        : 'QR Code não disponível no momento',
+      connectionState: 'QRCODE',
+      qrcode: qrcode?.base64Image ? qrcode : null,
     });
+  }
 
+  if (record.state === STATES.PAIRING && record.pairingCode) {
     return res.send({
       status: true,
-      message: 'Iniciando criação da sessão em background',
-      connectionState: 'CREATING',
+      message: 'Código de pareamento disponível',
+      connectionState: 'PAIRING',
       qrcode: null,
+      pairingCode: serializePairingCode(record.pairingCode),
     });
   }
 
-  await syncQrCodeState(sessionName, instancias[sessionName]);
   res.send({
-    status: sucesso,
-    message: mensagemretorno,
-    connectionState: connectionState,
-    qrcode: qrcode,
+    status: true,
+    message: record.state,
+    connectionState: toConnectionState(record.state),
+    qrcode: null,
   });
 });
 
@@ -815,76 +768,79 @@ app.get('/:session/getconnectionstatus', async function (req, res) {
 app.post('/:session/createsession', async function (req, res) {
   const sessionName = req.params.session;
 
+  // Com phoneNumber o login é por código de pareamento em vez de QR Code
+  let phoneNumber = null;
+  if (req.body?.phoneNumber !== undefined) {
+    phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+    if (!phoneNumber) {
+      return fail(
+        res,
+        'VALIDATION_ERROR',
+        'phoneNumber inválido. Informe DDI + DDD + número (ex.: 5511999999999)',
+        { session: sessionName }
+      );
+    }
+  }
+
   try {
-    if (instancias[sessionName]) {
-      let meInfo;
-      const wid = await instancias[sessionName].getWid();
-      const profile = await instancias[sessionName].getNumberProfile(wid);
-
-      meInfo = {
-        wid: wid,
-        id: wid.replace('@c.us', ''),
-      };
+    const record = sessionManager.get(sessionName);
+
+    if (record?.state === STATES.CONNECTED && record.client) {
       return res.send({
         status: true,
         message: 'Sessão já existe',
         session: sessionName,
         connectionState: 'CONNECTED',
-        numberInfo: meInfo,
+        numberInfo: await getNumberInfo(record.client),
       });
     }
 
-    if (
-      sessionStatus[sessionName] &&
-      sessionStatus[sessionName].status === 'creating'
-    ) {
+    if (sessionManager.isStarting(sessionName)) {
+      // Aguardando login: phoneNumber gera um novo código (ou troca QR → código)
+      if (
+        phoneNumber &&
+        sessionManager.restartLogin(sessionName, { phoneNumber })
+      ) {
+        return res.send({
+          status: true,
+          message: 'Novo código de pareamento solicitado',
+          session: sessionName,
+          connectionState: toConnectionState(record?.state),
+        });
+      }
+
       return res.send({
         status: true,
         message: 'Sessão já está sendo criada',
         session: sessionName,
-        connectionState: 'CREATING',
+        connectionState: toConnectionState(record?.state),
+        pairingCode: serializePairingCode(record?.pairingCode),
       });
     }
 
     console.log(`Iniciando criação da sessão ${sessionName} em background...`);
 
-    // ✅ Criar sessionStatus ANTES de iniciar a criação em background
-    // Isso evita race condition onde o status é verificado antes do status ser criado
-    sessionStatus[sessionName] = {
-      status: 'creating',
-      message: 'Iniciando criação da sessão em background...',
-    };
-
-    // Inicia a criação em background
-    createSessionInBackground(sessionName).catch((error) => {
+    // Inicia a criação em background (o estado CREATING já é registrado aqui)
+    sessionManager.start(sessionName, { phoneNumber }).catch((error) => {
       console.error(
         `Erro na criação em background da sessão ${sessionName}:`,
         error
       );
-      // Atualizar status para erro se falhar
-      if (sessionStatus[sessionName]) {
-        sessionStatus[sessionName] = {
-          status: 'error',
-          message: error.message || 'Erro ao criar sessão',
-        };
-      }
     });
 
     // Retorna imediatamente
     res.send({
       status: true,
-      message: 'Criação da sessão iniciada em background',
+      message: phoneNumber
+        ? 'Criação da sessão iniciada em background; o código de pareamento sai em /status e no stream de eventos'
+        : 'Criação da sessão iniciada em background',
       session: sessionName,
       connectionState: 'CREATING',
+      loginMode: phoneNumber ? 'pairing' : 'qr',
     });
   } catch (error) {
     console.error('Erro ao iniciar criação da sessão:', error);
-    res.status(500).send({
-      status: false,
-      message: 'Erro interno do servidor',
-      error: error.message,
-      session: sessionName,
-    });
+    sendError(res, error, { session: sessionName });
   }
 });
 
@@ -901,155 +857,97 @@ app.get('/:session/status', async function (req, res) {
     'unknown';
   const ua = req.get('user-agent') || 'unknown';
 
-  const hasInstance = !!instancias[sessionName];
-  const hasStatusObj = !!sessionStatus[sessionName];
-
-  const activeCount = Object.keys(instancias).length;
-  const statusCount = Object.keys(sessionStatus).length;
+  const record = sessionManager.get(sessionName);
+  const sessionCount = sessionManager.list().length;
 
   console.log(
     `🛰️ [STATUS:${reqId}] GET /${encodeURIComponent(
       sessionName
-    )}/status ip=${ip} ua="${ua}" hasInstance=${hasInstance} hasStatusObj=${hasStatusObj} active=${activeCount} creatingOrCached=${statusCount}`
+    )}/status ip=${ip} ua="${ua}" state=${
+      record?.state || '-'
+    } sessions=${sessionCount}`
   );
 
   try {
-    // Sessão já existe
-    if (hasInstance) {
-      let connectionState = 'UNKNOWN';
-      let meInfo = null;
-      try {
-        connectionState = await instancias[sessionName].getConnectionState();
-        if (connectionState === 'CONNECTED') {
-          try {
-            const wid = await instancias[sessionName].getWid();
-            const profile = await instancias[sessionName].getNumberProfile(wid);
-
-            meInfo = {
-              wid: wid, // ex: 5511999999999@c.us
-              id: wid.replace('@c.us', ''), // ex: 5511999999999
-            };
-          } catch (e) {
-            console.warn(
-              `[STATUS:${reqId}] erro ao obter número logado:`,
-              e.message
-            );
-          }
-        }
-      } catch (e) {
-        console.error(
-          `⚠️ [STATUS:${reqId}] getConnectionState falhou: ${e?.message || e}`
-        );
-      }
-
+    // Sessão não existe
+    if (!record) {
       const ms = Number(process.hrtime.bigint() - t0) / 1e6;
-      console.log(
-        `✅ [STATUS:${reqId}] sessão encontrada state=${connectionState} (${ms.toFixed(
+      console.warn(
+        `❌ [STATUS:${reqId}] sessão NÃO encontrada "${sessionName}" (${ms.toFixed(
           1
-        )}ms)`
+        )}ms) sessions=${sessionCount}`
       );
 
-      return res.send({
-        status: true,
-        message: 'Sessão ativa',
+      return fail(res, 'SESSION_NOT_FOUND', 'Sessão não encontrada', {
         session: sessionName,
-        connectionState,
-        sessionStatus: 'ready',
-        numberInfo: meInfo,
       });
     }
 
-    // Sessão em criação / cache de QR / etc.
-    if (hasStatusObj) {
-      const state = sessionStatus[sessionName].status;
-      const msg = sessionStatus[sessionName].message;
-      const ms = Number(process.hrtime.bigint() - t0) / 1e6;
-
-      console.log(
-        `⌛ [STATUS:${reqId}] sessão em andamento status=${state} msg="${msg}" (${ms.toFixed(
-          1
-        )}ms)`
-      );
-
-      return res.send({
-        status: true,
-        message: msg,
-        session: sessionName,
-        connectionState: state?.toUpperCase?.() || 'UNKNOWN',
-        sessionStatus: state || 'unknown',
-      });
+    let meInfo = null;
+    if (record.state === STATES.CONNECTED && record.client) {
+      try {
+        meInfo = await getNumberInfo(record.client);
+      } catch (e) {
+        console.warn(
+          `[STATUS:${reqId}] erro ao obter número logado:`,
+          e.message
+        );
+      }
     }
 
-    // Sessão não existe
     const ms = Number(process.hrtime.bigint() - t0) / 1e6;
-    console.warn(
-      `❌ [STATUS:${reqId}] sessão NÃO encontrada "${sessionName}" (${ms.toFixed(
-        1
-      )}ms) active=${activeCount} creatingOrCached=${statusCount}`
+    console.log(
+      `✅ [STATUS:${reqId}] state=${record.state} msg="${
+        record.message
+      }" (${ms.toFixed(1)}ms)`
     );
 
-    return res.status(404).send({
-      status: false,
-      message: 'Sessão não encontrada',
+    return res.send({
+      status: true,
+      message: record.message,
       session: sessionName,
+      connectionState: toConnectionState(record.state),
+      sessionStatus: record.state.toLowerCase(),
+      numberInfo: meInfo,
+      loginMode: record.loginMode || null,
+      pairingCode: serializePairingCode(record.pairingCode),
+      loginFallback: record.loginFallback || null,
     });
   } catch (error) {
     const ms = Number(process.hrtime.bigint() - t0) / 1e6;
     console.error(`💥 [STATUS:${reqId}] erro (${ms.toFixed(1)}ms):`, error);
 
-    return res.status(500).send({
-      status: false,
-      message: 'Erro interno do servidor',
-      error: error.message,
-      session: sessionName,
-    });
+    return sendError(res, error, { session: sessionName });
   }
 });
 
 // Endpoint para obter QR code de uma sessão
 app.get('/:session/getqrcode', async function (req, res) {
   const sessionName = req.params.session;
+  const record = sessionManager.get(sessionName);
 
-  // 1. Primeiro tenta pelo cache global (mesmo antes do client existir)
-  if (qrcodesTemp[sessionName] && qrcodesTemp[sessionName].base64Image) {
-    return res.send({
-      status: true,
-      message: 'QR Code obtido do cache temp com sucesso',
+  if (!record) {
+    return fail(res, 'SESSION_NOT_FOUND', 'Sessão não encontrada', {
       session: sessionName,
-      connectionState: 'QRCODE',
-      qrcode: qrcodesTemp[sessionName],
     });
   }
 
-  // 2. Se não, tenta pelo client (quando já estiver inicializado)
-  const client = instancias[sessionName];
-  if (client) {
-    const connectionState = await client.getConnectionState();
-    if (connectionState === 'QRCODE') {
-      if (client.qrCodeData && client.qrCodeData.base64Image) {
-        return res.send({
-          status: true,
-          message: 'QR Code obtido do client',
-          session: sessionName,
-          connectionState,
-          qrcode: client.qrCodeData,
-        });
-      }
-    }
+  if (record.state === STATES.QR_CODE && record.qrCode?.base64Image) {
     return res.send({
-      status: false,
-      message: `QRCODE. Estado atual: ${connectionState}`,
+      status: true,
+      message: 'QR Code obtido com sucesso',
       session: sessionName,
-      connectionState,
+      connectionState: 'QRCODE',
+      qrcode: record.qrCode,
     });
   }
 
-  // 3. Se não tem nada ainda...
-  res.status(404).send({
-    status: false,
-    message: 'QR Code não disponível ou sessão ainda sendo criada',
-    session: sessionName,
-  });
+  fail(
+    res,
+    'INVALID_SESSION_STATE',
+    `QR Code não disponível. Estado atual: ${toConnectionState(record.state)}`,
+    { session: sessionName, connectionState: toConnectionState(record.state) }
+  );
 });
 
 // Endpoint para limpar uma sessão
@@ -1058,22 +956,13 @@ app.delete('/:session/cleansession', async function (req, res) {
 
   try {
     // Fecha a instância se existir
-    if (instancias[sessionName]) {
-      try {
-        await instancias[sessionName].close();
-        console.log(`Instância ${sessionName} fechada`);
-      } catch (error) {
-        console.error(`Erro ao fechar instância ${sessionName}:`, error);
-      }
-      delete instancias[sessionName];
-    }
+    await sessionManager.close(sessionName);
+    // Espera uma criação em andamento fechar o navegador antes de apagar
+    // os arquivos
+    await sessionManager.forget(sessionName);
 
     // Limpa os arquivos da sessão
-    cleanupSession(sessionName);
-
-    // Limpa o status da sessão
-    delete sessionStatus[sessionName];
-    delete qrcodesTemp[sessionName];
+    sessionManager.cleanupTokens(sessionName);
 
     res.send({
       status: true,
@@ -1082,59 +971,133 @@ app.delete('/:session/cleansession', async function (req, res) {
     });
   } catch (error) {
     console.error('Erro ao limpar sessão:', error);
-    res.status(500).send({
-      status: false,
-      message: 'Erro interno do servidor',
-      error: error.message,
+    sendError(res, error, { session: sessionName });
+  }
+});
+
+// Endpoint para pausar uma sessão: fecha o navegador e mantém os tokens
+app.post('/:session/pausesession', async function (req, res) {
+  const sessionName = req.params.session;
+
+  try {
+    const result = await sessionManager.pause(sessionName);
+    if (!result) {
+      return fail(res, 'SESSION_NOT_FOUND', 'Sessão não encontrada', {
+        session: sessionName,
+      });
+    }
+
+    res.send({
+      status: true,
+      message: `Sessão ${sessionName} pausada; use /resumesession para reabrir`,
       session: sessionName,
+      connectionState: 'CLOSED',
     });
+  } catch (error) {
+    console.error('Erro ao pausar sessão:', error);
+    sendError(res, error, { session: sessionName });
   }
 });
 
-// Endpoint para enviar mensagem de texto
-app.post('/:session/sendmessage', async function (req, res) {
-  console.log('--- Nova requisição /sendmessage ---');
+// Endpoint para reabrir uma sessão pausada com os tokens salvos (sem QR)
+app.post('/:session/resumesession', async function (req, res) {
+  const sessionName = req.params.session;
+  const record = sessionManager.get(sessionName);
+
+  if (record?.client || sessionManager.isStarting(sessionName)) {
+    return fail(res, 'INVALID_SESSION_STATE', 'Sessão já está aberta', {
+      session: sessionName,
+      connectionState: toConnectionState(record?.state),
+    });
+  }
+
+  if (!sessionManager.hasTokens(sessionName)) {
+    return fail(
+      res,
+      'INVALID_SESSION_STATE',
+      'Sessão sem tokens salvos; use /createsession',
+      { session: sessionName }
+    );
+  }
+
+  sessionManager.resume(sessionName).catch((error) => {
+    console.error(`Erro ao reabrir sessão ${sessionName}:`, error);
+  });
+
+  res.send({
+    status: true,
+    message: 'Reabertura da sessão iniciada em background',
+    session: sessionName,
+    connectionState: 'CREATING',
+  });
+});
 
+// Endpoint para desconectar (logout): desvincula o aparelho no WhatsApp
+app.post('/:session/logoutsession', async function (req, res) {
   const sessionName = req.params.session;
-  const telnumber = req.body.telnumber;
-  const mensagemparaenvio = req.body.message;
-  console.log('antes do getorcreatesession');
+  const record = sessionManager.get(sessionName);
 
-  const client = await getOrCreateSession(sessionName);
+  if (!record) {
+    return fail(res, 'SESSION_NOT_FOUND', 'Sessão não encontrada', {
+      session: sessionName,
+    });
+  }
 
-  console.log('depois do getorcreatesession');
+  try {
+    const { loggedOut } = await sessionManager.logout(sessionName);
 
-  if (!client) {
-    return res.status(404).send({
-      status: false,
-      message: `Sessão [${sessionName}] não existe ou não foi inicializada`,
+    res.send({
+      status: true,
+      message: loggedOut
+        ? `Sessão ${sessionName} desconectada do WhatsApp`
+        : `Sessão ${sessionName} encerrada (não estava conectada)`,
+      session: sessionName,
+      loggedOut,
+      connectionState: 'CLOSED',
     });
+  } catch (error) {
+    console.error('Erro ao desconectar sessão:', error);
+    sendError(res, error, { session: sessionName });
   }
+});
+
+// Endpoint para excluir uma sessão: logout, remove tokens/user-data-dir e
+// marca o WhatsAppSession como inativo
+app.delete('/:session/deletesession', async function (req, res) {
+  const sessionName = req.params.session;
 
   try {
-    const status = await client.getConnectionState();
-    if (status !== 'CONNECTED') {
-      return res.send({
-        status: false,
-        message: 'Sessão não está conectada. Reescaneie o QRCode.',
-      });
-    }
+    const { loggedOut } = await sessionManager.remove(sessionName);
+
+    res.send({
+      status: true,
+      message: `Sessão ${sessionName} excluída`,
+      session: sessionName,
+      loggedOut,
+    });
+  } catch (error) {
+    console.error('Erro ao excluir sessão:', error);
+    sendError(res, error, { session: sessionName });
+  }
+});
+
+// Endpoint para enviar mensagem de texto
+app.post('/:session/sendmessage', idempotency, async function (req, res) {
+  console.log('--- Nova requisição /sendmessage ---');
+
+  const sessionName = req.params.session;
+  const telnumber = req.body.telnumber;
+  const mensagemparaenvio = req.body.message;
+
+  try {
+    const client = await requireConnectedClient(sessionName);
 
     // 🔹 Normaliza número
     const numero = telnumber.replace(/\D/g, '');
     const jid = numero + '@c.us';
 
     // 🔹 Checa se existe e pode receber
-    const numeroexiste = await client.checkNumberStatus(jid);
-    console.log('Resultado do checkNumberStatus:', numeroexiste);
-
-    if (!numeroexiste || !numeroexiste.canReceiveMessage) {
-      return res.send({
-        status: false,
-        message: 'Número não existe ou não pode receber mensagens',
-      });
-    }
-
+    const numeroexiste = await requireWhatsAppNumber(client, jid);
     const to = numeroexiste.id._serialized;
 
     // 🔹 Workaround → força criação do chat local
@@ -1144,8 +1107,9 @@ app.post('/:session/sendmessage', async function (req, res) {
     const result = await client.sendText(to, mensagemparaenvio);
 
     console.log('✅ Mensagem enviada com sucesso:', result);
+    recordSend(sessionName, 'text');
 
-    axios.post(WEBHOOK_URL, {
+    dispatchWebhook(sessionName, 'sent', {
       event: 'sent',
       session: sessionName,
       telnumber,
@@ -1156,183 +1120,146 @@ app.post('/:session/sendmessage', async function (req, res) {
       status: true,
       message: result.id,
     });
-  } catch (error) {
-    console.error('❌ Erro ao enviar mensagem:', error);
-    return res.send({
-      status: false,
-      message: error.message || 'Erro interno ao enviar mensagem',
-    });
-  }
-});
-
-// Endpoint para enviar mensagem PIX (mantido do original)
-app.post('/:session/sendpixmessage', async function (req, res) {
-  const sessionName = req.params.session;
-  const client = await getOrCreateSession(sessionName);
-  const telnumber = req.body.telnumber;
-  const params = req.body.params;
-  const options = req.body.options;
-  let mensagemretorno = '';
-  let sucesso = false;
-
-  if (typeof client === 'object') {
-    const status = await client.getConnectionState();
-    if (status === 'CONNECTED') {
-      let numeroexiste = await client.checkNumberStatus(telnumber + '@c.us');
-      if (numeroexiste.canReceiveMessage === true) {
-        await client
-          .sendPix(numeroexiste.id._serialized, params, options)
-          .then((result) => {
-            sucesso = true;
-            mensagemretorno = result.id;
-          })
-          .catch((erro) => {
-            console.error('Error when sending: ', erro);
-          });
-      } else {
-        mensagemretorno =
-          'O numero não está disponível ou está bloqueado - The number is not available or is blocked.';
-      }
-    } else {
-      mensagemretorno =
-        'Valide sua conexao com a internet ou QRCODE - Validate your internet connection or QRCODE';
-    }
-  } else {
-    mensagemretorno =
-      'A instancia não foi inicializada - The instance was not initialized';
+  } catch (error) {
+    console.error('❌ Erro ao enviar mensagem:', error);
+    const apiError = toApiError(
+      error,
+      'SEND_FAILED',
+      'Falha ao enviar a mensagem'
+    );
+    recordSend(sessionName, 'text', apiError);
+    return sendError(res, apiError);
   }
-  res.send({ status: sucesso, message: mensagemretorno });
 });
-app.post('/:session/sendptt', async function (req, res) {
+
+// Endpoint para enviar mensagem PIX (mantido do original)
+app.post('/:session/sendpixmessage', idempotency, async function (req, res) {
   const sessionName = req.params.session;
   const telnumber = req.body.telnumber;
-  const audioPath = req.body.audioPath; // URL pública ou path local
-
-  let mensagemretorno = '';
-  let sucesso = false;
-  let finalPath = audioPath;
+  const params = req.body.params;
+  const options = req.body.options;
 
   try {
-    const client = await getOrCreateSession(sessionName);
-    if (!client) throw new Error('Instância não inicializada');
-
-    const status = await client.getConnectionState();
-    if (status !== 'CONNECTED') throw new Error('Sessão não conectada');
-
-    const numeroexiste = await client.checkNumberStatus(telnumber + '@c.us');
-    if (!numeroexiste || !numeroexiste.canReceiveMessage)
-      throw new Error('Número não disponível ou bloqueado');
-
-    // 🔹 Se for base64 (data:audio/...;base64,...)
-    if (audioPath.startsWith('data:audio/')) {
-      console.log('🎤 Detectado áudio em base64, processando...');
-
-      // Extrai o base64 do data URI
-      const matches = audioPath.match(/^data:audio\/([^;]+);base64,(.+)$/);
-      if (!matches) throw new Error('Formato base64 inválido');
+    const client = await requireConnectedClient(sessionName);
+    const numeroexiste = await requireWhatsAppNumber(
+      client,
+      telnumber + '@c.us'
+    );
+    const result = await client.sendPix(
+      numeroexiste.id._serialized,
+      params,
+      options
+    );
+    recordSend(sessionName, 'pix');
+    res.send({ status: true, message: result.id });
+  } catch (error) {
+    console.error('Error when sending: ', error);
+    const apiError = toApiError(error, 'SEND_FAILED', 'Falha ao enviar o PIX');
+    recordSend(sessionName, 'pix', apiError);
+    sendError(res, apiError);
+  }
+});
+// Áudio de origem da mensagem de voz em memória (upload e caminho local
+// vão direto para o ffmpeg). Caminho local só dentro de MEDIA_LOCAL_DIR e
+// existente: o resto é 400, não um 502 que a campanha repetiria.
+async function loadPttSource(audioPath, upload) {
+  if (upload) return upload.path;
+
+  // 🔹 Base64 (data:audio/...;base64,...)
+  if (audioPath.startsWith('data:audio/')) {
+    if (!/^data:audio\/[^;]+;base64,/.test(audioPath)) {
+      throw new ApiError('INVALID_MEDIA', 'Formato base64 inválido');
+    }
+    return mediaArchive.toBuffer(audioPath);
+  }
 
-      const mimeType = matches[1]; // webm, ogg, etc
-      const base64Data = matches[2];
-      const audioBuffer = Buffer.from(base64Data, 'base64');
+  // 🔹 URL: baixa para a memória
+  if (isHttpUrl(audioPath)) {
+    console.log('🎤 Baixando áudio da URL:', audioPath);
+    const resp = await axios
+      .get(audioPath, {
+        responseType: 'arraybuffer',
+        maxContentLength: PTT_MAX_BYTES,
+      })
+      .catch((error) => {
+        if (/maxContentLength/.test(error.message)) {
+          throw new ApiError(
+            'PAYLOAD_TOO_LARGE',
+            `Áudio maior que o limite de ${PTT_MAX_BYTES} bytes`,
+            { maxBytes: PTT_MAX_BYTES, url: audioPath }
+          );
+        }
+        throw new ApiError(
+          'MEDIA_FETCH_FAILED',
+          `Falha ao baixar o áudio: ${error.message}`,
+          { url: audioPath }
+        );
+      });
+    return Buffer.from(resp.data);
+  }
 
-      console.log(
-        `📦 Áudio base64 decodificado (${audioBuffer.length} bytes, tipo: ${mimeType})`
-      );
+  const file = await localMediaPath(audioPath);
+  if (!file) {
+    throw new ApiError(
+      'INVALID_MEDIA',
+      'audioPath deve ser URL http(s), data URI ou arquivo existente em MEDIA_LOCAL_DIR',
+      { audioPath }
+    );
+  }
+  return file;
+}
 
-      // Salva temporariamente
-      const tempInput = path.join(__dirname, `temp_${Date.now()}.${mimeType}`);
-      const tempOutput = path.join(__dirname, `ptt_${Date.now()}.ogg`);
-
-      fs.writeFileSync(tempInput, audioBuffer);
-
-      // Converte para OGG Opus
-      await new Promise((resolve, reject) => {
-        ffmpeg(tempInput)
-          .inputFormat(mimeType === 'webm' ? 'webm' : 'auto')
-          .audioCodec('libopus')
-          .audioBitrate('64k')
-          .audioChannels(1)
-          .audioFrequency(48000)
-          .format('ogg')
-          .on('end', resolve)
-          .on('error', reject)
-          .save(tempOutput);
-      });
+app.post('/:session/sendptt', mediaUpload, async function (req, res) {
+  const sessionName = req.params.session;
+  const telnumber = req.body.telnumber;
+  const audioPath = req.body.audioPath; // URL pública, base64 ou path local
 
-      fs.unlinkSync(tempInput);
-      finalPath = tempOutput;
-      console.log('✅ Base64 convertido para OGG Opus:', finalPath);
-    }
-    // 🔹 Se for URL, baixa e converte
-    else if (/^https?:\/\//i.test(audioPath)) {
-      console.log('🎤 Baixando áudio da URL:', audioPath);
-      const resp = await axios.get(audioPath, { responseType: 'arraybuffer' });
-
-      // sempre salva como .webm
-      const tempInput = path.join(__dirname, `temp_${Date.now()}.webm`);
-      const tempOutput = path.join(__dirname, `ptt_${Date.now()}.ogg`);
-
-      fs.writeFileSync(tempInput, Buffer.from(resp.data));
-
-      await new Promise((resolve, reject) => {
-        ffmpeg(tempInput)
-          .inputFormat('webm') // 👈 força leitura como webm
-          .audioCodec('libopus')
-          .audioBitrate('64k')
-          .audioChannels(1)
-          .audioFrequency(48000)
-          .format('ogg')
-          .on('end', resolve)
-          .on('error', reject)
-          .save(tempOutput);
-      });
+  try {
+    const client = await requireConnectedClient(sessionName);
+    const numeroexiste = await requireWhatsAppNumber(
+      client,
+      telnumber + '@c.us'
+    );
 
-      fs.unlinkSync(tempInput);
-      finalPath = tempOutput;
-      console.log('✅ Convertido para OGG Opus:', finalPath);
-    }
+    // 🔹 Converte para OGG Opus em memória (sem temporários no diretório)
+    const voice = await transcodeVoiceNote(
+      await loadPttSource(audioPath, req.upload)
+    );
+    console.log(
+      `🎤 Áudio convertido para OGG Opus (${voice.buffer.length} bytes, ${voice.seconds}s)`
+    );
 
     // ✅ Envia o PTT
-    const result = await client.sendPtt(numeroexiste.id._serialized, finalPath);
-    sucesso = true;
-    mensagemretorno = result.id;
-    console.log('✅ PTT enviado com sucesso:', result);
+    const result = await client.sendPttFromBase64(
+      numeroexiste.id._serialized,
+      voice.dataUrl,
+      'ptt.ogg'
+    );
+    console.log('✅ PTT enviado com sucesso:', result?.id);
+    recordSend(sessionName, 'ptt');
 
     // 🔥 dispara webhook
-    await axios
-      .post(WEBHOOK_URL, {
-        event: 'sent',
-        session: sessionName,
-        telnumber,
-        message: {
-          type: 'ptt',
-          id: result?.id,
-          audioPath,
-        },
-        result: { id: result.id },
-      })
-      .catch((err) => {
-        console.error('⚠️ Falha ao notificar webhook:', err?.message || err);
-      });
+    await dispatchWebhook(sessionName, 'sent', {
+      event: 'sent',
+      session: sessionName,
+      telnumber,
+      message: {
+        type: 'ptt',
+        id: result?.id,
+        // data URI não vai para o webhook (pode ter megabytes)
+        audioPath:
+          req.upload || audioPath.startsWith('data:') ? null : audioPath,
+        seconds: voice.seconds,
+      },
+      result: { id: result.id },
+    });
 
-    res.send({ status: true, message: mensagemretorno });
+    res.send({ status: true, message: result.id });
   } catch (err) {
     console.error('❌ Erro ao enviar PTT:', err);
-    res.send({ status: false, message: err.message || 'Erro interno' });
-  } finally {
-    // 🔹 Apaga o arquivo convertido se existir
-    if (
-      finalPath &&
-      finalPath.startsWith(__dirname) &&
-      fs.existsSync(finalPath)
-    ) {
-      try {
-        fs.unlinkSync(finalPath);
-        console.log('🧹 Arquivo temporário removido:', finalPath);
-      } catch (e) {
-        console.error('⚠️ Falha ao remover arquivo temporário:', e.message);
-      }
-    }
+    const apiError = toApiError(err, 'SEND_FAILED', 'Falha ao enviar o áudio');
+    recordSend(sessionName, 'ptt', apiError);
+    sendError(res, apiError);
   }
 });
 
@@ -1352,78 +1279,88 @@ function normalizePhone(number) {
   return '55' + digits;
 }
 
-app.post('/:session/sendimage', async function (req, res) {
+// Origem de /sendimage, /senddocument e /sendvideo para o wppconnect:
+// upload, URL http(s) e data URI passam direto; caminho local só dentro de
+// MEDIA_LOCAL_DIR e existente (o resto é 400, como no /sendptt).
+async function resolveMediaSource(req, field) {
+  if (req.upload) return req.upload.path;
+
+  const source = req.body[field];
+  if (isHttpUrl(source) || source.startsWith('data:')) return source;
+
+  const file = await localMediaPath(source);
+  if (!file) {
+    throw new ApiError(
+      'INVALID_MEDIA',
+      `${field} deve ser URL http(s), data URI ou arquivo existente em MEDIA_LOCAL_DIR`,
+      { [field]: source }
+    );
+  }
+  return file;
+}
+
+app.post('/:session/sendimage', mediaUpload, async function (req, res) {
   console.log('--- Nova requisição /sendimage ---');
 
   const sessionName = req.params.session;
   const telnumber = req.body.telnumber;
-  const imagePath = req.body.imagePath; // Caminho local ou URL
+  const imagePath = req.upload ? null : req.body.imagePath; // null no upload
   const filename = req.body.filename || 'imagem.jpg';
   const caption = req.body.caption || '';
 
-  let mensagemretorno = '';
-  let sucesso = false;
-  let sendResult = null;
-
   try {
-    const client = await getOrCreateSession(sessionName);
-    if (typeof client !== 'object') throw new Error('Instância inválida');
-
-    const status = await client.getConnectionState();
-    if (status !== 'CONNECTED') throw new Error('Sessão não conectada');
+    const client = await requireConnectedClient(sessionName);
 
     const normalized = normalizePhone(telnumber);
     const jid = normalized + '@c.us';
 
-    const numeroexiste = await client.checkNumberStatus(jid);
-    if (!numeroexiste || !numeroexiste.canReceiveMessage) {
-      throw new Error('Número não disponível ou bloqueado');
-    }
+    const numeroexiste = await requireWhatsAppNumber(client, jid);
 
-    sendResult = await client.sendImage(
+    const sendResult = await client.sendImage(
       numeroexiste.id._serialized,
-      imagePath,
+      await resolveMediaSource(req, 'imagePath'),
       filename,
       caption
     );
 
-    sucesso = true;
-    mensagemretorno = sendResult.id;
     console.log('✅ Imagem enviada com sucesso:', sendResult);
+    recordSend(sessionName, 'image');
 
     // 🔹 dispara webhook
-    await axios
-      .post(WEBHOOK_URL, {
-        event: 'sent',
-        session: sessionName,
-        telnumber: normalized,
-        message: {
-          type: 'image',
-          id: sendResult?.id,
-          imagePath,
-          filename,
-          caption,
-        },
-        result: sendResult && { id: sendResult.id },
-      })
-      .catch((err) => {
-        console.error('⚠️ Falha ao notificar webhook:', err?.message || err);
-      });
+    await dispatchWebhook(sessionName, 'sent', {
+      event: 'sent',
+      session: sessionName,
+      telnumber: normalized,
+      message: {
+        type: 'image',
+        id: sendResult?.id,
+        imagePath,
+        filename,
+        caption,
+      },
+      result: sendResult && { id: sendResult.id },
+    });
+
+    res.send({ status: true, message: sendResult.id });
   } catch (error) {
     console.error('❌ Erro no fluxo de envio de imagem:', error);
-    mensagemretorno = error.message || 'Erro inesperado ao enviar imagem';
+    const apiError = toApiError(
+      error,
+      'SEND_FAILED',
+      'Falha ao enviar a imagem'
+    );
+    recordSend(sessionName, 'image', apiError);
+    sendError(res, apiError);
   }
-
-  res.send({ status: sucesso, message: mensagemretorno });
 });
 
 // Endpoint para enviar PDF/documento
-app.post('/:session/senddocument', async function (req, res) {
+app.post('/:session/senddocument', mediaUpload, async function (req, res) {
   console.log('--- Nova requisição /senddocument ---');
 
   const sessionName = req.params.session;
   const telnumber = req.body.telnumber;
-  const filePath = req.body.filePath;
+  const filePath = req.upload ? null : req.body.filePath; // null no upload
   const filename = req.body.filename || 'documento.pdf';
   const caption = req.body.caption || '';
 
@@ -1431,124 +1368,87 @@ app.post('/:session/senddocument', async function (req, res) {
   console.log('Número recebido:', telnumber);
   console.log('Arquivo recebido:', filePath);
 
-  const client = await getOrCreateSession(sessionName);
-  console.log('Cliente retornado de getOrCreateSession:', typeof client);
-
-  let mensagemretorno = '';
-  let sucesso = false;
   let resultObj = null;
+  let failure = null;
 
   try {
-    if (typeof client === 'object') {
-      const status = await client.getConnectionState();
-      console.log(`Status da conexão da sessão [${sessionName}]:`, status);
-
-      if (status === 'CONNECTED') {
-        let numeroexiste = await client.checkNumberStatus(telnumber + '@c.us');
-        console.log('Resultado do checkNumberStatus:', numeroexiste);
-
-        if (numeroexiste && numeroexiste.canReceiveMessage === true) {
-          console.log('Número pode receber documento, enviando...');
-
-          await client
-            .sendFile(numeroexiste.id._serialized, filePath, filename, caption)
-            .then((result) => {
-              console.log('✅ Documento enviado com sucesso:', result);
-              sucesso = true;
-              mensagemretorno = result.id;
-              resultObj = result;
-            })
-            .catch((erro) => {
-              console.error('❌ Erro ao enviar documento:', erro);
-              mensagemretorno = 'Erro interno ao enviar documento';
-            });
-        } else {
-          console.warn('⚠️ O número não está disponível ou bloqueado');
-          mensagemretorno = 'Número indisponível ou bloqueado';
-        }
-      } else {
-        console.warn('⚠️ Sessão não conectada:', status);
-        mensagemretorno = 'Sessão não conectada';
-      }
-    } else {
-      console.error('❌ Cliente inválido, não inicializado');
-      mensagemretorno = 'Instância não inicializada';
-    }
+    const client = await requireConnectedClient(sessionName);
+    const numeroexiste = await requireWhatsAppNumber(
+      client,
+      telnumber + '@c.us'
+    );
+    console.log('Número pode receber documento, enviando...');
+
+    resultObj = await client.sendFile(
+      numeroexiste.id._serialized,
+      await resolveMediaSource(req, 'filePath'),
+      filename,
+      caption
+    );
+    console.log('✅ Documento enviado com sucesso:', resultObj);
+    recordSend(sessionName, 'document');
   } catch (error) {
-    console.error('❌ Erro inesperado:', error);
-    mensagemretorno = 'Erro inesperado ao processar envio de documento';
+    console.error('❌ Erro ao enviar documento:', error);
+    failure = toApiError(error, 'SEND_FAILED', 'Falha ao enviar o documento');
+    recordSend(sessionName, 'document', failure);
   }
 
-  const responsePayload = { status: sucesso, message: mensagemretorno };
-  console.log('Retorno final:', responsePayload);
   console.log('--- Fim da requisição /senddocument ---');
 
-  res.send(responsePayload);
+  if (failure) {
+    sendError(res, failure);
+  } else {
+    res.send({ status: true, message: resultObj.id });
+  }
 
   // 🔔 Notificar webhook
-  try {
-    await axios.post(
-      WEBHOOK_URL || 'https://crmloop.com.br/api/whatsappwebhook',
-      {
-        event: 'sent',
-        session: sessionName,
-        telnumber,
-        message: {
-          type: 'document',
-          body: caption,
-          filePath,
-          filename,
-        },
-        result: resultObj,
-      }
-    );
-    console.log('📢 Webhook notificado com sucesso');
-  } catch (err) {
-    console.error('⚠️ Falha ao notificar webhook:', err.message);
-  }
+  await dispatchWebhook(sessionName, 'sent', {
+    event: 'sent',
+    session: sessionName,
+    telnumber,
+    message: {
+      type: 'document',
+      body: caption,
+      filePath,
+      filename,
+    },
+    result: resultObj,
+  });
 });
 
 app.get('/:session/history', async function (req, res) {
   const sessionName = req.params.session;
-  const client = await getOrCreateSession(sessionName);
   const chatId = req.query.chatId; // Exemplo: '5514999999999@c.us' ou '1234567890-123456789@g.us'
   const amount = parseInt(req.query.amount) || 50; // Quantidade de mensagens (padrão: 50)
 
   if (!chatId) {
-    return res
-      .status(400)
-      .send({ status: false, message: 'chatId é obrigatório' });
+    return fail(res, 'VALIDATION_ERROR', 'chatId é obrigatório');
   }
 
-  let messages = [];
-  let sucesso = false;
-  if (typeof client === 'object') {
-    try {
-      messages = await client.getAllMessagesInChat(
-        chatId,
-        true,
-        true,
-        amount,
-        true
-      );
-      sucesso = true;
-    } catch (err) {
-      return res.status(500).send({
-        status: false,
-        message: 'Erro ao buscar histórico',
-        error: err,
-      });
-    }
+  try {
+    const client = await requireConnectedClient(sessionName);
+    const messages = await client.getAllMessagesInChat(
+      chatId,
+      true,
+      true,
+      amount,
+      true
+    );
+    res.send({ status: true, messages });
+  } catch (error) {
+    sendError(
+      res,
+      toApiError(error, 'INTERNAL_ERROR', 'Erro ao buscar histórico')
+    );
   }
-  res.send({ status: sucesso, messages });
 });
 // Endpoint para enviar vídeo
-app.post('/:session/sendvideo', async function (req, res) {
+app.post('/:session/sendvideo', mediaUpload, async function (req, res) {
   console.log('--- Nova requisição /sendvideo ---');
 
   const sessionName = req.params.session;
   const telnumberRaw = req.body.telnumber; // pode vir com símbolos
-  const videoPath = req.body.videoPath; // URL pública (Firebase)
+  const videoPath = req.upload ? null : req.body.videoPath; // null no upload
   const filename = req.body.filename || 'video.mp4';
   const caption = req.body.caption || '';
 
@@ -1559,109 +1459,124 @@ app.post('/:session/sendvideo', async function (req, res) {
   // normaliza número: só dígitos
   const telnumber = String(telnumberRaw || '').replace(/\D/g, '');
 
-  const client = await getOrCreateSession(sessionName);
-  console.log('Cliente retornado de getOrCreateSession:', typeof client);
-
-  let mensagemretorno = '';
-  let sucesso = false;
   let resultSend = null;
+  let failure = null;
 
   try {
-    if (typeof client === 'object') {
-      const status = await client.getConnectionState();
-      console.log(`Status da conexão da sessão [${sessionName}]:`, status);
-
-      if (status === 'CONNECTED') {
-        const wid = telnumber + '@c.us';
-        let numeroexiste = await client.checkNumberStatus(wid);
-        console.log('Resultado do checkNumberStatus:', numeroexiste);
-
-        if (numeroexiste && numeroexiste.canReceiveMessage === true) {
-          console.log('Número pode receber vídeo, enviando...');
-
-          await client
-            .sendFile(numeroexiste.id._serialized, videoPath, filename, caption)
-            .then((result) => {
-              console.log('✅ Vídeo enviado com sucesso:', result);
-              sucesso = true;
-              resultSend = result;
-              mensagemretorno = result.id;
-            })
-            .catch((erro) => {
-              console.error('❌ Erro ao enviar vídeo:', erro);
-              mensagemretorno = 'Erro interno ao enviar vídeo';
-            });
-        } else {
-          console.warn('⚠️ O número não está disponível ou bloqueado');
-          mensagemretorno =
-            'O número não está disponível ou está bloqueado - The number is not available or is blocked.';
-        }
-      } else {
-        console.warn('⚠️ Sessão não conectada:', status);
-        mensagemretorno =
-          'Valide sua conexão com a internet ou QRCODE - Validate your internet connection or QRCODE';
-      }
-    } else {
-      console.error('❌ Cliente inválido, não inicializado');
-      mensagemretorno =
-        'A instância não foi inicializada - The instance was not initialized';
-    }
+    const client = await requireConnectedClient(sessionName);
+    const numeroexiste = await requireWhatsAppNumber(
+      client,
+      telnumber + '@c.us'
+    );
+    console.log('Número pode receber vídeo, enviando...');
+
+    resultSend = await client.sendFile(
+      numeroexiste.id._serialized,
+      await resolveMediaSource(req, 'videoPath'),
+      filename,
+      caption
+    );
+    console.log('✅ Vídeo enviado com sucesso:', resultSend);
+    recordSend(sessionName, 'video');
   } catch (error) {
-    console.error('❌ Erro inesperado no fluxo de envio de vídeo:', error);
-    mensagemretorno = 'Erro inesperado ao processar envio de vídeo';
+    console.error('❌ Erro no fluxo de envio de vídeo:', error);
+    failure = toApiError(error, 'SEND_FAILED', 'Falha ao enviar o vídeo');
+    recordSend(sessionName, 'video', failure);
   }
 
-  console.log('Retorno final:', { status: sucesso, message: mensagemretorno });
   console.log('--- Fim da requisição /sendvideo ---');
 
   // 🔔 Notifica o webhook (não bloqueia a resposta, erro aqui só loga)
-  (async () => {
-    try {
-      await axios.post(WEBHOOK_URL, {
-        event: 'sent',
-        session: sessionName,
-        telnumber: telnumber, // apenas dígitos
-        message: {
-          type: 'video',
-          filename,
-          filePath: videoPath,
-          caption,
-        },
-        result: resultSend,
-        success: sucesso,
-      });
-    } catch (e) {
-      console.error(
-        '⚠️ Falha ao notificar webhook de envio de vídeo:',
-        e?.message || e
-      );
-    }
-  })();
+  dispatchWebhook(sessionName, 'sent', {
+    event: 'sent',
+    session: sessionName,
+    telnumber: telnumber, // apenas dígitos
+    message: {
+      type: 'video',
+      filename,
+      filePath: videoPath,
+      caption,
+    },
+    result: resultSend,
+    success: !failure,
+  });
+
+  if (failure) return sendError(res, failure);
+  res.send({ status: true, message: resultSend.id });
+});
+
+// Envio unificado: tipo identificado pelos bytes e conversão automática
+app.post('/:session/sendmedia', mediaUpload, async function (req, res) {
+  const sessionName = req.params.session;
+  const { telnumber, media, filename, caption, as = 'auto' } = req.body;
+
+  try {
+    const client = await requireConnectedClient(sessionName);
+    const normalized = normalizePhone(telnumber);
+    const numeroexiste = await requireWhatsAppNumber(
+      client,
+      normalized + '@c.us'
+    );
 
-  res.send({ status: sucesso, message: mensagemretorno });
+    const sent = await sendMedia(client, numeroexiste.id._serialized, {
+      source: media,
+      upload: req.upload,
+      filename,
+      caption,
+      as,
+    });
+    console.log(
+      `✅ Mídia enviada como ${sent.media.sentAs} (${sent.media.mimetype}${
+        sent.media.converted ? ` → ${sent.media.converted.to}` : ''
+      })`
+    );
+    recordSend(sessionName, sent.media.sentAs);
+
+    await dispatchWebhook(sessionName, 'sent', {
+      event: 'sent',
+      session: sessionName,
+      telnumber: normalized,
+      message: {
+        type: sent.media.sentAs,
+        id: sent.result?.id,
+        filename: sent.media.filename,
+        mimetype: sent.media.converted?.to || sent.media.mimetype,
+        caption,
+      },
+      result: sent.result && { id: sent.result.id },
+    });
+
+    res.send({ status: true, message: sent.result?.id, media: sent.media });
+  } catch (error) {
+    console.error('❌ Erro ao enviar mídia:', error);
+    const apiError = toApiError(
+      error,
+      'SEND_FAILED',
+      'Falha ao enviar a mídia'
+    );
+    recordSend(sessionName, 'media', apiError);
+    sendError(res, apiError);
+  }
 });
 
 app.get('/:session/loadearlier', async function (req, res) {
   const sessionName = req.params.session;
-  const client = await getOrCreateSession(sessionName);
   const chatId = req.query.chatId;
   if (!chatId) {
-    return res
-      .status(400)
-      .send({ status: false, message: 'chatId é obrigatório' });
+    return fail(res, 'VALIDATION_ERROR', 'chatId é obrigatório');
   }
   try {
+    const client = await requireConnectedClient(sessionName);
     await client.loadEarlierMessages(chatId);
     res.send({
       status: true,
       message: 'Mensagens antigas carregadas para o chat ' + chatId,
     });
-  } catch (err) {
-    res.status(500).send({
-      status: false,
-      message: 'Erro ao carregar mensagens antigas',
-      error: err,
-    });
+  } catch (error) {
+    sendError(
+      res,
+      toApiError(error, 'INTERNAL_ERROR', 'Erro ao carregar mensagens antigas')
+    );
   }
 });
 
@@ -1671,85 +1586,362 @@ app.get('/:session/mediainfo/:messageId', async function (req, res) {
   const messageId = req.params.messageId;
 
   try {
-    const client = await getOrCreateSession(sessionName);
-
-    if (typeof client === 'object') {
-      const status = await client.getConnectionState();
-      if (status === 'CONNECTED') {
-        // Busca a mensagem pelo ID
-        const message = await client.getMessageById(messageId);
-
-        if (
-          message &&
-          (message.type === 'document' ||
-            message.type === 'image' ||
-            message.type === 'audio' ||
-            message.type === 'video')
-        ) {
-          let mediaInfo = {};
-
-          if (message.type === 'document') {
-            mediaInfo = processDocumentMessage(message);
-          } else if (message.type === 'image') {
-            mediaInfo = processImageMessage(message);
-          } else if (message.type === 'audio') {
-            mediaInfo = processAudioMessage(message);
-          } else if (message.type === 'video') {
-            mediaInfo = processVideoMessage(message);
-          }
-
-          // Adiciona URL de download
-          mediaInfo.downloadUrl = `/${sessionName}/downloadmedia/${messageId}`;
-
-          res.send({
-            status: true,
-            mediaInfo,
-          });
-        } else {
-          res.status(404).send({
-            status: false,
-            message: 'Mensagem não encontrada ou não é uma mídia',
-          });
-        }
-      } else {
-        res.status(500).send({
-          status: false,
-          message: 'Cliente não conectado',
-        });
-      }
-    } else {
-      res.status(500).send({
-        status: false,
-        message: 'Instância não inicializada',
-      });
+    const client = await requireConnectedClient(sessionName);
+
+    // Busca a mensagem pelo ID
+    const message = await requireMediaMessage(client, messageId);
+
+    let mediaInfo = {};
+    if (message.type === 'document') {
+      mediaInfo = processDocumentMessage(message);
+    } else if (message.type === 'image') {
+      mediaInfo = processImageMessage(message);
+    } else if (message.type === 'audio') {
+      mediaInfo = processAudioMessage(message);
+    } else if (message.type === 'video') {
+      mediaInfo = processVideoMessage(message);
     }
+
+    // Adiciona URL de download
+    mediaInfo.downloadUrl = buildDownloadUrl(sessionName, messageId, req);
+
+    res.send({
+      status: true,
+      mediaInfo,
+    });
   } catch (error) {
     console.error('Erro ao obter informações da mídia:', error);
-    res.status(500).send({
-      status: false,
-      message: 'Erro interno do servidor',
-      error: error.message,
+    sendError(res, error);
+  }
+});
+
+// Linha do tempo do ack de uma mensagem (lida do banco; não exige conexão)
+app.get('/:session/messageacks/:messageId', async function (req, res) {
+  const sessionName = req.params.session;
+  const messageId = req.params.messageId;
+
+  try {
+    const timeline = await messageStore.getAckTimeline(sessionName, messageId);
+    if (!timeline.length) {
+      return fail(
+        res,
+        'MESSAGE_NOT_FOUND',
+        'Nenhum ack registrado para a mensagem',
+        { messageId }
+      );
+    }
+
+    // A etapa atual é a mais avançada (ou a falha, se houver)
+    const current =
+      timeline.find((entry) => entry.ack < 0) ||
+      timeline.reduce((a, b) => (b.ack > a.ack ? b : a));
+    res.send({
+      status: true,
+      messageId,
+      ack: current.ack,
+      ackStatus: current.status,
+      timeline,
+    });
+  } catch (error) {
+    console.error('Erro ao obter acks da mensagem:', error);
+    sendError(res, error);
+  }
+});
+
+// ---- Ações sobre mensagens existentes (id = WhatsAppMessage.messageId)
+
+// Destino de encaminhamento: id de chat (@c.us/@g.us) ou número
+async function resolveChatId(client, to) {
+  if (String(to).includes('@')) return to;
+  const numberStatus = await requireWhatsAppNumber(
+    client,
+    normalizePhone(to) + '@c.us'
+  );
+  return numberStatus.id._serialized;
+}
+
+// Rota de ação (description: "editar a mensagem"...): cliente conectado,
+// action(client, req) → campos da resposta
+function messageAction(description, action) {
+  return async function (req, res) {
+    const sessionName = req.params.session;
+    const messageId = req.params.messageId;
+    try {
+      const client = await requireConnectedClient(sessionName);
+      const result = await action(client, req);
+      res.send({ status: true, messageId, ...result });
+    } catch (error) {
+      console.error(`❌ Erro ao ${description} ${messageId}:`, error);
+      sendError(
+        res,
+        toApiError(error, 'SEND_FAILED', `Falha ao ${description}`)
+      );
+    }
+  };
+}
+
+app.post(
+  '/:session/replymessage/:messageId',
+  idempotency,
+  messageAction('responder à mensagem', async (client, req) => {
+    const sessionName = req.params.session;
+    const { chatId, result } = await messageActions.reply(
+      client,
+      req.params.messageId,
+      req.body.message
+    );
+    recordSend(sessionName, 'reply');
+
+    await dispatchWebhook(sessionName, 'sent', {
+      event: 'sent',
+      session: sessionName,
+      chatId,
+      message: {
+        type: 'reply',
+        id: result?.id,
+        body: req.body.message,
+        quotedMessageId: req.params.messageId,
+      },
+      result: result && { id: result.id },
+    });
+    return { message: result?.id, chatId };
+  })
+);
+
+app.post(
+  '/:session/reactmessage/:messageId',
+  messageAction('reagir à mensagem', (client, req) =>
+    messageActions.react(client, req.params.messageId, req.body.reaction)
+  )
+);
+
+app.post(
+  '/:session/editmessage/:messageId',
+  messageAction('editar a mensagem', (client, req) =>
+    messageActions.edit(client, req.params.messageId, req.body.message)
+  )
+);
+
+// forEveryone=true apaga para todos; sem ele, só deste aparelho
+app.delete(
+  '/:session/deletemessage/:messageId',
+  messageAction('apagar a mensagem', (client, req) =>
+    messageActions.remove(client, req.params.messageId, {
+      forEveryone: ['1', 'true', 'yes'].includes(
+        String(req.query.forEveryone).toLowerCase()
+      ),
+    })
+  )
+);
+
+app.post(
+  '/:session/forwardmessage/:messageId',
+  idempotency,
+  messageAction('encaminhar a mensagem', async (client, req) => {
+    const toChatId = await resolveChatId(client, req.body.to);
+    const { to } = await messageActions.forward(
+      client,
+      req.params.messageId,
+      toChatId
+    );
+    recordSend(req.params.session, 'forward');
+    return { to };
+  })
+);
+
+app.post(
+  '/:session/starmessage/:messageId',
+  messageAction('favoritar a mensagem', (client, req) =>
+    messageActions.star(client, req.params.messageId, req.body.star ?? true)
+  )
+);
+
+// Rota sobre o client conectado: action(client, req) → campos da resposta
+function clientAction(description, action, httpStatus = 200) {
+  return async function (req, res) {
+    const sessionName = req.params.session;
+    try {
+      const client = await requireConnectedClient(sessionName);
+      const result = await action(client, req);
+      res.status(httpStatus).send({ status: true, ...result });
+    } catch (error) {
+      console.error(`❌ Erro ao ${description}:`, error);
+      sendError(
+        res,
+        toApiError(error, 'SEND_FAILED', `Falha ao ${description}`)
+      );
+    }
+  };
+}
+
+// ---- Grupos (lib/groups.js)
+
+app.get(
+  '/:session/groups',
+  clientAction('listar os grupos', async (client) => ({
+    groups: await groups.listGroups(client),
+  }))
+);
+
+app.post(
+  '/:session/groups',
+  idempotency,
+  clientAction(
+    'criar o grupo',
+    (client, req) => groups.createGroup(client, req.body),
+    201
+  )
+);
+
+app.get(
+  '/:session/groups/:groupId',
+  clientAction('obter o grupo', async (client, req) => ({
+    group: await groups.getGroup(client, req.params.groupId),
+  }))
+);
+
+// Assunto, descrição e configurações (só os campos enviados)
+app.put(
+  '/:session/groups/:groupId',
+  clientAction('alterar o grupo', async (client, req) => ({
+    group: await groups.updateGroup(client, req.params.groupId, req.body),
+  }))
+);
+
+// action: add, remove, promote (admin) ou demote
+app.post(
+  '/:session/groups/:groupId/participants',
+  clientAction('alterar os participantes do grupo', (client, req) =>
+    groups.updateParticipants(
+      client,
+      req.params.groupId,
+      req.body.action,
+      req.body.participants
+    )
+  )
+);
+
+app.get(
+  '/:session/groups/:groupId/invitelink',
+  clientAction('obter o link de convite', (client, req) =>
+    groups.inviteLink(client, req.params.groupId)
+  )
+);
+
+// Gera um novo link; o anterior deixa de funcionar
+app.post(
+  '/:session/groups/:groupId/invitelink',
+  clientAction('trocar o link de convite', (client, req) =>
+    groups.inviteLink(client, req.params.groupId, { revoke: true })
+  )
+);
+
+app.get(
+  '/:session/groups/:groupId/requests',
+  clientAction('listar os pedidos de entrada', async (client, req) => ({
+    requests: await groups.listMembershipRequests(client, req.params.groupId),
+  }))
+);
+
+// action: approve ou reject; sem participants, todos os pendentes
+app.post(
+  '/:session/groups/:groupId/requests',
+  clientAction('responder os pedidos de entrada', (client, req) =>
+    groups.answerMembershipRequests(
+      client,
+      req.params.groupId,
+      req.body.action,
+      req.body.participants
+    )
+  )
+);
+
+app.put(
+  '/:session/groups/:groupId/icon',
+  clientAction('trocar o ícone do grupo', (client, req) =>
+    groups.setIcon(client, req.params.groupId, req.body.image)
+  )
+);
+
+app.delete(
+  '/:session/groups/:groupId/icon',
+  clientAction('remover o ícone do grupo', (client, req) =>
+    groups.setIcon(client, req.params.groupId, null)
+  )
+);
+
+// ---- Etiquetas ↔ tags do CRM (lib/tagSync.js)
+
+app.get(
+  '/:session/labels',
+  clientAction('listar as etiquetas', async (client, req) => ({
+    labels: await tagSync.listLabels(req.params.session, client),
+  }))
+);
+
+// Ressincronização completa sob demanda
+app.post(
+  '/:session/labels/resync',
+  clientAction('ressincronizar as etiquetas', async (client, req) => ({
+    sync: await tagSync.resync(req.params.session, client),
+  }))
+);
+
+// Trilha de auditoria (?tagId=&chatId=&outcome=&limit=&offset=)
+app.get('/:session/labels/log', async function (req, res) {
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  try {
+    const { total, items } = await tagSync.listSyncLog(req.params.session, {
+      tagId: req.query.tagId,
+      chatId: req.query.chatId,
+      outcome: req.query.outcome,
+      limit,
+      offset,
     });
+    res.send({ status: true, total, limit, offset, log: items });
+  } catch (error) {
+    console.error('Erro ao listar a auditoria das etiquetas:', error);
+    sendError(res, error);
   }
 });
 
+// Tags do CRM num contato, aplicadas também às etiquetas do chat
+app.post(
+  '/:session/contacts/:contact/tags',
+  clientAction('alterar as tags do contato', (client, req) =>
+    tagSync.applyContactTags(
+      req.params.session,
+      client,
+      req.params.contact,
+      req.body
+    )
+  )
+);
+
 // Variáveis globais para controle de fila
 const campaignQueue = new Map(); // Armazena as filas de campanhas
 const activeCampaigns = new Set(); // Controla campanhas ativas
 
 // Função para processar uma mensagem de template
 async function processTemplateMessage(client, contact, message, sessionName) {
+  const type = message.audioUrl
+    ? 'ptt'
+    : message.imageUrl
+    ? 'image'
+    : message.documentUrl
+    ? 'document'
+    : 'text';
+
   try {
     const status = await client.getConnectionState();
     if (status !== 'CONNECTED') {
-      throw new Error('Cliente não conectado');
+      throw new ApiError('NOT_CONNECTED', 'Cliente não conectado');
     }
 
     // Verifica se o número existe
-    const numberStatus = await client.checkNumberStatus(contact + '@c.us');
-    if (!numberStatus.canReceiveMessage) {
-      throw new Error('Número não disponível ou bloqueado');
-    }
+    const numberStatus = await requireWhatsAppNumber(client, contact + '@c.us');
 
     let result;
 
@@ -1784,6 +1976,7 @@ async function processTemplateMessage(client, contact, message, sessionName) {
     }
 
     console.log(`✅ Mensagem enviada para ${contact}: ${message.text}`);
+    recordSend(sessionName, type);
     return {
       success: true,
       messageId: result.id,
@@ -1792,9 +1985,13 @@ async function processTemplateMessage(client, contact, message, sessionName) {
     };
   } catch (error) {
     console.error(`❌ Erro ao enviar mensagem para ${contact}:`, error.message);
+    const apiError = toApiError(error, 'SEND_FAILED', error.message);
+    recordSend(sessionName, type, apiError);
     return {
       success: false,
-      error: error.message,
+      error: apiError.message,
+      code: apiError.code,
+      retryable: apiError.retryable,
       contact,
       message: message.text,
     };
@@ -1843,6 +2040,14 @@ function updateCampaignProgress(campaignId, contact, result) {
   console.log(
     `📊 Campanha ${campaignId}: ${campaign.processedContacts}/${campaign.totalContacts} contatos processados`
   );
+  eventStream.publish(campaign.sessionName, 'campaign', {
+    campaignId,
+    sessionName: campaign.sessionName,
+    contact,
+    status: result?.success ? 'sent' : 'failed',
+    processedContacts: campaign.processedContacts,
+    totalContacts: campaign.totalContacts,
+  });
 }
 
 // Função para processar campanha em background
@@ -1858,13 +2063,14 @@ async function processCampaignInBackground(
       `🚀 Iniciando campanha ${campaignId} para ${contacts.length} contatos`
     );
 
-    const client = await getOrCreateSession(sessionName);
+    const client = await sessionManager.getOrCreate(sessionName);
     if (!client) {
       throw new Error('Falha ao criar sessão');
     }
 
     // Inicializa a campanha na fila
     campaignQueue.set(campaignId, {
+      sessionName,
       status: 'running',
       totalContacts: contacts.length,
       processedContacts: 0,
@@ -1956,11 +2162,11 @@ app.post('/:session/dispatch-campaign', async function (req, res) {
     !Array.isArray(contacts) ||
     contacts.length === 0
   ) {
-    return res.status(400).send({
-      status: false,
-      message:
-        'Dados inválidos. Necessário: campaign, templates e contacts (array não vazio)',
-    });
+    return fail(
+      res,
+      'VALIDATION_ERROR',
+      'Dados inválidos. Necessário: campaign, templates e contacts (array não vazio)'
+    );
   }
 
   // Gera ID único para a campanha
@@ -1993,24 +2199,20 @@ app.post('/:session/dispatch-campaign', async function (req, res) {
     });
   } catch (error) {
     console.error('Erro ao iniciar campanha:', error);
-    res.status(500).send({
-      status: false,
-      message: 'Erro interno do servidor',
-      error: error.message,
-    });
+    sendError(res, error);
   }
 });
 
+// Campanhas não pertencem a uma sessão específica: somente admin
+app.use(['/campaign', '/campaigns'], auth.requireAdmin);
+
 // Endpoint para verificar status da campanha
 app.get('/campaign/:campaignId/status', async function (req, res) {
   const campaignId = req.params.campaignId;
 
   const campaignData = campaignQueue.get(campaignId);
   if (!campaignData) {
-    return res.status(404).send({
-      status: false,
-      message: 'Campanha não encontrada',
-    });
+    return fail(res, 'NOT_FOUND', 'Campanha não encontrada', { campaignId });
   }
 
   const progress =
@@ -2040,9 +2242,8 @@ app.delete('/campaign/:campaignId/cancel', async function (req, res) {
   const campaignId = req.params.campaignId;
 
   if (!activeCampaigns.has(campaignId)) {
-    return res.status(404).send({
-      status: false,
-      message: 'Campanha não encontrada ou já finalizada',
+    return fail(res, 'NOT_FOUND', 'Campanha não encontrada ou já finalizada', {
+      campaignId,
     });
   }
 
@@ -2090,33 +2291,17 @@ app.post('/:session/download-media', async function (req, res) {
   console.log('[download-media] ▶️ entrou na rota', { sessionName, messageId });
 
   if (!messageId) {
-    return res.status(400).send({
-      status: false,
-      reason: 'missing_message_id',
-      message: 'messageId é obrigatório',
-    });
+    return fail(res, 'VALIDATION_ERROR', 'messageId é obrigatório');
   }
 
   try {
-    const client = await getOrCreateSession(sessionName);
-    const state = await client.getConnectionState();
-    console.log('[download-media] estado da sessão:', state);
-
-    if (state !== 'CONNECTED') {
-      return res.status(500).send({
-        status: false,
-        reason: 'not_connected',
-        message: 'Cliente não conectado',
-      });
-    }
+    const client = await requireConnectedClient(sessionName);
 
     const message = await client.getMessageById(messageId);
     if (!message) {
       console.log('[download-media] ❌ mensagem não encontrada pelo id');
-      return res.status(404).send({
-        status: false,
-        reason: 'message_not_found',
-        message: 'Mensagem não encontrada',
+      return fail(res, 'MESSAGE_NOT_FOUND', 'Mensagem não encontrada', {
+        messageId,
       });
     }
 
@@ -2132,19 +2317,12 @@ app.post('/:session/download-media', async function (req, res) {
       mediaRaw = await client.downloadMedia(message);
     } catch (e) {
       console.error('[download-media] erro no downloadMedia:', e?.message || e);
-      return res.status(500).send({
-        status: false,
-        reason: 'download_error',
-        message: 'Falha no download',
-        detail: String(e?.message || e),
+      return fail(res, 'MEDIA_DOWNLOAD_FAILED', 'Falha no download', {
+        error: String(e?.message || e),
       });
     }
     if (!mediaRaw) {
-      return res.status(500).send({
-        status: false,
-        reason: 'empty_buffer',
-        message: 'Falha ao baixar mídia',
-      });
+      return fail(res, 'MEDIA_DOWNLOAD_FAILED', 'Falha ao baixar mídia');
     }
 
     // Normaliza para base64 “puro” (sem prefixo data:)
@@ -2168,11 +2346,7 @@ app.post('/:session/download-media', async function (req, res) {
       try {
         base64 = Buffer.from(mediaRaw).toString('base64');
       } catch {
-        return res.status(500).send({
-          status: false,
-          reason: 'unknown_media_type',
-          message: 'Tipo de mídia inesperado',
-        });
+        return fail(res, 'INTERNAL_ERROR', 'Tipo de mídia inesperado');
       }
     }
 
@@ -2207,20 +2381,61 @@ app.post('/:session/download-media', async function (req, res) {
     });
   } catch (error) {
     console.error('💥 [download-media] erro inesperado:', error);
-    return res.status(500).send({
-      status: false,
-      reason: 'unexpected',
-      message: 'Erro interno',
-      error: String(error?.message || error),
-    });
+    return sendError(res, error);
+  }
+});
+
+// Rotas inexistentes e erros fora dos handlers (ex.: JSON malformado) também
+// respondem no envelope de erro
+app.use(function (req, res) {
+  fail(res, 'NOT_FOUND', `Rota não encontrada: ${req.method} ${req.path}`);
+});
+
+app.use(function (err, req, res, next) {
+  if (err.type === 'entity.parse.failed') {
+    return fail(
+      res,
+      'VALIDATION_ERROR',
+      'JSON inválido no corpo da requisição'
+    );
+  }
+  if (err.type === 'entity.too.large') {
+    return fail(res, 'PAYLOAD_TOO_LARGE', 'Corpo da requisição muito grande');
   }
+  console.error('Erro não tratado:', err);
+  sendError(res, err);
 });
 
+// Intervalo entre a abertura de cada sessão restaurada no boot
+const RESTORE_STAGGER_MS = Number(process.env.RESTORE_STAGGER_MS || 5000);
+
+// Reabre, com os tokens salvos, todas as sessões marcadas como isActive.
+// Escalonado para não subir vários Chromes ao mesmo tempo no boot; não
+// aguarda o login de cada uma (uma sessão presa no QR não trava as demais).
+async function restoreActiveSessions() {
+  const sessions = await sessionStore.listActiveSessions();
+  console.log(`♻️ Restaurando ${sessions.length} sessão(ões) ativa(s)...`);
+
+  for (const sessionName of sessions) {
+    if (sessionManager.get(sessionName)) continue;
+
+    sessionManager.start(sessionName, { restore: true }).catch((error) => {
+      console.error(`Erro ao restaurar sessão ${sessionName}:`, error);
+    });
+    await new Promise((resolve) => setTimeout(resolve, RESTORE_STAGGER_MS));
+  }
+}
+
 // Inicia o servidor
 const porta = '3001';
 var server = app
   .listen(porta, () => {
     console.log('Servidor iniciado na porta %s', porta);
+    startWebhookWorker();
+    tagSync.startTagSync();
+    restoreActiveSessions().catch((error) => {
+      console.error('Erro ao restaurar as sessões ativas:', error);
+    });
   })
   .on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
@@ -0,0 +1,164 @@
+// lib/apiKeys.js
+// Chaves de API (WhatsAppApiKey). Só o hash SHA-256 é gravado; a chave em si
+// é devolvida uma única vez, na criação.
+// - scope "admin": acesso a todas as sessões e às rotas administrativas
+// - scope "user":  acesso às sessões com o mesmo WhatsAppSession.userId
+const crypto = require('crypto');
+const prisma = require('./prisma');
+
+const SCOPES = Object.freeze({ ADMIN: 'admin', USER: 'user' });
+
+// Por quanto tempo uma chave/dono de sessão lidos do banco ficam em cache (ms)
+const API_KEY_CACHE_TTL_MS = Number(
+  process.env.API_KEY_CACHE_TTL_MS || 30 * 1000
+);
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+// Chaves admin fixas (lista separada por vírgula), para o primeiro acesso
+// e para integrações internas como o workers/campaignWorker.js
+const ENV_ADMIN_KEYS = new Set(
+  String(process.env.API_ADMIN_KEYS || '')
+    .split(',')
+    .map((k) => k.trim())
+    .filter(Boolean)
+);
+
+const keysCache = new Map(); // key: hash, value: { apiKey, ts }
+const ownersCache = new Map(); // key: sessionName, value: { owner, ts }
+const lastUsedWrites = new Map(); // key: id, value: ts
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  return `wpk_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function serializeApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scope: row.scope,
+    userId: row.userId,
+    lastUsedAt: row.lastUsedAt,
+    revokedAt: row.revokedAt,
+    createdAt: row.createdAt,
+  };
+}
+
+function touchLastUsed(id) {
+  const last = lastUsedWrites.get(id) || 0;
+  if (Date.now() - last < LAST_USED_THROTTLE_MS) return;
+  lastUsedWrites.set(id, Date.now());
+
+  prisma.whatsAppApiKey
+    .update({ where: { id }, data: { lastUsedAt: new Date() } })
+    .catch(() => {});
+}
+
+/**
+ * Resolve a chave recebida na requisição.
+ * Devolve { id, name, scope, userId } ou null se não existir/estiver revogada.
+ */
+async function findApiKey(key) {
+  if (!key) return null;
+
+  if (ENV_ADMIN_KEYS.has(key)) {
+    return { id: 'env', name: 'API_ADMIN_KEYS', scope: SCOPES.ADMIN };
+  }
+
+  const hash = hashKey(key);
+  const hit = keysCache.get(hash);
+  if (hit && Date.now() - hit.ts < API_KEY_CACHE_TTL_MS) {
+    if (hit.apiKey) touchLastUsed(hit.apiKey.id);
+    return hit.apiKey;
+  }
+
+  const row = await prisma.whatsAppApiKey.findUnique({
+    where: { keyHash: hash },
+  });
+  const apiKey =
+    row && !row.revokedAt
+      ? { id: row.id, name: row.name, scope: row.scope, userId: row.userId }
+      : null;
+
+  keysCache.set(hash, { apiKey, ts: Date.now() });
+  if (apiKey) touchLastUsed(apiKey.id);
+  return apiKey;
+}
+
+/** userId dono da sessão; undefined se a sessão ainda não existe no banco */
+async function getSessionOwner(sessionName) {
+  const hit = ownersCache.get(sessionName);
+  if (hit && Date.now() - hit.ts < API_KEY_CACHE_TTL_MS) return hit.owner;
+
+  const session = await prisma.whatsAppSession.findUnique({
+    where: { sessionName },
+    select: { userId: true },
+  });
+  const owner = session ? session.userId : undefined;
+  ownersCache.set(sessionName, { owner, ts: Date.now() });
+  return owner;
+}
+
+/**
+ * Cria o registro da sessão já vinculado ao usuário da chave (inativo até
+ * conectar, como em lib/webhooks). Não altera sessões existentes.
+ */
+async function claimSession(sessionName, userId) {
+  const session = await prisma.whatsAppSession.upsert({
+    where: { sessionName },
+    update: {},
+    create: { sessionName, isActive: false, userId },
+    select: { userId: true },
+  });
+  ownersCache.set(sessionName, { owner: session.userId, ts: Date.now() });
+  return session.userId;
+}
+
+async function listApiKeys({ includeRevoked = false } = {}) {
+  const rows = await prisma.whatsAppApiKey.findMany({
+    where: includeRevoked ? {} : { revokedAt: null },
+    orderBy: { createdAt: 'asc' },
+  });
+  return rows.map(serializeApiKey);
+}
+
+/** Cria uma chave; devolve { apiKey, key } — única vez em que key é exposta */
+async function createApiKey({ name, scope = SCOPES.USER, userId = null }) {
+  const key = generateKey();
+  const row = await prisma.whatsAppApiKey.create({
+    data: {
+      name,
+      scope,
+      userId: scope === SCOPES.ADMIN ? null : userId,
+      keyHash: hashKey(key),
+      prefix: key.slice(0, 12),
+    },
+  });
+  return { apiKey: serializeApiKey(row), key };
+}
+
+/** Revoga a chave; devolve false se não existir (ou já estiver revogada) */
+async function revokeApiKey(id) {
+  const { count } = await prisma.whatsAppApiKey.updateMany({
+    where: { id, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  // A chave em claro não é conhecida aqui: descarta o cache inteiro
+  keysCache.clear();
+  return count > 0;
+}
+
+module.exports = {
+  SCOPES,
+  ENV_ADMIN_KEYS,
+  findApiKey,
+  getSessionOwner,
+  claimSession,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
@@ -0,0 +1,150 @@
+// lib/auth.js
+// Middlewares de CORS, autenticação (API key) e autorização por sessão
+const apiKeys = require('./apiKeys');
+const mediaLinks = require('./mediaLinks');
+const { sendError, fail } = require('./errors');
+
+// Origens liberadas para o navegador (lista separada por vírgula; "*" = todas).
+// Vazio: nenhum header CORS é enviado (só chamadas servidor-a-servidor).
+const CORS_ORIGINS = String(process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((o) => o.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+if (!apiKeys.ENV_ADMIN_KEYS.size) {
+  console.warn(
+    '⚠️ [AUTH] API_ADMIN_KEYS não definido: só chaves cadastradas no banco terão acesso'
+  );
+}
+
+function cors(req, res, next) {
+  const origin = req.headers.origin;
+
+  if (origin && (CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin))) {
+    res.header(
+      'Access-Control-Allow-Origin',
+      CORS_ORIGINS.includes('*') ? '*' : origin
+    );
+    res.header(
+      'Access-Control-Allow-Methods',
+      'GET, POST, PUT, DELETE, OPTIONS'
+    );
+    res.header(
+      'Access-Control-Allow-Headers',
+      'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Api-Key, Idempotency-Key'
+    );
+  }
+  res.vary('Origin');
+
+  // Responde imediatamente para requisições OPTIONS (preflight)
+  if (req.method === 'OPTIONS') {
+    res.sendStatus(200);
+  } else {
+    next();
+  }
+}
+
+/**
+ * Chave enviada em "Authorization: Bearer <chave>" ou "X-Api-Key: <chave>".
+ * O EventSource do navegador não envia headers: no stream de eventos
+ * (Accept: text/event-stream) a chave também é aceita em ?apiKey=.
+ */
+function readApiKey(req) {
+  const header = req.headers.authorization;
+  if (header && /^Bearer\s+/i.test(header)) {
+    return header.replace(/^Bearer\s+/i, '').trim();
+  }
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+  if (
+    req.method === 'GET' &&
+    /text\/event-stream/.test(req.headers.accept || '')
+  ) {
+    return req.query.apiKey || null;
+  }
+  return null;
+}
+
+function unauthorized(res, message) {
+  res.set('WWW-Authenticate', 'Bearer');
+  return fail(res, 'UNAUTHORIZED', message);
+}
+
+function forbidden(res, message) {
+  return fail(res, 'FORBIDDEN', message);
+}
+
+/**
+ * Exige uma API key válida em todas as rotas; preenche req.apiKey.
+ * Exceção: download de mídia com link assinado (lib/mediaLinks), que já é
+ * restrito à sessão e à mensagem do link.
+ */
+async function authenticate(req, res, next) {
+  const signed = mediaLinks.checkSignedDownload(req);
+  if (signed) {
+    if (!signed.ok) return unauthorized(res, signed.reason);
+    req.signedDownload = true;
+    return next();
+  }
+
+  const key = readApiKey(req);
+  if (!key) return unauthorized(res, 'API key ausente');
+
+  try {
+    const apiKey = await apiKeys.findApiKey(key);
+    if (!apiKey) return unauthorized(res, 'API key inválida ou revogada');
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error('Erro ao validar API key:', error);
+    sendError(res, error);
+  }
+}
+
+function isAdmin(req) {
+  return req.apiKey?.scope === apiKeys.SCOPES.ADMIN;
+}
+
+/** Rotas administrativas (dead-letter, chaves, campanhas...) */
+function requireAdmin(req, res, next) {
+  if (isAdmin(req)) return next();
+  return forbidden(res, 'Esta rota exige uma API key de administrador');
+}
+
+/**
+ * Handler de app.param('session'): chaves "user" só acessam sessões do
+ * próprio userId. Uma sessão que ainda não existe é criada em nome do
+ * usuário ao chamar /:session/createsession; sessões sem dono ficam
+ * restritas às chaves admin.
+ */
+async function authorizeSession(req, res, next, sessionName) {
+  if (isAdmin(req) || req.signedDownload) return next();
+
+  try {
+    let owner = await apiKeys.getSessionOwner(sessionName);
+
+    // Pela rota casada, não pelo req.path: o nome da sessão chega
+    // decodificado e o path ainda com o percent-encoding
+    if (
+      owner === undefined &&
+      req.method === 'POST' &&
+      req.route?.path === '/:session/createsession'
+    ) {
+      owner = await apiKeys.claimSession(sessionName, req.apiKey.userId);
+    }
+
+    if (owner == null || owner !== req.apiKey.userId) {
+      return forbidden(res, `Sem permissão para a sessão ${sessionName}`);
+    }
+    next();
+  } catch (error) {
+    console.error('Erro ao autorizar sessão:', error);
+    sendError(res, error);
+  }
+}
+
+module.exports = {
+  cors,
+  authenticate,
+  requireAdmin,
+  authorizeSession,
+};
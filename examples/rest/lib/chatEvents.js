@@ -0,0 +1,148 @@
+// lib/chatEvents.js
+// Eventos do chat além das mensagens (edição, exclusão, reação, enquete,
+// ligação, participantes, presença e etiquetas): cada listener do
+// WPPConnect vira um tipo de webhook com payload normalizado, entregue pelo
+// mesmo dispatchWebhook das mensagens.
+const { serializeId } = require('./messageStore');
+
+// Evento do WPPConnect → tipo do webhook (a ordem é a da documentação)
+const CHAT_EVENTS = [
+  'edited',
+  'revoked',
+  'reaction',
+  'poll-vote',
+  'call',
+  'participants',
+  'presence',
+  'label',
+];
+
+// MsgKey chega como objeto: { fromMe, remote, id, participant, _serialized }
+function senderOf(key) {
+  if (!key || key.fromMe) return null;
+  return serializeId(key.participant) || serializeId(key.remote);
+}
+
+const normalize = {
+  // Chega um único objeto { chat, id, msg } (a tipagem de onMessageEdit
+  // fala em três argumentos, mas o listener.layer emite assim)
+  edited: ({ chat, id, msg } = {}) => ({
+    messageId: serializeId(id) || serializeId(msg?.id),
+    chatId: serializeId(chat),
+    fromMe: Boolean(msg?.fromMe ?? msg?.id?.fromMe),
+    author: serializeId(msg?.author) || serializeId(msg?.from),
+    body: msg?.body ?? null,
+    caption: msg?.caption ?? null,
+    editedAt: msg?.latestEditSenderTimestampMs
+      ? new Date(msg.latestEditSenderTimestampMs).toISOString()
+      : new Date().toISOString(),
+  }),
+
+  // refId é a mensagem apagada; id é a notificação da exclusão
+  revoked: (data) => ({
+    messageId: serializeId(data.refId),
+    revokeId: serializeId(data.id),
+    from: serializeId(data.from),
+    to: serializeId(data.to),
+    author: serializeId(data.author),
+  }),
+
+  // reactionText vazio = reação removida
+  reaction: (data) => ({
+    reactionId: serializeId(data.id),
+    messageId: serializeId(data.msgId),
+    chatId: serializeId(data.msgId?.remote),
+    sender: senderOf(data.id),
+    fromMe: Boolean(data.id?.fromMe),
+    reaction: data.reactionText || null,
+    removed: !data.reactionText,
+    timestamp: data.timestamp,
+  }),
+
+  'poll-vote': (data) => ({
+    messageId: serializeId(data.msgId),
+    chatId: serializeId(data.chatId),
+    sender: serializeId(data.sender),
+    selectedOptions: (data.selectedOptions || []).map((option) =>
+      option && typeof option === 'object'
+        ? { id: option.localId ?? null, name: option.name ?? null }
+        : { id: option, name: null }
+    ),
+    timestamp: data.timestamp,
+  }),
+
+  call: (call) => ({
+    callId: call.id,
+    from: call.peerJid,
+    isVideo: Boolean(call.isVideo),
+    isGroup: Boolean(call.isGroup),
+    groupId: call.groupJid || null,
+    offerTime: call.offerTime,
+  }),
+
+  participants: (data) => ({
+    groupId: data.groupId,
+    action: data.action,
+    operation: data.operation ?? null,
+    by: data.by ?? null,
+    byPushName: data.byPushName ?? null,
+    participants: [].concat(data.who || []).map(serializeId),
+  }),
+
+  presence: (presence) => ({
+    chatId: presence.id,
+    isGroup: Boolean(presence.isGroup),
+    state: presence.state,
+    isOnline: Boolean(presence.isOnline),
+    participants: presence.participants || null,
+    at: new Date(presence.t || Date.now()).toISOString(),
+  }),
+
+  // type: 'add' | 'remove' (etiquetas aplicadas ou retiradas do chat)
+  label: (data) => ({
+    chatId: serializeId(data.chat?.id) || serializeId(data.chat),
+    action: data.type,
+    labels: (data.labels || []).map((label) => ({
+      id: label.id,
+      name: label.name,
+      hexColor: label.hexColor || null,
+    })),
+  }),
+};
+
+/**
+ * Registra os listeners no client e chama emit(event, data) com o payload
+ * normalizado. Devolve os disposables (para o sessionManager.track).
+ */
+function subscribeChatEvents(client, emit) {
+  const on = (event) =>
+    function (...args) {
+      let data;
+      try {
+        data = normalize[event](...args);
+      } catch (error) {
+        console.error(
+          `⚠️ [CHAT-EVENTS] Evento ${event} em formato inesperado:`,
+          error.message
+        );
+        return;
+      }
+      emit(event, data);
+    };
+
+  return [
+    client.onMessageEdit(on('edited')),
+    client.onRevokedMessage(on('revoked')),
+    client.onReactionMessage(on('reaction')),
+    client.onPollResponse(on('poll-vote')),
+    client.onIncomingCall(on('call')),
+    client.onParticipantsChanged(on('participants')),
+    client.onPresenceChanged(on('presence')),
+    client.onUpdateLabel(on('label')),
+  ];
+}
+
+module.exports = {
+  CHAT_EVENTS,
+  subscribeChatEvents,
+};
@@ -0,0 +1,86 @@
+// lib/errors.js
+// Modelo único de erro da API. Toda resposta de erro tem o formato
+// { status: false, code, message, retryable, ...detalhes }: code é estável
+// (para o cliente tratar), retryable diz se repetir a mesma requisição mais
+// tarde pode dar certo (ex.: sessão reconectando, URL de mídia fora do ar).
+
+// code → status HTTP e se vale tentar de novo
+const ERROR_CODES = Object.freeze({
+  VALIDATION_ERROR: { httpStatus: 400, retryable: false },
+  INVALID_MEDIA: { httpStatus: 400, retryable: false },
+  UNAUTHORIZED: { httpStatus: 401, retryable: false },
+  FORBIDDEN: { httpStatus: 403, retryable: false },
+  NOT_FOUND: { httpStatus: 404, retryable: false },
+  SESSION_NOT_FOUND: { httpStatus: 404, retryable: false },
+  MESSAGE_NOT_FOUND: { httpStatus: 404, retryable: false },
+  GROUP_NOT_FOUND: { httpStatus: 404, retryable: false },
+  INVALID_SESSION_STATE: { httpStatus: 409, retryable: false },
+  IDEMPOTENCY_IN_PROGRESS: { httpStatus: 409, retryable: true },
+  PAYLOAD_TOO_LARGE: { httpStatus: 413, retryable: false },
+  IDEMPOTENCY_KEY_REUSED: { httpStatus: 422, retryable: false },
+  NUMBER_NOT_ON_WHATSAPP: { httpStatus: 422, retryable: false },
+  NOT_A_MEDIA_MESSAGE: { httpStatus: 422, retryable: false },
+  MESSAGE_ACTION_NOT_ALLOWED: { httpStatus: 422, retryable: false },
+  GROUP_ADMIN_REQUIRED: { httpStatus: 422, retryable: false },
+  CONVERSION_FAILED: { httpStatus: 422, retryable: false },
+  INTERNAL_ERROR: { httpStatus: 500, retryable: true },
+  MEDIA_FETCH_FAILED: { httpStatus: 502, retryable: true },
+  MEDIA_DOWNLOAD_FAILED: { httpStatus: 502, retryable: true },
+  SEND_FAILED: { httpStatus: 502, retryable: true },
+  NOT_CONNECTED: { httpStatus: 503, retryable: true },
+});
+
+class ApiError extends Error {
+  /**
+   * @param {string} code chave de ERROR_CODES
+   * @param {string} message mensagem para o cliente (pt-BR)
+   * @param {object} [details] campos extras do corpo (ex.: { session })
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    if (!ERROR_CODES[code])
+      throw new Error(`Código de erro desconhecido: ${code}`);
+    this.name = 'ApiError';
+    this.code = code;
+    this.httpStatus = ERROR_CODES[code].httpStatus;
+    this.retryable = ERROR_CODES[code].retryable;
+    this.details = details;
+  }
+}
+
+/**
+ * Converte qualquer erro em ApiError; erros inesperados viram fallbackCode
+ * (padrão INTERNAL_ERROR) com a mensagem original em "error"
+ */
+function toApiError(error, fallbackCode = 'INTERNAL_ERROR', message = null) {
+  if (error instanceof ApiError) return error;
+  return new ApiError(fallbackCode, message || 'Erro interno do servidor', {
+    error: String(error?.message || error),
+  });
+}
+
+/** Responde com o envelope de erro; extra soma campos ao corpo */
+function sendError(res, error, extra = {}) {
+  const apiError = toApiError(error);
+  return res.status(apiError.httpStatus).send({
+    status: false,
+    code: apiError.code,
+    message: apiError.message,
+    retryable: apiError.retryable,
+    ...apiError.details,
+    ...extra,
+  });
+}
+
+/** Atalho para respostas de erro sem exceção: fail(res, 'NOT_FOUND', '...') */
+function fail(res, code, message, details = {}) {
+  return sendError(res, new ApiError(code, message, details));
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  toApiError,
+  sendError,
+  fail,
+};
@@ -0,0 +1,176 @@
+// lib/eventStream.js
+// Stream de eventos em tempo real (Server-Sent Events): QR, estado das
+// sessões, mensagens, acks, eventos do chat e progresso de campanhas. Os últimos eventos
+// ficam em memória para que o cliente possa retomar de onde parou
+// (header Last-Event-ID, enviado automaticamente pelo EventSource).
+const { randomBytes } = require('crypto');
+const { CHAT_EVENTS } = require('./chatEvents');
+
+const EVENT_STREAM_BUFFER_SIZE = Number(
+  process.env.EVENT_STREAM_BUFFER_SIZE || 1000
+);
+const EVENT_STREAM_HEARTBEAT_MS = Number(
+  process.env.EVENT_STREAM_HEARTBEAT_MS || 25 * 1000
+);
+
+const STREAM_EVENTS = [
+  'qr',
+  'pairing-code',
+  'state',
+  'received',
+  'sent',
+  'ack',
+  ...CHAT_EVENTS,
+  'campaign',
+];
+
+// Os ids são "<boot>-<seq>": um cursor de outro processo (antes de um
+// restart) é reconhecido e o cliente recebe "resync" em vez de lacunas
+const bootId = randomBytes(4).toString('hex');
+let seq = 0;
+const buffer = []; // últimos eventos, em ordem
+const subscribers = new Set();
+
+/** Aceita array ou string "a,b"; vazio/null/"*" = todos */
+function parseEventFilter(events) {
+  if (!events) return null;
+  const list = (Array.isArray(events) ? events : String(events).split(','))
+    .map((e) => String(e).trim())
+    .filter(Boolean);
+  return list.length && !list.includes('*') ? list : null;
+}
+
+function invalidEvents(events) {
+  return (parseEventFilter(events) || []).filter(
+    (e) => !STREAM_EVENTS.includes(e)
+  );
+}
+
+// Payload dos eventos "qr" (o asciiQR fica de fora: só serve para terminal)
+function qrEventData(qrCode) {
+  return {
+    base64Image: qrCode.base64Image,
+    urlCode: qrCode.urlCode,
+    attempts: qrCode.attempts,
+    expiresAt: new Date(qrCode.expiresAt).toISOString(),
+  };
+}
+
+function matches(subscriber, evt) {
+  if (subscriber.session && subscriber.session !== evt.session) return false;
+  return !subscriber.events || subscriber.events.includes(evt.type);
+}
+
+function write(res, evt) {
+  let chunk = '';
+  if (evt.id) chunk += `id: ${evt.id}\n`;
+  chunk += `event: ${evt.type}\n`;
+  chunk += `data: ${JSON.stringify({
+    session: evt.session,
+    ts: evt.ts,
+    data: evt.data,
+  })}\n\n`;
+  res.write(chunk);
+}
+
+/** Publica um evento para todos os inscritos (nunca lança) */
+function publish(sessionName, type, data) {
+  const evt = {
+    id: `${bootId}-${++seq}`,
+    seq,
+    session: sessionName,
+    type,
+    ts: new Date().toISOString(),
+    data,
+  };
+  buffer.push(evt);
+  if (buffer.length > EVENT_STREAM_BUFFER_SIZE) buffer.shift();
+
+  for (const subscriber of subscribers) {
+    if (!matches(subscriber, evt)) continue;
+    try {
+      write(subscriber.res, evt);
+    } catch (err) {
+      console.error('⚠️ [EVENTS] Falha ao escrever no stream:', err?.message);
+    }
+  }
+}
+
+/**
+ * Eventos publicados depois do cursor, ou null se não for possível
+ * retomar (cursor de outro processo ou já fora do buffer).
+ */
+function eventsSince(cursor) {
+  const [boot, n] = String(cursor).split('-');
+  const after = Number(n);
+  if (boot !== bootId || !Number.isInteger(after)) return null;
+  if (after >= seq) return [];
+
+  const oldest = buffer.length ? buffer[0].seq : seq + 1;
+  if (after < oldest - 1) return null;
+  return buffer.filter((evt) => evt.seq > after);
+}
+
+/**
+ * Abre o stream SSE na resposta.
+ * - session: só eventos dessa sessão (null = todas)
+ * - events: filtro de tipos (ver parseEventFilter)
+ * - cursor: último id recebido pelo cliente, para retomar
+ * - snapshot: eventos sintéticos (sem id) enviados quando não há cursor,
+ *   ex.: o estado atual e o QR pendente
+ */
+function subscribe(
+  req,
+  res,
+  { session = null, events, cursor, snapshot = [] }
+) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: 3000\n\n`);
+
+  const subscriber = { res, session, events: parseEventFilter(events) };
+
+  if (cursor) {
+    const missed = eventsSince(cursor);
+    if (missed) {
+      missed
+        .filter((evt) => matches(subscriber, evt))
+        .forEach((evt) => write(res, evt));
+    } else {
+      // Não dá para garantir continuidade: o cliente deve recarregar o estado
+      write(res, { type: 'resync', session, data: { cursor } });
+      snapshot.forEach((evt) => matches(subscriber, evt) && write(res, evt));
+    }
+  } else {
+    snapshot.forEach((evt) => matches(subscriber, evt) && write(res, evt));
+  }
+
+  subscribers.add(subscriber);
+  const heartbeat = setInterval(
+    () => res.write(': ping\n\n'),
+    EVENT_STREAM_HEARTBEAT_MS
+  );
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscribers.delete(subscriber);
+  });
+}
+
+function countSubscribers() {
+  return subscribers.size;
+}
+
+module.exports = {
+  STREAM_EVENTS,
+  invalidEvents,
+  qrEventData,
+  publish,
+  subscribe,
+  countSubscribers,
+};
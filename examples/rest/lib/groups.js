@@ -0,0 +1,446 @@
+// lib/groups.js
+// Gestão de grupos pela API REST sobre o GroupLayer do wppconnect: listagem
+// com metadados, criação, participantes e admins, link de convite,
+// pedidos de entrada, assunto/descrição/ícone e configurações. Operações
+// em lote devolvem um resultado por participante (quem falhou e por quê)
+// em vez de falhar a requisição inteira.
+const { ApiError } = require('./errors');
+const { serializeId, phoneFromJid } = require('./messageStore');
+
+// Códigos que o WhatsApp devolve por participante ao criar/adicionar
+const ADD_RESULTS = {
+  200: { ok: true, code: 'added', message: 'Adicionado ao grupo' },
+  403: {
+    ok: false,
+    code: 'invite_required',
+    message:
+      'A privacidade do número não permite ser adicionado; use o convite',
+  },
+  408: {
+    ok: false,
+    code: 'recently_left',
+    message: 'O número saiu do grupo recentemente',
+  },
+  409: { ok: false, code: 'already_participant', message: 'Já está no grupo' },
+  401: { ok: false, code: 'blocked', message: 'O número bloqueou esta sessão' },
+  500: { ok: false, code: 'group_full', message: 'O grupo está cheio' },
+};
+
+// Configurações do grupo → propriedade do WPP.group.setProperty
+const SETTINGS = {
+  announcement: 'announcement', // só admins enviam mensagens
+  restrict: 'restrict', // só admins editam os dados do grupo
+  ephemeral: 'ephemeral', // mensagens temporárias (segundos; 0 desliga)
+};
+const EPHEMERAL_DURATIONS = [0, 86400, 604800, 7776000];
+
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+const REQUEST_ACTIONS = ['approve', 'reject'];
+
+/** "120363...@g.us" ou só o número do grupo */
+function toGroupId(groupId) {
+  const id = String(groupId || '').trim();
+  return id.includes('@') ? id : `${id}@g.us`;
+}
+
+/** Número (com ou sem símbolos) ou jid → "5511...@c.us" */
+function toContactId(participant) {
+  const value = String(participant || '').trim();
+  if (value.includes('@')) return value;
+  const digits = value.replace(/\D/g, '');
+  return digits ? `${digits}@c.us` : null;
+}
+
+function groupFields(chat) {
+  const meta = chat.groupMetadata || {};
+  const participants = meta.participants || [];
+  return {
+    id: serializeId(chat.id),
+    name: chat.name || meta.subject || null,
+    description: meta.desc || null,
+    owner: serializeId(meta.owner),
+    createdAt: meta.creation
+      ? new Date(meta.creation * 1000).toISOString()
+      : null,
+    size: meta.size ?? participants.length,
+    admins: participants.filter((p) => p.isAdmin).map((p) => serializeId(p.id)),
+    settings: {
+      announcement: Boolean(meta.announce),
+      restrict: Boolean(meta.restrict),
+      ephemeral: chat.ephemeralDuration || meta.ephemeralDuration || 0,
+      membershipApproval: Boolean(meta.membershipApprovalMode),
+    },
+    unreadCount: chat.unreadCount ?? 0,
+    archived: Boolean(chat.archive),
+  };
+}
+
+/** Grupos da sessão com metadados */
+async function listGroups(client) {
+  const chats = await client.listChats({ onlyGroups: true });
+  return chats.map(groupFields);
+}
+
+/** Grupo pelo id (GROUP_NOT_FOUND se a sessão não o conhecer) */
+async function requireGroup(client, groupId) {
+  const id = toGroupId(groupId);
+  const chat = await client.getChatById(id).catch(() => null);
+  if (!chat || !chat.isGroup) {
+    throw new ApiError('GROUP_NOT_FOUND', 'Grupo não encontrado', {
+      groupId: id,
+    });
+  }
+  return chat;
+}
+
+/** Metadados do grupo e a lista de participantes com o papel de cada um */
+async function getGroup(client, groupId) {
+  const chat = await requireGroup(client, groupId);
+  const participants = (chat.groupMetadata?.participants || []).map((p) => ({
+    id: serializeId(p.id),
+    phone: phoneFromJid(serializeId(p.id)),
+    isAdmin: Boolean(p.isAdmin),
+    isSuperAdmin: Boolean(p.isSuperAdmin),
+  }));
+  return { ...groupFields(chat), participants };
+}
+
+// A sessão precisa ser admin para alterar o grupo
+async function requireAdmin(client, groupId) {
+  const [me, admins] = await Promise.all([
+    client.getWid(),
+    client.getGroupAdmins(groupId),
+  ]);
+  const isAdmin = admins.some((admin) => serializeId(admin) === me);
+  if (!isAdmin) {
+    throw new ApiError(
+      'GROUP_ADMIN_REQUIRED',
+      'A sessão precisa ser admin do grupo para esta operação',
+      { groupId }
+    );
+  }
+}
+
+function result(participant, id, outcome, extra = {}) {
+  return { participant, id, ...outcome, ...extra };
+}
+
+function failed(error) {
+  return {
+    ok: false,
+    code: 'failed',
+    message: error?.message || String(error),
+  };
+}
+
+/**
+ * Resolve a lista de números: cada um vira { participant, id } ou, se não
+ * for um número de WhatsApp, um resultado de falha já pronto
+ */
+async function resolveParticipants(client, participants) {
+  const valid = [];
+  const rejected = [];
+  for (const participant of [].concat(participants || [])) {
+    const id = toContactId(participant);
+    if (!id) {
+      rejected.push(
+        result(participant, null, {
+          ok: false,
+          code: 'invalid_number',
+          message: 'Número inválido',
+        })
+      );
+      continue;
+    }
+    if (id.endsWith('@c.us')) {
+      const status = await client.checkNumberStatus(id).catch(() => null);
+      if (!status || !status.canReceiveMessage) {
+        rejected.push(
+          result(participant, id, {
+            ok: false,
+            code: 'not_on_whatsapp',
+            message: 'Número não existe no WhatsApp',
+          })
+        );
+        continue;
+      }
+      valid.push({ participant, id: serializeId(status.id) || id });
+    } else {
+      valid.push({ participant, id });
+    }
+  }
+  return { valid, rejected };
+}
+
+// { "5511...@c.us": { code, invite_code, ... } } → resultados por participante
+function addResults(valid, byId = {}) {
+  return valid.map(({ participant, id }) => {
+    const entry = byId[id];
+    if (!entry) {
+      return result(participant, id, {
+        ok: false,
+        code: 'unknown',
+        message: 'O WhatsApp não devolveu resultado para o número',
+      });
+    }
+    const known = ADD_RESULTS[entry.code] || {
+      ok: false,
+      code: 'failed',
+      message: entry.message || `Código ${entry.code}`,
+    };
+    return result(participant, id, known, {
+      ...(entry.invite_code && {
+        inviteLink: `https://chat.whatsapp.com/${entry.invite_code}`,
+      }),
+    });
+  });
+}
+
+function summary(results) {
+  const succeeded = results.filter((r) => r.ok).length;
+  return { succeeded, failed: results.length - succeeded, results };
+}
+
+/** Cria o grupo; números inválidos ou sem WhatsApp ficam de fora */
+async function createGroup(client, { name, participants, description }) {
+  const { valid, rejected } = await resolveParticipants(client, participants);
+  if (!valid.length) {
+    throw new ApiError(
+      'VALIDATION_ERROR',
+      'Nenhum participante válido para criar o grupo',
+      { results: rejected }
+    );
+  }
+  const created = await client.createGroup(
+    name,
+    valid.map((p) => p.id)
+  );
+  const groupId = serializeId(created.gid);
+  if (description) await client.setGroupDescription(groupId, description);
+  return {
+    groupId,
+    ...summary([...addResults(valid, created.participants), ...rejected]),
+  };
+}
+
+/**
+ * Adiciona, remove, promove ou rebaixa participantes. Cada número é
+ * tratado separadamente: um número com problema não impede os demais.
+ */
+async function updateParticipants(client, groupId, action, participants) {
+  const chat = await requireGroup(client, groupId);
+  const id = serializeId(chat.id);
+  await requireAdmin(client, id);
+
+  const { valid, rejected } = await resolveParticipants(client, participants);
+  if (action === 'add') {
+    const added = valid.length
+      ? await client.addParticipant(
+          id,
+          valid.map((p) => p.id)
+        )
+      : {};
+    return summary([...addResults(valid, added), ...rejected]);
+  }
+
+  const members = new Map(
+    (chat.groupMetadata?.participants || []).map((p) => [serializeId(p.id), p])
+  );
+  const results = [];
+  for (const { participant, id: contactId } of valid) {
+    const member = members.get(contactId);
+    const skip = !member
+      ? { code: 'not_a_participant', message: 'Não está no grupo' }
+      : action === 'promote' && member.isAdmin
+      ? { code: 'already_admin', message: 'Já é admin' }
+      : action === 'demote' && !member.isAdmin
+      ? { code: 'not_an_admin', message: 'Não é admin' }
+      : null;
+    if (skip) {
+      results.push(result(participant, contactId, { ok: false, ...skip }));
+      continue;
+    }
+    try {
+      if (action === 'remove') await client.removeParticipant(id, contactId);
+      if (action === 'promote') await client.promoteParticipant(id, contactId);
+      if (action === 'demote') await client.demoteParticipant(id, contactId);
+      results.push(
+        // removed, promoted, demoted
+        result(participant, contactId, {
+          ok: true,
+          code: `${action}d`,
+          message: 'OK',
+        })
+      );
+    } catch (error) {
+      results.push(result(participant, contactId, failed(error)));
+    }
+  }
+  return summary([...results, ...rejected]);
+}
+
+/** Link de convite atual ou, com revoke, um novo (o anterior para de valer) */
+async function inviteLink(client, groupId, { revoke = false } = {}) {
+  const chat = await requireGroup(client, groupId);
+  const id = serializeId(chat.id);
+  await requireAdmin(client, id);
+  const link = revoke
+    ? await client.revokeGroupInviteLink(id)
+    : await client.getGroupInviteLink(id);
+  return { inviteLink: link };
+}
+
+/** Pedidos de entrada pendentes (grupos com aprovação de admin) */
+async function listMembershipRequests(client, groupId) {
+  const chat = await requireGroup(client, groupId);
+  const id = serializeId(chat.id);
+  await requireAdmin(client, id);
+  const requests = await client.getGroupMembershipRequests(id);
+  return requests.map((request) => ({
+    id: serializeId(request.id),
+    phone: phoneFromJid(serializeId(request.id)),
+    addedBy: serializeId(request.addedBy),
+    method: request.requestMethod,
+    requestedAt: request.t ? new Date(request.t * 1000).toISOString() : null,
+  }));
+}
+
+/**
+ * Aprova ou rejeita pedidos de entrada. Sem participants, vale para todos
+ * os pendentes.
+ */
+async function answerMembershipRequests(client, groupId, action, participants) {
+  const pending = await listMembershipRequests(client, groupId);
+  const id = toGroupId(groupId);
+  const pendingIds = new Set(pending.map((request) => request.id));
+  const wanted = participants?.length
+    ? participants.map((participant) => ({
+        participant,
+        id: toContactId(participant),
+      }))
+    : pending.map((request) => ({
+        participant: request.phone,
+        id: request.id,
+      }));
+
+  const results = [];
+  const toAnswer = [];
+  for (const entry of wanted) {
+    if (!pendingIds.has(entry.id)) {
+      results.push(
+        result(entry.participant, entry.id, {
+          ok: false,
+          code: 'no_pending_request',
+          message: 'Não há pedido de entrada pendente deste número',
+        })
+      );
+    } else {
+      toAnswer.push(entry);
+    }
+  }
+
+  if (toAnswer.length) {
+    const ids = toAnswer.map((entry) => entry.id);
+    const answered =
+      action === 'approve'
+        ? await client.approveGroupMembershipRequest(id, ids)
+        : await client.rejectGroupMembershipRequest(id, ids);
+    const errors = new Map(
+      (answered || []).map((entry) => [serializeId(entry.wid), entry.error])
+    );
+    for (const entry of toAnswer) {
+      const error = errors.get(entry.id);
+      results.push(
+        result(
+          entry.participant,
+          entry.id,
+          error
+            ? failed(error)
+            : {
+                ok: true,
+                code: action === 'approve' ? 'approved' : 'rejected',
+                message: 'OK',
+              }
+        )
+      );
+    }
+  }
+  return summary(results);
+}
+
+/**
+ * Altera assunto, descrição e configurações (só os campos enviados).
+ * Devolve o grupo atualizado.
+ */
+async function updateGroup(client, groupId, changes) {
+  const chat = await requireGroup(client, groupId);
+  const id = serializeId(chat.id);
+  await requireAdmin(client, id);
+
+  const { subject, description, settings = {} } = changes;
+  if (
+    settings.ephemeral !== undefined &&
+    !EPHEMERAL_DURATIONS.includes(Number(settings.ephemeral))
+  ) {
+    throw new ApiError(
+      'VALIDATION_ERROR',
+      `ephemeral deve ser um de: ${EPHEMERAL_DURATIONS.join(', ')}`
+    );
+  }
+
+  if (subject !== undefined) await client.setGroupSubject(id, subject);
+  if (description !== undefined) {
+    await client.setGroupDescription(id, description);
+  }
+  for (const [name, property] of Object.entries(SETTINGS)) {
+    if (settings[name] === undefined) continue;
+    const value =
+      name === 'ephemeral' ? Number(settings[name]) : Boolean(settings[name]);
+    await client.setGroupProperty(id, property, value);
+  }
+  return getGroup(client, id);
+}
+
+/** Troca o ícone (URL ou data URI de imagem) ou, com image null, remove */
+async function setIcon(client, groupId, image) {
+  // setGroupIcon lê arquivo do servidor quando não consegue baixar a URL:
+  // só passa adiante o que certamente não é caminho local
+  if (image && !/^(https?:\/\/|data:image\/)/.test(image)) {
+    throw new ApiError(
+      'INVALID_MEDIA',
+      'image deve ser URL http(s) ou data URI (data:image/...)'
+    );
+  }
+  const chat = await requireGroup(client, groupId);
+  const id = serializeId(chat.id);
+  await requireAdmin(client, id);
+  if (image) {
+    await client.setGroupIcon(id, image).catch((error) => {
+      if (['empty_file', 'invalid_image'].includes(error?.code)) {
+        throw new ApiError(
+          'INVALID_MEDIA',
+          `Imagem inválida: ${error.message}`
+        );
+      }
+      throw error;
+    });
+  } else {
+    await client.removeGroupIcon(id);
+  }
+  return { groupId: id, icon: image ? 'updated' : 'removed' };
+}
+
+module.exports = {
+  PARTICIPANT_ACTIONS,
+  REQUEST_ACTIONS,
+  EPHEMERAL_DURATIONS,
+  listGroups,
+  getGroup,
+  createGroup,
+  updateParticipants,
+  inviteLink,
+  listMembershipRequests,
+  answerMembershipRequests,
+  updateGroup,
+  setIcon,
+};
@@ -0,0 +1,185 @@
+// lib/idempotency.js
+// Header Idempotency-Key nas rotas de envio: a primeira requisição com uma
+// chave (por sessão) executa e tem a resposta gravada em
+// WhatsAppIdempotencyKey; as repetições dentro de IDEMPOTENCY_TTL_MS recebem
+// a mesma resposta (com o mesmo id da mensagem) sem enviar de novo. O índice
+// único (sessionName, key) garante que, entre requisições simultâneas (mesmo
+// em instâncias diferentes), só uma envia.
+const crypto = require('crypto');
+const prisma = require('./prisma');
+const { fail, sendError } = require('./errors');
+
+// Por quanto tempo uma chave concluída é lembrada
+const IDEMPOTENCY_TTL_MS = Number(
+  process.env.IDEMPOTENCY_TTL_MS || 24 * 60 * 60 * 1000
+);
+// Chave presa em processing (ex.: crash no meio do envio) é liberada depois disso
+const IDEMPOTENCY_LOCK_TTL_MS = Number(
+  process.env.IDEMPOTENCY_LOCK_TTL_MS || 5 * 60 * 1000
+);
+const MAX_KEY_LENGTH = 255;
+
+const STATUS = Object.freeze({
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+});
+
+let lastPrune = 0;
+
+// Mesma chave com outro corpo/rota é erro do cliente, não repetição. Em
+// upload multipart o arquivo entra no lugar do campo de origem pelo hash
+// do conteúdo (o temporário muda a cada requisição).
+function fingerprint(req) {
+  const body = req.upload
+    ? { ...req.body, [req.upload.field]: `upload:${req.upload.sha256}` }
+    : req.body;
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.path}\n${JSON.stringify(body ?? null)}`)
+    .digest('hex');
+}
+
+// Apaga as chaves vencidas, no máximo uma vez por minuto
+function pruneExpired() {
+  if (Date.now() - lastPrune < 60 * 1000) return;
+  lastPrune = Date.now();
+  prisma.whatsAppIdempotencyKey
+    .deleteMany({ where: { expiresAt: { lt: new Date() } } })
+    .catch((error) =>
+      console.error('⚠️ [IDEMPOTENCY] Falha ao limpar chaves:', error.message)
+    );
+}
+
+/**
+ * Reserva a chave para esta requisição. Devolve { row } quando a reserva é
+ * nossa ou { existing } com o registro de quem chegou antes; chaves
+ * vencidas ou abandonadas em processing são apagadas e disputadas de novo.
+ */
+async function claim(sessionName, key, requestHash) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const now = Date.now();
+    try {
+      const row = await prisma.whatsAppIdempotencyKey.create({
+        data: {
+          sessionName,
+          key,
+          requestHash,
+          status: STATUS.PROCESSING,
+          expiresAt: new Date(now + IDEMPOTENCY_TTL_MS),
+        },
+      });
+      return { row };
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+    }
+
+    const existing = await prisma.whatsAppIdempotencyKey.findFirst({
+      where: { sessionName, key },
+    });
+    if (!existing) continue; // apagada entre o create e a busca
+
+    const abandoned =
+      existing.status === STATUS.PROCESSING &&
+      new Date(existing.updatedAt).getTime() < now - IDEMPOTENCY_LOCK_TTL_MS;
+    if (new Date(existing.expiresAt).getTime() > now && !abandoned) {
+      return { existing };
+    }
+
+    // Só apaga se ninguém mexeu no registro desde a leitura
+    await prisma.whatsAppIdempotencyKey.deleteMany({
+      where: { id: existing.id, updatedAt: existing.updatedAt },
+    });
+  }
+  return {
+    existing: { requestHash: null, status: STATUS.PROCESSING },
+  };
+}
+
+/**
+ * Grava a resposta final. Sucessos e erros permanentes ficam gravados;
+ * erros retryable liberam a chave para que a repetição envie de verdade.
+ */
+async function settle(row, httpStatus, body) {
+  try {
+    if (httpStatus < 400 || body?.retryable === false) {
+      await prisma.whatsAppIdempotencyKey.update({
+        where: { id: row.id },
+        data: {
+          status: STATUS.COMPLETED,
+          httpStatus,
+          response: body ?? null,
+        },
+      });
+    } else {
+      await prisma.whatsAppIdempotencyKey.deleteMany({
+        where: { id: row.id },
+      });
+    }
+  } catch (error) {
+    console.error(
+      `⚠️ [IDEMPOTENCY] Falha ao gravar a chave ${row.key} da sessão ${row.sessionName}:`,
+      error.message
+    );
+  }
+}
+
+/** Middleware das rotas de envio (depois do app.param('session')) */
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return fail(
+      res,
+      'VALIDATION_ERROR',
+      `Idempotency-Key deve ter entre 1 e ${MAX_KEY_LENGTH} caracteres`
+    );
+  }
+
+  const sessionName = req.params.session;
+  const requestHash = fingerprint(req);
+  pruneExpired();
+
+  let claimed;
+  try {
+    claimed = await claim(sessionName, key, requestHash);
+  } catch (error) {
+    console.error('Erro ao reservar Idempotency-Key:', error);
+    return sendError(res, error);
+  }
+
+  const { row, existing } = claimed;
+  if (existing) {
+    if (existing.requestHash && existing.requestHash !== requestHash) {
+      return fail(
+        res,
+        'IDEMPOTENCY_KEY_REUSED',
+        'Idempotency-Key já usada em uma requisição diferente',
+        { idempotencyKey: key }
+      );
+    }
+    if (existing.status === STATUS.PROCESSING) {
+      return fail(
+        res,
+        'IDEMPOTENCY_IN_PROGRESS',
+        'Já existe uma requisição em andamento com esta Idempotency-Key',
+        { idempotencyKey: key }
+      );
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.httpStatus).send(existing.response);
+  }
+
+  // Grava o corpo que o handler devolver (res.send de objeto passa por
+  // res.json), mesmo que o cliente já tenha desconectado
+  const json = res.json.bind(res);
+  res.json = function (payload) {
+    settle(row, res.statusCode, payload);
+    return json(payload);
+  };
+  next();
+}
+
+module.exports = {
+  idempotency,
+};
@@ -0,0 +1,89 @@
+// lib/mediaArchive.js
+// Arquivo das mídias recebidas: baixadas assim que chegam e gravadas no
+// backend de lib/mediaStorage.js, endereçadas pelo SHA-256 do conteúdo (o
+// mesmo arquivo recebido várias vezes é gravado uma vez só). O
+// /downloadmedia serve daqui, sem depender do navegador da sessão.
+const { createStorage, sha256Hex } = require('./mediaStorage');
+const metrics = require('./metrics');
+
+const storage = createStorage();
+if (storage) {
+  console.log(`[MEDIA-ARCHIVE] Arquivo de mídia: ${storage.name}`);
+}
+
+// "sha256/ab/abcdef..." (prefixo evita diretórios gigantes no disco local)
+function keyFor(hash) {
+  return `sha256/${hash.slice(0, 2)}/${hash}`;
+}
+
+/**
+ * downloadMedia devolve data URL ("data:image/jpeg;base64,...");
+ * aceita também base64 puro ou Buffer
+ */
+function toBuffer(media) {
+  if (Buffer.isBuffer(media)) return media;
+  if (typeof media !== 'string') return Buffer.from(media);
+  const match = /^data:([^;,]*)(?:;[^,]*)?,(.*)$/s.exec(media);
+  return Buffer.from(match ? match[2] : media, 'base64');
+}
+
+function isEnabled() {
+  return Boolean(storage);
+}
+
+/** A URI veio deste arquivo (e do backend configurado)? */
+function isArchiveUri(uri) {
+  return Boolean(storage && storage.keyFromUri(uri));
+}
+
+/**
+ * Grava o conteúdo (se ainda não existir) e devolve { uri, sha256, size,
+ * deduplicated }
+ */
+async function archiveBuffer(buffer, mimetype) {
+  const sha256 = sha256Hex(buffer);
+  const key = keyFor(sha256);
+  const deduplicated = await storage.exists(key);
+  if (!deduplicated) await storage.put(key, buffer, mimetype);
+  metrics.mediaArchived.inc({
+    backend: storage.name,
+    outcome: deduplicated ? 'deduplicated' : 'stored',
+  });
+  return { uri: storage.uri(key), sha256, size: buffer.length, deduplicated };
+}
+
+/**
+ * Baixa a mídia da mensagem pelo navegador e arquiva. Devolve o resultado
+ * de archiveBuffer ou null (arquivo desligado ou falha, apenas logada).
+ */
+async function archiveMessageMedia(client, message) {
+  if (!storage) return null;
+  try {
+    const media = await client.downloadMedia(message);
+    if (!media) throw new Error('downloadMedia não devolveu conteúdo');
+    return await archiveBuffer(toBuffer(media), message.mimetype);
+  } catch (error) {
+    metrics.mediaArchived.inc({ backend: storage.name, outcome: 'error' });
+    console.error(
+      `⚠️ [MEDIA-ARCHIVE] Falha ao arquivar a mídia ${message.id}:`,
+      error?.message || error
+    );
+    return null;
+  }
+}
+
+/** Conteúdo arquivado pela URI, ou null se não estiver no arquivo */
+async function readArchived(uri) {
+  const key = storage && storage.keyFromUri(uri);
+  if (!key) return null;
+  return storage.get(key);
+}
+
+module.exports = {
+  isEnabled,
+  isArchiveUri,
+  toBuffer,
+  archiveBuffer,
+  archiveMessageMedia,
+  readArchived,
+};
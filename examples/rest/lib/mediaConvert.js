@@ -0,0 +1,290 @@
+// lib/mediaConvert.js
+// Conversões de mídia para formatos que o WhatsApp aceita: áudio → OGG Opus
+// (mensagem de voz), vídeo/GIF → MP4 H.264/AAC, imagem (HEIC, BMP...) →
+// JPEG. Todas medidas em wpp_media_conversion_duration_seconds, limitadas a
+// MEDIA_CONVERSION_CONCURRENCY simultâneas e a MEDIA_CONVERSION_TIMEOUT_MS
+// por processo do ffmpeg; a falha vira CONVERSION_FAILED.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { execFile } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const sharp = require('sharp');
+const FileType = require('file-type');
+const { ApiError } = require('./errors');
+const metrics = require('./metrics');
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+const PROBE_TIMEOUT_MS = 15 * 1000;
+const MEDIA_CONVERSION_CONCURRENCY = Math.max(
+  1,
+  Number(process.env.MEDIA_CONVERSION_CONCURRENCY || 2)
+);
+const MEDIA_CONVERSION_TIMEOUT_MS = Number(
+  process.env.MEDIA_CONVERSION_TIMEOUT_MS || 2 * 60 * 1000
+);
+// Limites da mensagem de voz: tamanho do áudio de origem e duração
+const PTT_MAX_BYTES = Number(process.env.PTT_MAX_BYTES || 16 * 1024 * 1024);
+const PTT_MAX_DURATION_SECONDS = Number(
+  process.env.PTT_MAX_DURATION_SECONDS || 15 * 60
+);
+const CONVERSION_TMP_DIR = path.join(os.tmpdir(), 'wpp-media');
+
+// ---- fila de conversões (cada ffmpeg ocupa um núcleo inteiro)
+
+let running = 0;
+const waiting = [];
+
+async function acquireSlot() {
+  if (running < MEDIA_CONVERSION_CONCURRENCY) {
+    running++;
+    return;
+  }
+  // A vaga é repassada direto por releaseSlot (running não muda)
+  await new Promise((resolve) => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) next();
+  else running--;
+}
+
+/**
+ * Mede uma conversão (depois de conseguir vaga na fila); erro que não for
+ * ApiError vira CONVERSION_FAILED
+ */
+async function measureConversion(kind, convert) {
+  await acquireSlot();
+  const endTimer = metrics.mediaConversionDuration.startTimer({ kind });
+  try {
+    const result = await convert();
+    endTimer({ outcome: 'ok' });
+    return result;
+  } catch (error) {
+    endTimer({ outcome: 'error' });
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(
+      'CONVERSION_FAILED',
+      `Falha na conversão da mídia: ${error.message || error}`
+    );
+  } finally {
+    releaseSlot();
+  }
+}
+
+// Comando do ffmpeg com o processo morto (SIGKILL) após o timeout
+function command(input) {
+  return ffmpeg(input, { timeout: MEDIA_CONVERSION_TIMEOUT_MS / 1000 });
+}
+
+function run(cmd, output) {
+  return new Promise((resolve, reject) => {
+    cmd.on('end', resolve).on('error', reject).save(output);
+  });
+}
+
+/**
+ * Streams do arquivo segundo o ffmpeg (sem ffprobe: lê o cabeçalho que o
+ * "ffmpeg -i" imprime). Devolve { video, audio } com { codec, pixelFormat }
+ * / { codec } ou null quando não há o stream; null se o ffmpeg não ler o
+ * arquivo.
+ */
+function probeMedia(file) {
+  return new Promise((resolve) => {
+    execFile(
+      ffmpegPath,
+      ['-hide_banner', '-i', file],
+      { timeout: PROBE_TIMEOUT_MS },
+      // Sem saída o ffmpeg sempre termina com erro; só o stderr interessa
+      (_error, _stdout, stderr) => {
+        const video = /Stream #.*?: Video: (\w+)[^,\n]*(?:, (\w+))?/.exec(
+          stderr
+        );
+        const audio = /Stream #.*?: Audio: (\w+)/.exec(stderr);
+        if (!video && !audio) return resolve(null);
+        resolve({
+          video: video && { codec: video[1], pixelFormat: video[2] || null },
+          audio: audio && { codec: audio[1] },
+        });
+      }
+    );
+  });
+}
+
+// "00:01:02.50" → 62.5
+function timemarkSeconds(timemark) {
+  return String(timemark || '')
+    .split(':')
+    .reduce((total, part) => total * 60 + Number(part || 0), 0);
+}
+
+// Contêineres que o ffmpeg só lê com seek (índice no fim do arquivo): não
+// dá para mandar pelo stdin
+const SEEKABLE_ONLY = [
+  'video/mp4',
+  'audio/mp4',
+  'audio/x-m4a',
+  'video/quicktime',
+  'video/3gpp',
+];
+
+/**
+ * Buffer em arquivo temporário único (diretório próprio em
+ * <tmp>/wpp-media), apagado quando fn termina, com sucesso ou não
+ */
+async function withTempFile(buffer, ext, fn) {
+  await fs.promises.mkdir(CONVERSION_TMP_DIR, { recursive: true });
+  const dir = await fs.promises.mkdtemp(path.join(CONVERSION_TMP_DIR, 'ptt-'));
+  try {
+    const file = path.join(dir, `input.${ext}`);
+    await fs.promises.writeFile(file, buffer);
+    return await fn(file);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// ffmpeg lendo input (caminho ou stream) e devolvendo o OGG em memória
+function pipeToOggOpus(input) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let seconds = 0;
+    let failure = null;
+
+    const cmd = command(input)
+      .noVideo()
+      .audioCodec('libopus')
+      .audioBitrate('64k')
+      .audioChannels(1)
+      .audioFrequency(48000)
+      // Para logo depois do limite; o excesso é recusado abaixo
+      .duration(PTT_MAX_DURATION_SECONDS + 1)
+      .format('ogg')
+      .on('progress', (progress) => {
+        seconds = Math.max(seconds, timemarkSeconds(progress.timemark));
+        if (seconds > PTT_MAX_DURATION_SECONDS && !failure) {
+          failure = tooLong();
+          cmd.kill('SIGKILL');
+        }
+      })
+      .on('error', (error) => reject(failure || error))
+      .on('end', (_stdout, stderr) => {
+        const times = String(stderr || '').match(/time=\s*[\d:.]+/g) || [];
+        const last = times.length ? times[times.length - 1].slice(5) : null;
+        seconds = Math.max(seconds, timemarkSeconds(last && last.trim()));
+        if (seconds > PTT_MAX_DURATION_SECONDS) return reject(tooLong());
+        resolve({ buffer: Buffer.concat(chunks), seconds });
+      });
+
+    cmd.pipe().on('data', (chunk) => chunks.push(chunk));
+  });
+}
+
+function tooLong() {
+  return new ApiError(
+    'PAYLOAD_TOO_LARGE',
+    `Áudio maior que o limite de ${PTT_MAX_DURATION_SECONDS}s`,
+    { maxDurationSeconds: PTT_MAX_DURATION_SECONDS }
+  );
+}
+
+/**
+ * Converte para mensagem de voz (OGG Opus mono 48kHz) sem arquivos no
+ * diretório da aplicação: Buffer vai pelo stdin do ffmpeg (MP4/M4A, que
+ * precisam de seek, por um temporário do sistema) e o resultado volta pelo
+ * stdout. input também pode ser o caminho de um arquivo (upload). Devolve
+ * { buffer, seconds, dataUrl }.
+ */
+async function transcodeVoiceNote(input) {
+  const size = Buffer.isBuffer(input)
+    ? input.length
+    : await fs.promises.stat(input).then(
+        (stats) => stats.size,
+        () => {
+          throw new ApiError(
+            'INVALID_MEDIA',
+            'Arquivo de áudio não encontrado'
+          );
+        }
+      );
+  if (size > PTT_MAX_BYTES) {
+    throw new ApiError(
+      'PAYLOAD_TOO_LARGE',
+      `Áudio maior que o limite de ${PTT_MAX_BYTES} bytes`,
+      { maxBytes: PTT_MAX_BYTES }
+    );
+  }
+  if (!size) throw new ApiError('INVALID_MEDIA', 'Áudio vazio');
+
+  const result = await measureConversion('ptt', async () => {
+    if (!Buffer.isBuffer(input)) return pipeToOggOpus(input);
+    const type = await FileType.fromBuffer(input);
+    if (type && SEEKABLE_ONLY.includes(type.mime)) {
+      return withTempFile(input, type.ext, pipeToOggOpus);
+    }
+    return pipeToOggOpus(Readable.from([input]));
+  });
+  return {
+    ...result,
+    dataUrl: `data:audio/ogg;base64,${result.buffer.toString('base64')}`,
+  };
+}
+
+// MP4 que o WhatsApp reproduz: H.264 yuv420p (dimensões pares), AAC e
+// moov no início. withAudio: false para GIF (que não tem áudio).
+function convertToMp4(
+  input,
+  output,
+  { withAudio = true, kind = 'video' } = {}
+) {
+  return measureConversion(kind, () => {
+    const cmd = command(input)
+      .videoCodec('libx264')
+      .outputOptions([
+        '-preset veryfast',
+        '-crf 23',
+        '-pix_fmt yuv420p',
+        '-vf scale=trunc(iw/2)*2:trunc(ih/2)*2',
+        '-movflags +faststart',
+      ])
+      .format('mp4');
+    if (withAudio) cmd.audioCodec('aac').audioBitrate('128k');
+    else cmd.noAudio();
+    return run(cmd, output);
+  });
+}
+
+/**
+ * Converte a imagem para JPEG (respeitando a orientação EXIF). Usa o sharp;
+ * formatos que ele não lê (BMP, por exemplo) vão pelo ffmpeg. HEIC depende
+ * de um libvips com decodificador HEVC. Devolve a ferramenta usada.
+ */
+function convertToJpeg(input, output) {
+  return measureConversion('image', async () => {
+    try {
+      await sharp(input).rotate().jpeg({ quality: 90 }).toFile(output);
+      return 'sharp';
+    } catch (error) {
+      await run(command(input).frames(1).outputOptions('-q:v 2'), output).catch(
+        () => {
+          throw error;
+        }
+      );
+      return 'ffmpeg';
+    }
+  });
+}
+
+module.exports = {
+  PTT_MAX_BYTES,
+  PTT_MAX_DURATION_SECONDS,
+  measureConversion,
+  probeMedia,
+  transcodeVoiceNote,
+  convertToMp4,
+  convertToJpeg,
+};
@@ -0,0 +1,137 @@
+// lib/mediaLinks.js
+// Links públicos de /:session/downloadmedia/:messageId enviados nos webhooks
+// e no /mediainfo. Com MEDIA_LINK_SECRET definido, cada link leva um token
+// HMAC de curta duração (?expires=&signature=) que dispensa a API key. Nos
+// webhooks o token é renovado a cada tentativa de entrega (ver
+// refreshDownloadUrls), então retries e reentregas não levam link vencido.
+const crypto = require('crypto');
+
+// URL pública do servidor (ex.: https://wpp.exemplo.com), sem barra no final
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+const MEDIA_LINK_SECRET = process.env.MEDIA_LINK_SECRET || null;
+const MEDIA_LINK_TTL_SECONDS = Number(
+  process.env.MEDIA_LINK_TTL_SECONDS || 60 * 60
+); // 1h
+
+const FALLBACK_BASE_URL = 'http://localhost:3001';
+const DOWNLOAD_PATH = /^\/([^/]+)\/downloadmedia\/([^/]+)$/;
+
+if (!PUBLIC_BASE_URL) {
+  console.warn(
+    `⚠️ [MEDIA] PUBLIC_BASE_URL não definido: links de mídia dos webhooks usarão ${FALLBACK_BASE_URL}`
+  );
+}
+
+function computeSignature(sessionName, messageId, expires) {
+  return crypto
+    .createHmac('sha256', MEDIA_LINK_SECRET)
+    .update(`${sessionName}/${messageId}.${expires}`)
+    .digest('hex');
+}
+
+/** Base para montar links: PUBLIC_BASE_URL, o host da requisição ou localhost */
+function resolveBaseUrl(req) {
+  if (PUBLIC_BASE_URL) return PUBLIC_BASE_URL;
+  if (req) return `${req.protocol}://${req.get('host')}`;
+  return FALLBACK_BASE_URL;
+}
+
+function signedQuery(sessionName, messageId) {
+  const expires = Math.floor(Date.now() / 1000) + MEDIA_LINK_TTL_SECONDS;
+  const signature = computeSignature(sessionName, messageId, expires);
+  return `expires=${expires}&signature=${signature}`;
+}
+
+/** Link absoluto de download da mídia (assinado, se houver MEDIA_LINK_SECRET) */
+function buildDownloadUrl(sessionName, messageId, req) {
+  const url = `${resolveBaseUrl(req)}/${encodeURIComponent(
+    sessionName
+  )}/downloadmedia/${encodeURIComponent(messageId)}`;
+  if (!MEDIA_LINK_SECRET) return url;
+  return `${url}?${signedQuery(sessionName, messageId)}`;
+}
+
+// Reassina um link gerado por buildDownloadUrl; qualquer outra string
+// (inclusive links de outro host) volta como veio
+function refreshUrl(value) {
+  if (!value.includes('/downloadmedia/') || !value.includes('signature=')) {
+    return value;
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return value;
+  }
+  const match = DOWNLOAD_PATH.exec(url.pathname);
+  if (!match || url.origin !== new URL(resolveBaseUrl()).origin) return value;
+
+  const sessionName = decodeURIComponent(match[1]);
+  const messageId = decodeURIComponent(match[2]);
+  return `${url.origin}${url.pathname}?${signedQuery(sessionName, messageId)}`;
+}
+
+/**
+ * Cópia do payload com os links assinados de download renovados (validade
+ * contada a partir de agora). O webhook é montado no enfileiramento, mas
+ * um retry do backoff ou a reentrega do dead-letter pode sair horas depois:
+ * a fila chama isto a cada tentativa, antes de serializar e assinar o corpo.
+ */
+function refreshDownloadUrls(value) {
+  if (!MEDIA_LINK_SECRET) return value;
+  if (typeof value === 'string') return refreshUrl(value);
+  if (Array.isArray(value)) return value.map(refreshDownloadUrls);
+  // Só objetos simples (Date, Buffer... seguem intactos)
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        refreshDownloadUrls(item),
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * Se a requisição é um download com token, valida o token.
+ * Devolve null quando não é (segue a autenticação normal por API key),
+ * ou { ok, reason? }.
+ */
+function checkSignedDownload(req) {
+  const { expires, signature } = req.query || {};
+  if (!signature || req.method !== 'GET') return null;
+
+  const match = DOWNLOAD_PATH.exec(req.path);
+  if (!match) return null;
+  if (!MEDIA_LINK_SECRET) {
+    return { ok: false, reason: 'Links assinados desativados' };
+  }
+
+  const sessionName = decodeURIComponent(match[1]);
+  const messageId = decodeURIComponent(match[2]);
+  const expiresAt = Number(expires);
+
+  if (!Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000) {
+    return { ok: false, reason: 'Link de download expirado' };
+  }
+
+  const expected = Buffer.from(
+    computeSignature(sessionName, messageId, expiresAt),
+    'hex'
+  );
+  const received = Buffer.from(String(signature), 'hex');
+  if (
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    return { ok: false, reason: 'Link de download inválido' };
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  buildDownloadUrl,
+  refreshDownloadUrls,
+  checkSignedDownload,
+};
@@ -0,0 +1,341 @@
+// lib/mediaSend.js
+// Envio unificado de mídia (/:session/sendmedia): identifica o tipo real
+// pelos bytes, escolhe a chamada do sender (sendImage, sendFile, sendPtt,
+// sendVideoAsGif, sendImageAsSticker) e converte antes quando o WhatsApp
+// não aceitaria o arquivo como veio (lib/mediaConvert.js).
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const mimeTypes = require('mime-types');
+const FileType = require('file-type');
+const { ApiError } = require('./errors');
+const { toBuffer } = require('./mediaArchive');
+const { UPLOAD_MAX_BYTES } = require('./uploads');
+const {
+  probeMedia,
+  transcodeVoiceNote,
+  convertToMp4,
+  convertToJpeg,
+} = require('./mediaConvert');
+
+const MEDIA_WORK_DIR = path.join(os.tmpdir(), 'wpp-media');
+const MEDIA_FETCH_TIMEOUT_MS = Number(
+  process.env.MEDIA_FETCH_TIMEOUT_MS || 60 * 1000
+);
+// Único diretório de onde se aceita caminho local; sem ele, a mídia só vem
+// por upload, URL ou data URI (o chamador não lê arquivos do servidor)
+const MEDIA_LOCAL_DIR = process.env.MEDIA_LOCAL_DIR || null;
+
+// Valores aceitos em "as" (auto = decidir pelo tipo do arquivo)
+const SEND_AS = ['auto', 'image', 'video', 'gif', 'sticker', 'ptt', 'document'];
+
+// Imagens que seguem como estão; as demais viram JPEG
+const NATIVE_IMAGES = ['image/jpeg', 'image/png', 'image/webp'];
+const STICKER_IMAGES = [...NATIVE_IMAGES, 'image/gif'];
+
+const SENDERS = {
+  image: (client, to, media) =>
+    client.sendImage(to, media.file, media.filename, media.caption),
+  video: (client, to, media) =>
+    client.sendFile(to, media.file, media.filename, media.caption),
+  document: (client, to, media) =>
+    client.sendFile(to, media.file, media.filename, media.caption),
+  gif: (client, to, media) =>
+    client.sendVideoAsGif(to, media.file, media.filename, media.caption),
+  sticker: (client, to, media) => client.sendImageAsSticker(to, media.file),
+  ptt: (client, to, media) =>
+    client.sendPtt(to, media.file, media.filename, media.caption),
+};
+
+const METHODS = {
+  image: 'sendImage',
+  video: 'sendFile',
+  document: 'sendFile',
+  gif: 'sendVideoAsGif',
+  sticker: 'sendImageAsSticker',
+  ptt: 'sendPtt',
+};
+
+function nameFromUrl(url) {
+  try {
+    return path.basename(new URL(url).pathname) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Caminho real de source se for um arquivo dentro de MEDIA_LOCAL_DIR
+ * (realpath barra ../ e links simbólicos para fora); null caso contrário.
+ */
+async function localMediaPath(source) {
+  if (!MEDIA_LOCAL_DIR) return null;
+  try {
+    const root = await fs.promises.realpath(MEDIA_LOCAL_DIR);
+    const file = await fs.promises.realpath(path.resolve(root, source));
+    if (!file.startsWith(root + path.sep)) return null;
+    return (await fs.promises.stat(file)).isFile() ? file : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Materializa a origem num arquivo local: upload (req.upload), data URI,
+ * URL http(s) ou caminho em MEDIA_LOCAL_DIR. Devolve { file, origin,
+ * declaredMimetype, originalName }.
+ */
+async function resolveSource(source, upload, workDir) {
+  if (upload) {
+    return {
+      file: upload.path,
+      origin: 'upload',
+      declaredMimetype: upload.mimetype,
+      originalName: upload.originalName,
+    };
+  }
+
+  const write = async (buffer) => {
+    const file = path.join(workDir, 'source');
+    await fs.promises.writeFile(file, buffer);
+    return file;
+  };
+
+  if (/^https?:\/\//i.test(source)) {
+    const response = await axios
+      .get(source, {
+        responseType: 'arraybuffer',
+        timeout: MEDIA_FETCH_TIMEOUT_MS,
+        maxContentLength: UPLOAD_MAX_BYTES,
+      })
+      .catch((error) => {
+        if (/maxContentLength/.test(error.message)) {
+          throw new ApiError(
+            'PAYLOAD_TOO_LARGE',
+            `Mídia maior que o limite de ${UPLOAD_MAX_BYTES} bytes`,
+            { maxBytes: UPLOAD_MAX_BYTES, url: source }
+          );
+        }
+        throw new ApiError(
+          'MEDIA_FETCH_FAILED',
+          `Falha ao baixar a mídia: ${error.message}`,
+          { url: source }
+        );
+      });
+    return {
+      file: await write(Buffer.from(response.data)),
+      origin: 'url',
+      declaredMimetype:
+        String(response.headers['content-type'] || '').split(';')[0] || null,
+      originalName: nameFromUrl(source),
+    };
+  }
+
+  const dataUri = /^data:([^;,]*)/.exec(source);
+  if (dataUri) {
+    return {
+      file: await write(toBuffer(source)),
+      origin: 'base64',
+      declaredMimetype: dataUri[1] || null,
+      originalName: null,
+    };
+  }
+
+  const local = await localMediaPath(source);
+  if (local) {
+    return {
+      file: local,
+      origin: 'path',
+      declaredMimetype: mimeTypes.lookup(local) || null,
+      originalName: path.basename(local),
+    };
+  }
+
+  throw new ApiError(
+    'INVALID_MEDIA',
+    MEDIA_LOCAL_DIR
+      ? 'Mídia deve ser upload, URL http(s), data URI ou arquivo existente em MEDIA_LOCAL_DIR'
+      : 'Mídia deve ser upload, URL http(s) ou data URI'
+  );
+}
+
+// Tipo (e extensão) pelos bytes; sem assinatura conhecida (txt, csv...),
+// vale o declarado
+async function sniff(file, declared) {
+  const detected = await FileType.fromFile(file).catch(() => null);
+  if (detected) return { mimetype: detected.mime, ext: detected.ext };
+  const mimetype = declared || 'application/octet-stream';
+  return { mimetype, ext: mimeTypes.extension(mimetype) || 'bin' };
+}
+
+const incompatible = (mimetype, as) =>
+  new ApiError(
+    'INVALID_MEDIA',
+    `Não é possível enviar ${mimetype} como ${as}`,
+    { mimetype, as }
+  );
+
+/**
+ * Decide como enviar: { sentAs, target } em que target é o formato da
+ * conversão ('ogg', 'mp4', 'jpeg') ou null para enviar como veio.
+ * probe é o resultado de probeMedia (só para áudio e vídeo).
+ */
+function planMedia(mimetype, probe, as = 'auto') {
+  const isImage = mimetype.startsWith('image/');
+  const isGif = mimetype === 'image/gif';
+  // webm só de áudio (gravação do navegador) é identificado como video/webm
+  const hasVideo = probe ? Boolean(probe.video) : mimetype.startsWith('video/');
+  const hasAudio = probe ? Boolean(probe.audio) : mimetype.startsWith('audio/');
+
+  let sentAs = as;
+  if (as === 'auto') {
+    if (isGif) sentAs = 'gif';
+    else if (isImage) sentAs = 'image';
+    else if (hasVideo) sentAs = 'video';
+    else if (hasAudio) sentAs = 'ptt';
+    else sentAs = 'document';
+  }
+
+  switch (sentAs) {
+    case 'document':
+      return { sentAs, target: null };
+    case 'image':
+      if (!isImage) throw incompatible(mimetype, as);
+      return {
+        sentAs,
+        target: NATIVE_IMAGES.includes(mimetype) ? null : 'jpeg',
+      };
+    case 'sticker':
+      if (!isImage) throw incompatible(mimetype, as);
+      return {
+        sentAs,
+        target: STICKER_IMAGES.includes(mimetype) ? null : 'jpeg',
+      };
+    case 'ptt': {
+      if (!hasAudio) throw incompatible(mimetype, as);
+      const isOpus =
+        ['audio/ogg', 'audio/opus'].includes(mimetype) &&
+        probe?.audio?.codec === 'opus' &&
+        !probe.video;
+      return { sentAs, target: isOpus ? null : 'ogg' };
+    }
+    case 'video':
+    case 'gif': {
+      if (!hasVideo && !isGif) throw incompatible(mimetype, as);
+      const compatible =
+        mimetype === 'video/mp4' &&
+        probe?.video?.codec === 'h264' &&
+        probe.video.pixelFormat === 'yuv420p' &&
+        (!probe.audio || probe.audio.codec === 'aac');
+      return { sentAs, target: compatible ? null : 'mp4' };
+    }
+    default:
+      throw new ApiError('VALIDATION_ERROR', `as inválido: ${as}`);
+  }
+}
+
+const TARGETS = {
+  ogg: { mimetype: 'audio/ogg', ext: 'ogg' },
+  mp4: { mimetype: 'video/mp4', ext: 'mp4' },
+  jpeg: { mimetype: 'image/jpeg', ext: 'jpg' },
+};
+
+async function convert(target, input, output, sentAs, probe) {
+  if (target === 'ogg') {
+    const voice = await transcodeVoiceNote(input);
+    await fs.promises.writeFile(output, voice.buffer);
+    return 'ffmpeg';
+  }
+  if (target === 'mp4') {
+    await convertToMp4(input, output, {
+      withAudio: sentAs === 'video' && Boolean(probe?.audio),
+      kind: sentAs,
+    });
+    return 'ffmpeg';
+  }
+  return convertToJpeg(input, output);
+}
+
+function withExtension(filename, ext) {
+  const base = path.basename(filename, path.extname(filename)) || 'media';
+  return `${base}.${ext}`;
+}
+
+/**
+ * Resolve, identifica, converte (se preciso) e envia a mídia. options:
+ * { source, upload, filename, caption, as }. Devolve { result, media } em
+ * que media descreve o que foi enviado e a conversão feita (ou null).
+ */
+async function sendMedia(client, to, options) {
+  const { source, upload, caption = '', as = 'auto' } = options;
+  await fs.promises.mkdir(MEDIA_WORK_DIR, { recursive: true });
+  const workDir = await fs.promises.mkdtemp(path.join(MEDIA_WORK_DIR, 'send-'));
+
+  try {
+    const resolved = await resolveSource(source, upload, workDir);
+    const { mimetype, ext } = await sniff(
+      resolved.file,
+      resolved.declaredMimetype
+    );
+    const size = (await fs.promises.stat(resolved.file)).size;
+    const probe =
+      /^(audio|video)\//.test(mimetype) && as !== 'document'
+        ? await probeMedia(resolved.file)
+        : null;
+    const { sentAs, target } = planMedia(mimetype, probe, as);
+
+    let filename =
+      options.filename || resolved.originalName || `${sentAs}.${ext}`;
+    // O sender deduz o tipo pela extensão do caminho: garante uma coerente
+    let file = resolved.file;
+    if (path.extname(file).slice(1).toLowerCase() !== ext) {
+      file = path.join(workDir, `input.${ext}`);
+      await fs.promises.copyFile(resolved.file, file);
+    }
+
+    let converted = null;
+    if (target) {
+      const { mimetype: to, ext: toExt } = TARGETS[target];
+      const output = path.join(workDir, `output.${toExt}`);
+      const startedAt = Date.now();
+      const tool = await convert(target, file, output, sentAs, probe);
+      converted = {
+        from: mimetype,
+        to,
+        tool,
+        size: (await fs.promises.stat(output)).size,
+        durationMs: Date.now() - startedAt,
+      };
+      file = output;
+      filename = withExtension(filename, toExt);
+    }
+
+    const result = await SENDERS[sentAs](client, to, {
+      file,
+      filename,
+      caption,
+    });
+
+    return {
+      result,
+      media: {
+        sentAs,
+        method: METHODS[sentAs],
+        origin: resolved.origin,
+        mimetype,
+        size,
+        filename,
+        converted,
+      },
+    };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  SEND_AS,
+  localMediaPath,
+  sendMedia,
+};
@@ -0,0 +1,237 @@
+// lib/mediaStorage.js
+// Backends do arquivo de mídia (lib/mediaArchive.js): disco local ou uma API
+// compatível com S3 (AWS, MinIO, R2...). Os dois guardam bytes por chave e
+// se identificam por uma URI ("local:<chave>" / "s3://<bucket>/<chave>"),
+// que é o que fica gravado em WhatsAppMessage.mediaUrl.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// local (padrão), s3 ou off (sem arquivo: downloads sempre pelo navegador)
+const MEDIA_STORAGE = (process.env.MEDIA_STORAGE || 'local').toLowerCase();
+const MEDIA_STORAGE_DIR = path.resolve(
+  process.env.MEDIA_STORAGE_DIR || path.join(__dirname, '..', 'media-archive')
+);
+
+const S3_BUCKET = process.env.S3_BUCKET || null;
+const S3_REGION = process.env.S3_REGION || 'us-east-1';
+// Sem S3_ENDPOINT usa a AWS; com ele (MinIO, stand-in local), path-style
+const S3_ENDPOINT = (process.env.S3_ENDPOINT || '').replace(/\/+$/, '');
+const S3_FORCE_PATH_STYLE =
+  process.env.S3_FORCE_PATH_STYLE !== undefined
+    ? /^(1|true|yes)$/i.test(process.env.S3_FORCE_PATH_STYLE)
+    : Boolean(S3_ENDPOINT);
+const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || '';
+const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || '';
+const S3_TIMEOUT_MS = Number(process.env.S3_TIMEOUT_MS || 30 * 1000);
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// ---- disco local
+
+function createLocalStorage(root = MEDIA_STORAGE_DIR) {
+  const fileFor = (key) => path.join(root, ...key.split('/'));
+
+  return {
+    name: 'local',
+    uri: (key) => `local:${key}`,
+    keyFromUri: (uri) =>
+      String(uri || '').startsWith('local:') ? uri.slice(6) : null,
+
+    async exists(key) {
+      try {
+        await fs.promises.access(fileFor(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    // Escreve num temporário e renomeia: um leitor nunca vê arquivo pela metade
+    async put(key, buffer) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      try {
+        await fs.promises.writeFile(tmp, buffer);
+        await fs.promises.rename(tmp, file);
+      } catch (error) {
+        await fs.promises.rm(tmp, { force: true });
+        throw error;
+      }
+    },
+
+    async get(key) {
+      try {
+        return await fs.promises.readFile(fileFor(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+  };
+}
+
+// ---- S3 (assinatura AWS Signature Version 4, sem SDK)
+
+/**
+ * Headers assinados (SigV4) de uma requisição S3. headers devem trazer os
+ * que entram na assinatura além de host/x-amz-date/x-amz-content-sha256.
+ */
+function signS3Request({
+  method,
+  url,
+  headers = {},
+  payloadHash,
+  region,
+  accessKeyId,
+  secretAccessKey,
+  date = new Date(),
+}) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+  const signed = {
+    ...Object.fromEntries(
+      Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)])
+    ),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  const names = Object.keys(signed).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    url.searchParams.toString(),
+    ...names.map((name) => `${name}:${signed[name].trim()}`),
+    '',
+    names.join(';'),
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    sha256Hex(canonicalRequest),
+  ].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    hmac,
+    hmac(hmac(`AWS4${secretAccessKey}`, day), region)
+  );
+  const signature = crypto
+    .createHmac('sha256', signingKey)
+    .update(stringToSign)
+    .digest('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(
+      ';'
+    )}, Signature=${signature}`,
+  };
+}
+
+function createS3Storage({
+  bucket = S3_BUCKET,
+  region = S3_REGION,
+  endpoint = S3_ENDPOINT,
+  forcePathStyle = S3_FORCE_PATH_STYLE,
+  accessKeyId = S3_ACCESS_KEY_ID,
+  secretAccessKey = S3_SECRET_ACCESS_KEY,
+} = {}) {
+  if (!bucket) throw new Error('MEDIA_STORAGE=s3 exige S3_BUCKET');
+
+  const base = endpoint || `https://s3.${region}.amazonaws.com`;
+  const objectUrl = (key) => {
+    if (forcePathStyle) return new URL(`${base}/${bucket}/${key}`);
+    const url = new URL(base);
+    url.hostname = `${bucket}.${url.hostname}`;
+    url.pathname = `/${key}`;
+    return url;
+  };
+
+  async function request(method, key, { body, headers = {} } = {}) {
+    const url = objectUrl(key);
+    const payloadHash = sha256Hex(body || '');
+    return axios.request({
+      method,
+      url: url.toString(),
+      data: body,
+      headers: signS3Request({
+        method,
+        url,
+        headers,
+        payloadHash,
+        region,
+        accessKeyId,
+        secretAccessKey,
+      }),
+      responseType: 'arraybuffer',
+      timeout: S3_TIMEOUT_MS,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      // 404 é resposta esperada (objeto ausente); o resto é erro
+      validateStatus: (status) => status < 300 || status === 404,
+    });
+  }
+
+  return {
+    name: 's3',
+    uri: (key) => `s3://${bucket}/${key}`,
+    keyFromUri: (uri) => {
+      const prefix = `s3://${bucket}/`;
+      return String(uri || '').startsWith(prefix)
+        ? uri.slice(prefix.length)
+        : null;
+    },
+
+    async exists(key) {
+      const response = await request('HEAD', key);
+      return response.status !== 404;
+    },
+
+    async put(key, buffer, contentType) {
+      await request('PUT', key, {
+        body: buffer,
+        headers: {
+          'content-type': contentType || 'application/octet-stream',
+        },
+      });
+    },
+
+    async get(key) {
+      const response = await request('GET', key);
+      if (response.status === 404) return null;
+      return Buffer.from(response.data);
+    },
+  };
+}
+
+/** Backend configurado em MEDIA_STORAGE (null = arquivo desligado) */
+function createStorage() {
+  if (MEDIA_STORAGE === 'off') return null;
+  if (MEDIA_STORAGE === 's3') return createS3Storage();
+  if (MEDIA_STORAGE !== 'local') {
+    console.warn(
+      `⚠️ [MEDIA-ARCHIVE] MEDIA_STORAGE=${MEDIA_STORAGE} desconhecido; usando disco local`
+    );
+  }
+  return createLocalStorage();
+}
+
+module.exports = {
+  createStorage,
+  createLocalStorage,
+  createS3Storage,
+  signS3Request,
+  sha256Hex,
+};
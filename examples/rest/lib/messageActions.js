@@ -0,0 +1,145 @@
+// lib/messageActions.js
+// Ações sobre mensagens já existentes (responder, reagir, editar, apagar,
+// encaminhar e favoritar), pelo id serializado do WhatsApp — o mesmo de
+// WhatsAppMessage.messageId. Aplica as regras do app antes de chamar o
+// wppconnect: só edita mensagens próprias e recentes, só apaga para todos
+// as próprias dentro do prazo.
+const { ApiError } = require('./errors');
+const { chatIdOf } = require('./messageStore');
+
+// Prazos do WhatsApp para editar e para apagar para todos
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const REVOKE_WINDOW_MS = 60 * 60 * 60 * 1000;
+
+// Tipos que não aceitam nenhuma ação (já apagadas, avisos do sistema)
+const INERT_TYPES = [
+  'revoked',
+  'notification',
+  'notification_template',
+  'e2e_notification',
+  'gp2',
+  'protocol',
+];
+
+function notAllowed(message, reason) {
+  return new ApiError('MESSAGE_ACTION_NOT_ALLOWED', reason, {
+    messageId: message.id,
+    type: message.type,
+  });
+}
+
+// message.t vem em segundos
+function isOlderThan(message, windowMs) {
+  return Boolean(message.t) && Date.now() - message.t * 1000 > windowMs;
+}
+
+/** Mensagem pelo id; MESSAGE_NOT_FOUND se o WhatsApp não a conhecer */
+async function requireMessage(client, messageId) {
+  const message = await client.getMessageById(messageId);
+  if (!message) {
+    throw new ApiError('MESSAGE_NOT_FOUND', 'Mensagem não encontrada', {
+      messageId,
+    });
+  }
+  return message;
+}
+
+async function requireActionable(client, messageId) {
+  const message = await requireMessage(client, messageId);
+  if (INERT_TYPES.includes(message.type)) {
+    throw notAllowed(
+      message,
+      'A mensagem foi apagada ou é um aviso do sistema'
+    );
+  }
+  return message;
+}
+
+/** Responde citando a mensagem, no mesmo chat. Devolve a nova mensagem. */
+async function reply(client, messageId, text) {
+  const message = await requireActionable(client, messageId);
+  const chatId = chatIdOf(message);
+  const result = await client.reply(chatId, text, messageId);
+  return { chatId, result };
+}
+
+/** Reage com um emoji; reaction vazio/null remove a reação */
+async function react(client, messageId, reaction) {
+  await requireActionable(client, messageId);
+  await client.sendReactionToMessage(messageId, reaction || false);
+  return { reaction: reaction || null };
+}
+
+/** Edita o texto de uma mensagem própria enviada há até 15 minutos */
+async function edit(client, messageId, text) {
+  const message = await requireActionable(client, messageId);
+  if (!message.fromMe) {
+    throw notAllowed(
+      message,
+      'Só é possível editar mensagens enviadas por esta sessão'
+    );
+  }
+  if (message.type !== 'chat') {
+    throw notAllowed(message, 'Só mensagens de texto podem ser editadas');
+  }
+  if (isOlderThan(message, EDIT_WINDOW_MS)) {
+    throw notAllowed(
+      message,
+      'O prazo de 15 minutos para editar a mensagem já passou'
+    );
+  }
+  const edited = await client.editMessage(messageId, text);
+  return { body: edited?.body ?? text };
+}
+
+/**
+ * Apaga a mensagem. forEveryone: só mensagens próprias, dentro do prazo do
+ * WhatsApp; sem ele, some apenas deste aparelho (qualquer mensagem).
+ */
+async function remove(client, messageId, { forEveryone = false } = {}) {
+  const message = await requireMessage(client, messageId);
+  if (forEveryone) {
+    if (message.type === 'revoked') {
+      throw notAllowed(message, 'A mensagem já foi apagada para todos');
+    }
+    if (!message.fromMe) {
+      throw notAllowed(
+        message,
+        'Só é possível apagar para todos mensagens enviadas por esta sessão'
+      );
+    }
+    if (isOlderThan(message, REVOKE_WINDOW_MS)) {
+      throw notAllowed(
+        message,
+        'O prazo para apagar a mensagem para todos já passou'
+      );
+    }
+  }
+  const chatId = chatIdOf(message);
+  await client.deleteMessage(chatId, messageId, !forEveryone);
+  return { chatId, forEveryone };
+}
+
+/** Encaminha a mensagem para outro chat */
+async function forward(client, messageId, toChatId) {
+  await requireActionable(client, messageId);
+  const result = await client.forwardMessage(toChatId, messageId);
+  return { to: toChatId, result };
+}
+
+/** Marca (star = true) ou desmarca a mensagem como favorita */
+async function star(client, messageId, starred = true) {
+  await requireActionable(client, messageId);
+  await client.starMessage(messageId, starred);
+  return { starred };
+}
+
+module.exports = {
+  requireMessage,
+  reply,
+  react,
+  edit,
+  remove,
+  forward,
+  star,
+};
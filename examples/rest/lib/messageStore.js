@@ -0,0 +1,293 @@
+// lib/messageStore.js
+// Histórico local: toda mensagem do onAnyMessage (recebida ou enviada) vira
+// um WhatsAppMessage, e o chat um WhatsAppContact. Não depende do consumidor
+// dos webhooks; falha de banco só é logada, como no sessionStore.
+const prisma = require('./prisma');
+
+const MEDIA_TYPES = ['document', 'image', 'audio', 'ptt', 'video', 'sticker'];
+
+// sessionName → id do WhatsAppSession (o registro só some no delete)
+const sessionIds = new Map();
+
+// Wid pode chegar serializado ou como objeto { _serialized }
+function serializeId(id) {
+  if (!id) return null;
+  return typeof id === 'string' ? id : id._serialized || null;
+}
+
+function chatIdOf(message) {
+  return (
+    serializeId(message.chatId) ||
+    serializeId(message.fromMe ? message.to : message.from)
+  );
+}
+
+// "5511999999999@c.us" → "5511999999999"
+function phoneFromJid(jid) {
+  return String(jid || '').split('@')[0];
+}
+
+// Sessão ainda sem registro é criada inativa, como em lib/webhooks.js
+async function resolveSessionId(sessionName) {
+  if (sessionIds.has(sessionName)) return sessionIds.get(sessionName);
+  const session = await prisma.whatsAppSession.upsert({
+    where: { sessionName },
+    update: {},
+    create: { sessionName, isActive: false },
+    select: { id: true },
+  });
+  sessionIds.set(sessionName, session.id);
+  return session.id;
+}
+
+/** Sessão encerrada (ou apagada): o id é buscado de novo no próximo uso */
+function forgetSession(sessionName) {
+  sessionIds.delete(sessionName);
+}
+
+// Campos do contato que a mensagem conhece; nome e foto só quando vierem,
+// para não apagar o que já estava gravado
+function contactFields(message, chatId, { chatName, profilePic }) {
+  const isGroup = chatId.endsWith('@g.us');
+  const fromContact = !message.fromMe && !isGroup;
+  const fields = {
+    formattedPhone: isGroup ? chatId : `+${phoneFromJid(chatId)}`,
+    isGroup,
+  };
+  const name = isGroup ? chatName : fromContact && message.sender?.name;
+  const pushname =
+    fromContact && (message.sender?.pushname || message.notifyName);
+  if (name) fields.name = name;
+  if (pushname) fields.pushname = pushname;
+  if (profilePic) fields.profilePic = profilePic;
+  return fields;
+}
+
+async function upsertContact(sessionId, phone, fields, lastMessageAt) {
+  const args = {
+    where: { phone_sessionId: { phone, sessionId } },
+    update: { ...fields, lastMessageAt },
+    create: { phone, sessionId, ...fields, lastMessageAt },
+    select: { id: true },
+  };
+  try {
+    return await prisma.whatsAppContact.upsert(args);
+  } catch (error) {
+    // Duas mensagens do mesmo contato novo ao mesmo tempo: o create de uma
+    // perde para a outra e o update resolve
+    if (error.code !== 'P2002') throw error;
+    return prisma.whatsAppContact.upsert(args);
+  }
+}
+
+/**
+ * Contato do chat, criado se ainda não houver mensagem gravada (ex.: chat
+ * etiquetado no celular). Devolve { id }.
+ */
+async function ensureContact(sessionName, chatId) {
+  const sessionId = await resolveSessionId(sessionName);
+  const isGroup = chatId.endsWith('@g.us');
+  return upsertContact(sessionId, phoneFromJid(chatId), {
+    formattedPhone: isGroup ? chatId : `+${phoneFromJid(chatId)}`,
+    isGroup,
+  });
+}
+
+/** Id de chat do contato gravado ("5511...@c.us" ou "1203...@g.us") */
+function contactChatId(contact) {
+  return `${contact.phone}@${contact.isGroup ? 'g.us' : 'c.us'}`;
+}
+
+function messageFields(message, chatId) {
+  const isMedia = MEDIA_TYPES.includes(message.type);
+  return {
+    chatId,
+    fromMe: Boolean(message.fromMe),
+    type: message.type || 'text',
+    // Em mídia o body é a miniatura em base64
+    body: isMedia ? null : message.body ?? message.content ?? null,
+    caption: message.caption || null,
+    quotedMsgId: serializeId(message.quotedMsgId),
+    mediaType: isMedia ? message.mimetype || null : null,
+    mediaSize: isMedia && message.size ? Number(message.size) : null,
+    fileName: isMedia ? message.filename || null : null,
+    isForwarded: Boolean(message.isForwarded),
+    isStatus: chatId === 'status@broadcast',
+    isGroupMsg: Boolean(message.isGroupMsg),
+    author: message.isGroupMsg ? serializeId(message.author) : null,
+  };
+}
+
+/**
+ * Grava a mensagem e atualiza o contato do chat. options: { chatName
+ * (nome do grupo), profilePic, mediaUrl, mediaSize }. Nunca lança.
+ *
+ * messageId é único na tabela: a mesma mensagem vista por duas sessões
+ * (ex.: ambas no mesmo grupo) fica gravada uma vez só.
+ */
+async function saveMessage(sessionName, message, options = {}) {
+  const messageId = serializeId(message.id);
+  const chatId = chatIdOf(message);
+  if (!messageId || !chatId) return;
+
+  try {
+    const sessionId = await resolveSessionId(sessionName);
+    const timestamp = message.timestamp
+      ? new Date(message.timestamp * 1000)
+      : new Date();
+    const fields = messageFields(message, chatId);
+    if (options.mediaUrl) fields.mediaUrl = options.mediaUrl;
+    if (options.mediaSize) fields.mediaSize = options.mediaSize;
+
+    // Status não tem contato: o autor fica só em contactPhone
+    let contactId = null;
+    let contactPhone = phoneFromJid(message.author || message.from);
+    if (!fields.isStatus) {
+      contactPhone = phoneFromJid(chatId);
+      const contact = await upsertContact(
+        sessionId,
+        contactPhone,
+        contactFields(message, chatId, options),
+        timestamp
+      );
+      contactId = contact.id;
+    }
+
+    await prisma.whatsAppMessage.upsert({
+      where: { messageId },
+      update: fields,
+      create: {
+        messageId,
+        sessionId,
+        contactId,
+        contactPhone,
+        timestamp,
+        // O ack só avança depois pelo saveAck (o update não pode regredir)
+        ack: typeof message.ack === 'number' ? message.ack : null,
+        ...fields,
+      },
+    });
+  } catch (err) {
+    console.error(
+      `⚠️ [MESSAGE-STORE] Falha ao gravar mensagem ${messageId} da sessão ${sessionName}:`,
+      err?.message || err
+    );
+  }
+}
+
+/**
+ * Mídia gravada da mensagem nesta sessão ({ mediaUrl, mediaType, fileName })
+ * ou null
+ */
+async function findMessageMedia(sessionName, messageId) {
+  const [sessionId, row] = await Promise.all([
+    resolveSessionId(sessionName),
+    prisma.whatsAppMessage.findUnique({
+      where: { messageId },
+      select: {
+        sessionId: true,
+        mediaUrl: true,
+        mediaType: true,
+        fileName: true,
+      },
+    }),
+  ]);
+  if (!row || row.sessionId !== sessionId) return null;
+  return row;
+}
+
+/** Aponta mediaUrl para o arquivo depois de um download tardio. Nunca lança. */
+async function setMediaUrl(messageId, mediaUrl) {
+  try {
+    await prisma.whatsAppMessage.updateMany({
+      where: { messageId },
+      data: { mediaUrl },
+    });
+  } catch (err) {
+    console.error(
+      `⚠️ [MESSAGE-STORE] Falha ao gravar mediaUrl da mensagem ${messageId}:`,
+      err?.message || err
+    );
+  }
+}
+
+// AckType do WPPConnect → etapa; todo ack negativo é uma falha de envio
+const ACK_STATUS = Object.freeze({
+  0: 'pending',
+  1: 'sent',
+  2: 'received',
+  3: 'read',
+  4: 'played',
+});
+
+function ackStatus(ack) {
+  return ack < 0 ? 'error' : ACK_STATUS[ack] || 'unknown';
+}
+
+/**
+ * Registra uma etapa na linha do tempo do ack (WhatsAppMessageAck) e
+ * avança o ack atual do WhatsAppMessage. Devolve false se a etapa já
+ * estava registrada (ack repetido). Nunca lança.
+ */
+async function saveAck(sessionName, { messageId, ack, at = new Date() }) {
+  try {
+    try {
+      await prisma.whatsAppMessageAck.create({
+        data: {
+          sessionName,
+          messageId,
+          ack,
+          status: ackStatus(ack),
+          createdAt: at,
+        },
+      });
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+      return false;
+    }
+
+    // Acks podem chegar fora de ordem: só sobe (falha sempre grava)
+    await prisma.whatsAppMessage.updateMany({
+      where:
+        ack < 0
+          ? { messageId }
+          : { messageId, OR: [{ ack: null }, { ack: { lt: ack } }] },
+      data: { ack },
+    });
+  } catch (err) {
+    console.error(
+      `⚠️ [MESSAGE-STORE] Falha ao gravar ack ${ack} da mensagem ${messageId} da sessão ${sessionName}:`,
+      err?.message || err
+    );
+  }
+  return true;
+}
+
+/** Linha do tempo do ack, da etapa mais antiga para a mais recente */
+async function getAckTimeline(sessionName, messageId) {
+  const rows = await prisma.whatsAppMessageAck.findMany({
+    where: { sessionName, messageId },
+    orderBy: { createdAt: 'asc' },
+  });
+  return rows.map((row) => ({
+    ack: row.ack,
+    status: row.status,
+    at: row.createdAt,
+  }));
+}
+
+module.exports = {
+  serializeId,
+  chatIdOf,
+  phoneFromJid,
+  contactChatId,
+  resolveSessionId,
+  ensureContact,
+  ackStatus,
+  saveMessage,
+  findMessageMedia,
+  setMediaUrl,
+  saveAck,
+  getAckTimeline,
+  forgetSession,
+};
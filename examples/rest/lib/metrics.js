@@ -0,0 +1,107 @@
+// lib/metrics.js
+// Métricas da API REST, expostas em /metrics (ver routes/metrics.js)
+const { Registry, registerProcessMetrics } = require('./prometheus');
+
+const registry = new Registry();
+registerProcessMetrics(registry);
+
+const messagesSent = registry.counter({
+  name: 'wpp_messages_sent_total',
+  help: 'Mensagens enviadas pela API, por sessão e tipo.',
+  labelNames: ['session', 'type'],
+});
+
+const sendFailures = registry.counter({
+  name: 'wpp_send_failures_total',
+  help: 'Envios que falharam, por sessão, tipo e motivo.',
+  labelNames: ['session', 'type', 'reason'],
+});
+
+const messagesReceived = registry.counter({
+  name: 'wpp_messages_received_total',
+  help: 'Mensagens recebidas, por sessão e tipo.',
+  labelNames: ['session', 'type'],
+});
+
+const mediaConversionDuration = registry.histogram({
+  name: 'wpp_media_conversion_duration_seconds',
+  help: 'Duração das conversões de mídia (ffmpeg e sharp).',
+  labelNames: ['kind', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+});
+
+const mediaArchived = registry.counter({
+  name: 'wpp_media_archived_total',
+  help: 'Mídias arquivadas, por backend e resultado (stored, deduplicated, error).',
+  labelNames: ['backend', 'outcome'],
+});
+
+const webhookDeliveries = registry.counter({
+  name: 'wpp_webhook_deliveries_total',
+  help: 'Tentativas de entrega de webhook, por evento e resultado (delivered, retry, dead).',
+  labelNames: ['event', 'outcome'],
+});
+
+const webhookDeliveryDuration = registry.histogram({
+  name: 'wpp_webhook_delivery_duration_seconds',
+  help: 'Duração do POST de entrega do webhook.',
+  labelNames: ['event', 'outcome'],
+});
+
+const webhookDeliveryLag = registry.histogram({
+  name: 'wpp_webhook_delivery_lag_seconds',
+  help: 'Tempo entre o enfileiramento e a entrega do webhook (inclui retries).',
+  labelNames: ['event'],
+  buckets: [0.1, 0.5, 1, 5, 15, 60, 300, 900, 3600, 6 * 3600],
+});
+
+const webhookQueueSize = registry.gauge({
+  name: 'wpp_webhook_queue_size',
+  help: 'Entregas de webhook pendentes na fila, por sessão.',
+  labelNames: ['session'],
+});
+
+const sessions = registry.gauge({
+  name: 'wpp_sessions',
+  help: 'Sessões por estado.',
+  labelNames: ['state'],
+});
+
+const browserMemory = registry.gauge({
+  name: 'wpp_browser_memory_bytes',
+  help: 'Memória residente do Chrome da sessão (todos os processos).',
+  labelNames: ['session'],
+});
+
+const eventStreamSubscribers = registry.gauge({
+  name: 'wpp_event_stream_subscribers',
+  help: 'Clientes conectados ao stream de eventos (SSE).',
+});
+
+/**
+ * Envio concluído (error = null) ou falho; o label reason é o code do erro
+ * (lib/errors) em minúsculas, ex.: not_connected
+ */
+function recordSend(sessionName, type, error = null) {
+  if (error) {
+    const reason = String(error.code || 'SEND_FAILED').toLowerCase();
+    sendFailures.inc({ session: sessionName, type, reason });
+  } else {
+    messagesSent.inc({ session: sessionName, type });
+  }
+}
+
+module.exports = {
+  registry,
+  recordSend,
+  messagesReceived,
+  mediaConversionDuration,
+  mediaArchived,
+  webhookDeliveries,
+  webhookDeliveryDuration,
+  webhookDeliveryLag,
+  webhookQueueSize,
+  sessions,
+  browserMemory,
+  eventStreamSubscribers,
+};
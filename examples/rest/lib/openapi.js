@@ -0,0 +1,1336 @@
+// lib/openapi.js
+// Documento OpenAPI 3 de todas as rotas da API REST. Servido em
+// /openapi.json (com a página /docs) e usado por lib/validation.js para
+// validar body, query e parâmetros de rota antes dos handlers.
+const { WEBHOOK_EVENTS, OPT_IN_EVENTS } = require('./webhooks');
+const { STREAM_EVENTS } = require('./eventStream');
+const { UPLOAD_ROUTES, UPLOAD_MAX_BYTES } = require('./uploads');
+const { SEND_AS } = require('./mediaSend');
+const {
+  PARTICIPANT_ACTIONS,
+  REQUEST_ACTIONS,
+  EPHEMERAL_DURATIONS,
+} = require('./groups');
+const { STATES } = require('./sessionManager');
+const { SCOPES } = require('./apiKeys');
+const { ERROR_CODES } = require('./errors');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// ---- Parâmetros
+const sessionParam = {
+  name: 'session',
+  in: 'path',
+  required: true,
+  description: 'Nome da sessão',
+  schema: { type: 'string', minLength: 1 },
+};
+
+function pathParam(name, description, schema = { type: 'string' }) {
+  return { name, in: 'path', required: true, description, schema };
+}
+
+function queryParam(name, description, schema, required = false) {
+  return { name, in: 'query', required, description, schema };
+}
+
+// ---- Respostas
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const errorResponse = (description) => ({
+  description,
+  content: jsonContent(ref('ErrorResponse')),
+});
+
+const responses = {
+  ok: (description = 'OK', schema = ref('StatusResponse')) => ({
+    description,
+    content: jsonContent(schema),
+  }),
+  badRequest: errorResponse('Requisição inválida (VALIDATION_ERROR)'),
+  unauthorized: errorResponse('API key ausente ou inválida (UNAUTHORIZED)'),
+  forbidden: errorResponse(
+    'A chave não tem acesso a esta sessão/rota (FORBIDDEN)'
+  ),
+  notFound: errorResponse(
+    'Não encontrado (NOT_FOUND, SESSION_NOT_FOUND, MESSAGE_NOT_FOUND)'
+  ),
+  conflict: errorResponse(
+    'Conflito com o estado atual da sessão (INVALID_SESSION_STATE)'
+  ),
+  serverError: errorResponse('Erro interno (INTERNAL_ERROR)'),
+};
+
+// Falhas possíveis de rotas que usam a sessão conectada (envio e mídia)
+const sessionErrors = {
+  404: errorResponse('Sessão ou mensagem inexistente'),
+  422: errorResponse(
+    'NUMBER_NOT_ON_WHATSAPP, NOT_A_MEDIA_MESSAGE ou CONVERSION_FAILED'
+  ),
+  502: errorResponse(
+    'Falha no WhatsApp ou na mídia de origem (SEND_FAILED, MEDIA_FETCH_FAILED, MEDIA_DOWNLOAD_FAILED)'
+  ),
+  503: errorResponse('Sessão não conectada (NOT_CONNECTED)'),
+};
+
+/**
+ * Monta uma operação. body: nome do schema em components (obrigatório) ou
+ * { schema, required }; admin: rota exclusiva de chaves admin.
+ */
+function operation({
+  tag,
+  summary,
+  description,
+  params = [],
+  body,
+  ok = responses.ok(),
+  extra = {},
+  admin = false,
+}) {
+  const op = {
+    tags: [tag],
+    summary,
+    ...(description && { description }),
+    parameters: params,
+    responses: {
+      200: ok,
+      400: responses.badRequest,
+      401: responses.unauthorized,
+      403: responses.forbidden,
+      500: responses.serverError,
+      ...extra,
+    },
+  };
+  if (admin) op['x-admin-only'] = true;
+  if (body) {
+    const { schema, required = true } =
+      typeof body === 'string' ? { schema: ref(body) } : body;
+    op.requestBody = { required, content: jsonContent(schema) };
+  }
+  return op;
+}
+
+// ---- Schemas
+const telnumber = {
+  type: 'string',
+  pattern: '^\\+?[\\d\\s().-]{8,}$',
+  description: 'Número de destino com DDI + DDD (ex.: 5511999999999)',
+  example: '5511999999999',
+};
+
+const participantList = {
+  type: 'array',
+  minItems: 1,
+  items: { type: 'string', minLength: 1 },
+  description: 'Números (DDI + DDD) ou ids @c.us',
+  example: ['5511999999999', '5511988888888'],
+};
+
+const mediaSource = (description) => ({
+  type: 'string',
+  minLength: 1,
+  description,
+});
+
+// Booleanos de query string ("1", "true", "yes" = verdadeiro)
+const flag = { type: 'string', enum: ['true', 'false', '1', '0', 'yes', 'no'] };
+
+const eventList = (events) => ({
+  description: `Lista ou string separada por vírgula; vazio ou "*" = todos (exceto ${OPT_IN_EVENTS.join(
+    ', '
+  )}, que precisam ser listados). Válidos: ${events.join(', ')}`,
+  type: ['string', 'array', 'null'],
+  items: { type: 'string', enum: [...events, '*'] },
+});
+
+const schemas = {
+  StatusResponse: {
+    type: 'object',
+    properties: {
+      status: { type: 'boolean' },
+      message: { type: 'string' },
+    },
+    required: ['status'],
+  },
+  ErrorResponse: {
+    type: 'object',
+    required: ['status', 'code', 'message', 'retryable'],
+    properties: {
+      status: { type: 'boolean', enum: [false] },
+      code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+      message: { type: 'string' },
+      retryable: {
+        type: 'boolean',
+        description: 'Repetir a mesma requisição mais tarde pode dar certo',
+      },
+      errors: {
+        description: 'Campos rejeitados (VALIDATION_ERROR)',
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            in: { type: 'string', enum: ['body', 'query', 'path'] },
+            field: { type: 'string' },
+            message: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+  SendResponse: {
+    type: 'object',
+    properties: {
+      status: { type: 'boolean' },
+      message: {
+        type: 'string',
+        description: 'Id da mensagem enviada',
+      },
+    },
+  },
+  CreateSessionRequest: {
+    type: 'object',
+    properties: {
+      phoneNumber: {
+        type: 'string',
+        description:
+          'Login por código de pareamento em vez de QR Code (DDI + DDD + número)',
+        example: '5511999999999',
+      },
+    },
+  },
+  SendMessageRequest: {
+    type: 'object',
+    required: ['telnumber', 'message'],
+    properties: {
+      telnumber,
+      message: { type: 'string', minLength: 1 },
+    },
+  },
+  SendPixRequest: {
+    type: 'object',
+    required: ['telnumber', 'params'],
+    properties: {
+      telnumber,
+      params: {
+        type: 'object',
+        description: 'Parâmetros do PIX (ver sendPix do wppconnect)',
+      },
+      options: { type: 'object' },
+    },
+  },
+  SendPttRequest: {
+    type: 'object',
+    required: ['telnumber', 'audioPath'],
+    properties: {
+      telnumber,
+      audioPath: mediaSource(
+        'Áudio em URL http(s), data URI (data:audio/...;base64,...) ou caminho dentro de MEDIA_LOCAL_DIR'
+      ),
+    },
+  },
+  SendImageRequest: {
+    type: 'object',
+    required: ['telnumber', 'imagePath'],
+    properties: {
+      telnumber,
+      imagePath: mediaSource(
+        'Imagem em URL http(s), data URI ou caminho dentro de MEDIA_LOCAL_DIR'
+      ),
+      filename: { type: 'string', default: 'imagem.jpg' },
+      caption: { type: 'string' },
+    },
+  },
+  SendDocumentRequest: {
+    type: 'object',
+    required: ['telnumber', 'filePath'],
+    properties: {
+      telnumber,
+      filePath: mediaSource(
+        'Documento em URL http(s), data URI ou caminho dentro de MEDIA_LOCAL_DIR'
+      ),
+      filename: { type: 'string', default: 'documento.pdf' },
+      caption: { type: 'string' },
+    },
+  },
+  SendVideoRequest: {
+    type: 'object',
+    required: ['telnumber', 'videoPath'],
+    properties: {
+      telnumber,
+      videoPath: mediaSource(
+        'Vídeo em URL http(s), data URI ou caminho dentro de MEDIA_LOCAL_DIR'
+      ),
+      filename: { type: 'string', default: 'video.mp4' },
+      caption: { type: 'string' },
+    },
+  },
+  SendMediaRequest: {
+    type: 'object',
+    required: ['telnumber', 'media'],
+    properties: {
+      telnumber,
+      media: mediaSource(
+        'Mídia em URL http(s), data URI ou caminho dentro de MEDIA_LOCAL_DIR; o tipo é identificado pelo conteúdo'
+      ),
+      as: {
+        type: 'string',
+        enum: SEND_AS,
+        default: 'auto',
+        description:
+          'Como enviar; auto: GIF → gif, imagem → image, vídeo → video, áudio → ptt, resto → document',
+      },
+      filename: {
+        type: 'string',
+        description: 'Padrão: nome de origem (extensão trocada se convertido)',
+      },
+      caption: { type: 'string' },
+    },
+  },
+  SendMediaResponse: {
+    type: 'object',
+    properties: {
+      status: { type: 'boolean' },
+      message: { type: 'string', description: 'Id da mensagem enviada' },
+      media: {
+        type: 'object',
+        properties: {
+          sentAs: { type: 'string', enum: SEND_AS.slice(1) },
+          method: {
+            type: 'string',
+            description: 'Chamada do wppconnect usada (sendImage, sendPtt...)',
+          },
+          origin: {
+            type: 'string',
+            enum: ['upload', 'url', 'base64', 'path'],
+          },
+          mimetype: {
+            type: 'string',
+            description: 'Tipo identificado pelo conteúdo',
+          },
+          size: { type: 'integer' },
+          filename: { type: 'string' },
+          converted: {
+            type: ['object', 'null'],
+            description: 'null quando enviado sem conversão',
+            properties: {
+              from: { type: 'string' },
+              to: { type: 'string' },
+              tool: { type: 'string', enum: ['ffmpeg', 'sharp'] },
+              size: { type: 'integer' },
+              durationMs: { type: 'integer' },
+            },
+          },
+        },
+      },
+    },
+  },
+  ReplyMessageRequest: {
+    type: 'object',
+    required: ['message'],
+    properties: { message: { type: 'string', minLength: 1 } },
+  },
+  ReactMessageRequest: {
+    type: 'object',
+    properties: {
+      reaction: {
+        type: ['string', 'null'],
+        maxLength: 32,
+        description: 'Emoji da reação; vazio ou null remove a reação',
+        example: '👍',
+      },
+    },
+  },
+  EditMessageRequest: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string', minLength: 1, description: 'Novo texto' },
+    },
+  },
+  ForwardMessageRequest: {
+    type: 'object',
+    required: ['to'],
+    properties: {
+      to: {
+        type: 'string',
+        minLength: 1,
+        description: 'Número (DDI + DDD) ou id de chat (@c.us / @g.us)',
+        example: '5511999999999',
+      },
+    },
+  },
+  StarMessageRequest: {
+    type: 'object',
+    properties: {
+      star: {
+        type: 'boolean',
+        default: true,
+        description: 'false desmarca a mensagem',
+      },
+    },
+  },
+  CreateGroupRequest: {
+    type: 'object',
+    required: ['name', 'participants'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      participants: participantList,
+      description: { type: 'string' },
+    },
+  },
+  UpdateGroupRequest: {
+    type: 'object',
+    properties: {
+      subject: { type: 'string', minLength: 1, maxLength: 100 },
+      description: { type: 'string' },
+      settings: {
+        type: 'object',
+        properties: {
+          announcement: {
+            type: 'boolean',
+            description: 'Só admins enviam mensagens',
+          },
+          restrict: {
+            type: 'boolean',
+            description: 'Só admins editam assunto, descrição e ícone',
+          },
+          ephemeral: {
+            type: 'integer',
+            enum: EPHEMERAL_DURATIONS,
+            description: 'Mensagens temporárias em segundos (0 desliga)',
+          },
+        },
+      },
+    },
+  },
+  GroupParticipantsRequest: {
+    type: 'object',
+    required: ['action', 'participants'],
+    properties: {
+      action: {
+        type: 'string',
+        enum: PARTICIPANT_ACTIONS,
+        description: 'promote/demote tornam admin ou retiram o admin',
+      },
+      participants: participantList,
+    },
+  },
+  MembershipRequestsRequest: {
+    type: 'object',
+    required: ['action'],
+    properties: {
+      action: { type: 'string', enum: REQUEST_ACTIONS },
+      participants: {
+        ...participantList,
+        minItems: 0,
+        description: 'Números dos pedidos; sem a lista, todos os pendentes',
+      },
+    },
+  },
+  GroupIconRequest: {
+    type: 'object',
+    required: ['image'],
+    properties: {
+      image: mediaSource(
+        'Imagem (JPEG, PNG ou WebP) em URL http(s) ou data URI (data:image/...); outros valores respondem 400 INVALID_MEDIA'
+      ),
+    },
+  },
+  ParticipantResults: {
+    type: 'object',
+    properties: {
+      status: { type: 'boolean' },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            participant: {
+              type: 'string',
+              description: 'Como veio na requisição',
+            },
+            id: { type: ['string', 'null'] },
+            ok: { type: 'boolean' },
+            code: {
+              type: 'string',
+              description:
+                'added, removed, promoted, demoted, approved, rejected ou o motivo da falha: invalid_number, not_on_whatsapp, invite_required, recently_left, already_participant, blocked, group_full, not_a_participant, already_admin, not_an_admin, no_pending_request, failed',
+            },
+            message: { type: 'string' },
+            inviteLink: {
+              type: 'string',
+              description: 'Convite para quem não pôde ser adicionado',
+            },
+          },
+        },
+      },
+    },
+  },
+  ContactTagsRequest: {
+    type: 'object',
+    properties: {
+      add: {
+        type: 'array',
+        items: { type: 'string', minLength: 1 },
+        description: 'Nomes das tags a aplicar (as inexistentes são criadas)',
+      },
+      remove: {
+        type: 'array',
+        items: { type: 'string', minLength: 1 },
+        description: 'Nomes das tags a retirar',
+      },
+      changedAt: {
+        type: 'string',
+        description:
+          'Data ISO 8601 em que a alteração foi feita no CRM (padrão: agora); mais antiga que a última já sincronizada, é ignorada',
+      },
+    },
+  },
+  DownloadMediaRequest: {
+    type: 'object',
+    required: ['messageId'],
+    properties: { messageId: { type: 'string', minLength: 1 } },
+  },
+  DispatchCampaignRequest: {
+    type: 'object',
+    required: ['campaign', 'templates', 'contacts'],
+    properties: {
+      campaign: {
+        type: 'object',
+        properties: { delay: { type: 'number', minimum: 0 } },
+      },
+      templates: { type: 'array', items: { type: 'object' } },
+      contacts: { type: 'array', minItems: 1, items: { type: 'string' } },
+    },
+  },
+  WebhookRequest: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: { type: 'string', pattern: '^https?://' },
+      events: eventList(WEBHOOK_EVENTS),
+      enabled: { type: 'boolean', default: true },
+    },
+  },
+  WebhookUpdateRequest: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', pattern: '^https?://' },
+      events: eventList(WEBHOOK_EVENTS),
+      enabled: { type: 'boolean' },
+    },
+  },
+  RotateSecretRequest: {
+    type: 'object',
+    properties: {
+      secret: {
+        type: 'string',
+        minLength: 16,
+        description: 'Segredo próprio; sem ele um aleatório é gerado',
+      },
+    },
+  },
+  ApiKeyRequest: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      scope: {
+        type: 'string',
+        enum: Object.values(SCOPES),
+        default: SCOPES.USER,
+      },
+      userId: {
+        type: 'integer',
+        description: 'Obrigatório para chaves de escopo user',
+      },
+    },
+  },
+  RedeliverRequest: {
+    type: 'object',
+    properties: {
+      ids: { type: 'array', minItems: 1, items: { type: 'integer' } },
+      session: { type: 'string' },
+      event: { type: 'string' },
+    },
+  },
+  CampaignProgressRequest: {
+    type: 'object',
+    required: ['sessionName', 'campaignId'],
+    properties: {
+      sessionName: { type: 'string', minLength: 1 },
+      campaignId: { type: ['string', 'integer'] },
+    },
+  },
+};
+
+// ---- Rotas
+const idempotencyHeader = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  description:
+    'Repetições com a mesma chave (dentro de IDEMPOTENCY_TTL_MS) devolvem a resposta original sem enviar de novo',
+  schema: { type: 'string', minLength: 1, maxLength: 255 },
+};
+
+const sendRoute = (summary, schema, response = 'SendResponse') => ({
+  post: operation({
+    tag: 'Mensagens',
+    summary,
+    params: [sessionParam, idempotencyHeader],
+    body: schema,
+    ok: responses.ok('Mensagem enviada', ref(response)),
+    extra: {
+      ...sessionErrors,
+      409: errorResponse(
+        'Requisição com a mesma Idempotency-Key em andamento (IDEMPOTENCY_IN_PROGRESS)'
+      ),
+      422: errorResponse(
+        'NUMBER_NOT_ON_WHATSAPP, CONVERSION_FAILED ou IDEMPOTENCY_KEY_REUSED'
+      ),
+    },
+  }),
+});
+
+// Ação sobre uma mensagem existente (/{session}/<ação>/{messageId})
+const messageAction = (
+  summary,
+  schema,
+  { method = 'post', description, params = [], idempotent = false } = {}
+) => ({
+  [method]: operation({
+    tag: 'Mensagens',
+    summary,
+    description,
+    params: [
+      sessionParam,
+      pathParam('messageId', 'Id da mensagem (WhatsAppMessage.messageId)'),
+      ...(idempotent ? [idempotencyHeader] : []),
+      ...params,
+    ],
+    body: schema,
+    extra: {
+      ...sessionErrors,
+      422: errorResponse(
+        'MESSAGE_ACTION_NOT_ALLOWED (ex.: editar mensagem de outra pessoa ou fora do prazo) ou NUMBER_NOT_ON_WHATSAPP'
+      ),
+    },
+  }),
+});
+
+// Operação de /{session}/groups[/{groupId}...]
+const groupOperation = (
+  summary,
+  { groupId = true, body, idempotent = false, description, ok, extra } = {}
+) =>
+  operation({
+    tag: 'Grupos',
+    summary,
+    description,
+    params: [
+      sessionParam,
+      ...(groupId
+        ? [pathParam('groupId', 'Id do grupo (120363...@g.us ou só o número)')]
+        : []),
+      ...(idempotent ? [idempotencyHeader] : []),
+    ],
+    body,
+    ...(ok && { ok }),
+    extra: {
+      ...sessionErrors,
+      404: errorResponse('Sessão ou grupo inexistente (GROUP_NOT_FOUND)'),
+      422: errorResponse(
+        'A sessão não é admin do grupo (GROUP_ADMIN_REQUIRED)'
+      ),
+      ...extra,
+    },
+  });
+
+const paths = {
+  // Sessões
+  '/{session}/createsession': {
+    post: operation({
+      tag: 'Sessões',
+      summary: 'Inicia a sessão (QR Code ou código de pareamento)',
+      params: [sessionParam],
+      body: { schema: ref('CreateSessionRequest'), required: false },
+    }),
+  },
+  '/{session}/status': {
+    get: operation({
+      tag: 'Sessões',
+      summary: 'Estado da sessão, QR/código pendente e número conectado',
+      params: [sessionParam],
+    }),
+  },
+  '/{session}/getconnectionstatus': {
+    get: operation({
+      tag: 'Sessões',
+      summary: 'Estado de conexão (e QR/código, se houver)',
+      params: [sessionParam],
+    }),
+  },
+  '/{session}/getqrcode': {
+    get: operation({
+      tag: 'Sessões',
+      summary: 'QR Code pendente',
+      params: [sessionParam],
+      extra: { 404: responses.notFound, 409: responses.conflict },
+    }),
+  },
+  '/{session}/pausesession': {
+    post: operation({
+      tag: 'Sessões',
+      summary: 'Fecha o navegador mantendo os tokens',
+      params: [sessionParam],
+      extra: { 404: responses.notFound },
+    }),
+  },
+  '/{session}/resumesession': {
+    post: operation({
+      tag: 'Sessões',
+      summary: 'Reabre uma sessão pausada com os tokens salvos',
+      params: [sessionParam],
+      extra: { 409: responses.conflict },
+    }),
+  },
+  '/{session}/logoutsession': {
+    post: operation({
+      tag: 'Sessões',
+      summary: 'Desvincula o aparelho no WhatsApp e fecha o navegador',
+      params: [sessionParam],
+      extra: { 404: responses.notFound },
+    }),
+  },
+  '/{session}/deletesession': {
+    delete: operation({
+      tag: 'Sessões',
+      summary: 'Logout, remove tokens e marca a sessão como inativa',
+      params: [sessionParam],
+    }),
+  },
+  '/{session}/cleansession': {
+    delete: operation({
+      tag: 'Sessões',
+      summary: 'Fecha a sessão e apaga os tokens (sem logout)',
+      params: [sessionParam],
+    }),
+  },
+  '/sessions': {
+    get: operation({
+      tag: 'Sessões',
+      summary: 'Visão geral de todas as sessões',
+      admin: true,
+      params: [
+        queryParam(
+          'state',
+          `Estados separados por vírgula: ${Object.keys(STATES).join(', ')}`,
+          { type: 'string' }
+        ),
+        queryParam('active', 'isActive no banco', flag),
+        queryParam('hasError', 'Só sessões com/sem erro', flag),
+        queryParam('userId', 'Dono da sessão', { type: 'integer' }),
+        queryParam('q', 'Parte do nome ou do número', { type: 'string' }),
+        queryParam('idleMinutes', 'Sem mensagens há pelo menos N minutos', {
+          type: 'number',
+          minimum: 0,
+        }),
+        queryParam('sort', 'Campo de ordenação', {
+          type: 'string',
+          enum: [
+            'session',
+            'state',
+            'uptime',
+            'lastInbound',
+            'lastOutbound',
+            'queuedWebhooks',
+            'memory',
+          ],
+        }),
+        queryParam('order', 'Direção', {
+          type: 'string',
+          enum: ['asc', 'desc'],
+        }),
+      ],
+    }),
+  },
+
+  // Mensagens
+  '/{session}/sendmessage': sendRoute(
+    'Envia mensagem de texto',
+    'SendMessageRequest'
+  ),
+  '/{session}/sendpixmessage': sendRoute(
+    'Envia cobrança PIX',
+    'SendPixRequest'
+  ),
+  '/{session}/sendptt': sendRoute(
+    'Envia áudio como mensagem de voz (convertido para OGG Opus)',
+    'SendPttRequest'
+  ),
+  '/{session}/sendimage': sendRoute('Envia imagem', 'SendImageRequest'),
+  '/{session}/senddocument': sendRoute(
+    'Envia documento',
+    'SendDocumentRequest'
+  ),
+  '/{session}/sendvideo': sendRoute('Envia vídeo', 'SendVideoRequest'),
+  '/{session}/sendmedia': sendRoute(
+    'Envia qualquer mídia (tipo pelo conteúdo, conversão automática)',
+    'SendMediaRequest',
+    'SendMediaResponse'
+  ),
+  '/{session}/history': {
+    get: operation({
+      tag: 'Mensagens',
+      summary: 'Histórico de mensagens de um chat',
+      params: [
+        sessionParam,
+        queryParam(
+          'chatId',
+          'Ex.: 5514999999999@c.us ou id de grupo @g.us',
+          { type: 'string', minLength: 1 },
+          true
+        ),
+        queryParam('amount', 'Quantidade de mensagens', {
+          type: 'integer',
+          minimum: 1,
+          default: 50,
+        }),
+      ],
+      extra: sessionErrors,
+    }),
+  },
+  '/{session}/loadearlier': {
+    get: operation({
+      tag: 'Mensagens',
+      summary: 'Carrega mensagens antigas de um chat',
+      params: [
+        sessionParam,
+        queryParam(
+          'chatId',
+          'Id do chat',
+          { type: 'string', minLength: 1 },
+          true
+        ),
+      ],
+      extra: sessionErrors,
+    }),
+  },
+
+  '/{session}/messageacks/{messageId}': {
+    get: operation({
+      tag: 'Mensagens',
+      summary: 'Linha do tempo de entrega/leitura (ack) da mensagem',
+      description:
+        'Etapas: pending, sent, received, read, played ou error, com a data em que cada uma chegou',
+      params: [sessionParam, pathParam('messageId', 'Id da mensagem')],
+      extra: {
+        404: errorResponse('Nenhum ack registrado (MESSAGE_NOT_FOUND)'),
+      },
+    }),
+  },
+
+  '/{session}/replymessage/{messageId}': messageAction(
+    'Responde citando a mensagem',
+    'ReplyMessageRequest',
+    { idempotent: true }
+  ),
+  '/{session}/reactmessage/{messageId}': messageAction(
+    'Reage à mensagem (ou remove a reação)',
+    'ReactMessageRequest'
+  ),
+  '/{session}/editmessage/{messageId}': messageAction(
+    'Edita uma mensagem de texto própria (até 15 minutos após o envio)',
+    'EditMessageRequest'
+  ),
+  '/{session}/deletemessage/{messageId}': messageAction(
+    'Apaga a mensagem deste aparelho ou para todos',
+    null,
+    {
+      method: 'delete',
+      description:
+        'Para todos (forEveryone=true) só mensagens enviadas pela sessão, dentro do prazo do WhatsApp',
+      params: [
+        queryParam(
+          'forEveryone',
+          'Apaga para todos os participantes; sem ele, só deste aparelho',
+          flag
+        ),
+      ],
+    }
+  ),
+  '/{session}/forwardmessage/{messageId}': messageAction(
+    'Encaminha a mensagem para outro chat',
+    'ForwardMessageRequest',
+    { idempotent: true }
+  ),
+  '/{session}/starmessage/{messageId}': messageAction(
+    'Marca ou desmarca a mensagem como favorita',
+    'StarMessageRequest'
+  ),
+
+  // Mídia
+  '/{session}/downloadmedia/{messageId}': {
+    get: operation({
+      tag: 'Mídia',
+      summary: 'Baixa a mídia de uma mensagem',
+      description:
+        'Mídias recebidas são servidas do arquivo (MEDIA_STORAGE), mesmo com a sessão desconectada; as demais são baixadas pelo navegador da sessão. Aceita link assinado (expires + signature) no lugar da API key.',
+      params: [
+        sessionParam,
+        pathParam('messageId', 'Id da mensagem'),
+        queryParam('expires', 'Expiração do link assinado (unix)', {
+          type: 'integer',
+        }),
+        queryParam('signature', 'Assinatura do link', { type: 'string' }),
+      ],
+      ok: {
+        description: 'Arquivo da mídia',
+        content: {
+          'application/octet-stream': {
+            schema: { type: 'string', format: 'binary' },
+          },
+        },
+      },
+      extra: sessionErrors,
+    }),
+  },
+  '/{session}/mediainfo/{messageId}': {
+    get: operation({
+      tag: 'Mídia',
+      summary: 'Metadados e link de download da mídia',
+      params: [sessionParam, pathParam('messageId', 'Id da mensagem')],
+      extra: sessionErrors,
+    }),
+  },
+  '/{session}/download-media': {
+    post: operation({
+      tag: 'Mídia',
+      summary: 'Baixa a mídia de uma mensagem em base64',
+      params: [sessionParam],
+      body: 'DownloadMediaRequest',
+      extra: sessionErrors,
+    }),
+  },
+
+  // Grupos
+  '/{session}/groups': {
+    get: groupOperation('Grupos da sessão com metadados', { groupId: false }),
+    post: groupOperation('Cria um grupo', {
+      groupId: false,
+      body: 'CreateGroupRequest',
+      idempotent: true,
+      description:
+        'Números inválidos ou sem WhatsApp ficam de fora; o resultado de cada um vem em results (com link de convite para quem a privacidade impediu de adicionar)',
+      extra: {
+        201: responses.ok('Grupo criado', ref('ParticipantResults')),
+      },
+    }),
+  },
+  '/{session}/groups/{groupId}': {
+    get: groupOperation('Metadados e participantes do grupo'),
+    put: groupOperation('Altera assunto, descrição e configurações', {
+      body: 'UpdateGroupRequest',
+      description: 'Só os campos enviados são alterados; exige admin',
+    }),
+  },
+  '/{session}/groups/{groupId}/participants': {
+    post: groupOperation('Adiciona, remove, promove ou rebaixa participantes', {
+      body: 'GroupParticipantsRequest',
+      description:
+        'Cada número é tratado separadamente; falhas vêm em results com o motivo. Exige admin',
+      ok: responses.ok('Resultado por participante', ref('ParticipantResults')),
+    }),
+  },
+  '/{session}/groups/{groupId}/invitelink': {
+    get: groupOperation('Link de convite do grupo'),
+    post: groupOperation('Gera um novo link de convite', {
+      description: 'O link anterior deixa de funcionar',
+    }),
+  },
+  '/{session}/groups/{groupId}/requests': {
+    get: groupOperation('Pedidos de entrada pendentes'),
+    post: groupOperation('Aprova ou rejeita pedidos de entrada', {
+      body: 'MembershipRequestsRequest',
+      ok: responses.ok('Resultado por participante', ref('ParticipantResults')),
+    }),
+  },
+  '/{session}/groups/{groupId}/icon': {
+    put: groupOperation('Troca o ícone do grupo', { body: 'GroupIconRequest' }),
+    delete: groupOperation('Remove o ícone do grupo'),
+  },
+
+  // Etiquetas
+  '/{session}/labels': {
+    get: operation({
+      tag: 'Etiquetas',
+      summary: 'Etiquetas do WhatsApp Business e a tag ligada a cada uma',
+      params: [sessionParam],
+      extra: sessionErrors,
+    }),
+  },
+  '/{session}/labels/resync': {
+    post: operation({
+      tag: 'Etiquetas',
+      summary: 'Ressincroniza etiquetas e tags da sessão',
+      description:
+        'Compara WhatsApp, CRM e o último estado sincronizado; o lado que mudou desde então vence. Devolve quantas alterações foram aplicadas, ignoradas e com falha',
+      params: [sessionParam],
+      extra: sessionErrors,
+    }),
+  },
+  '/{session}/labels/log': {
+    get: operation({
+      tag: 'Etiquetas',
+      summary: 'Trilha de auditoria da sincronização',
+      params: [
+        sessionParam,
+        queryParam('tagId', 'Só desta tag', { type: 'string' }),
+        queryParam('chatId', 'Só deste chat', { type: 'string' }),
+        queryParam('outcome', 'Resultado', {
+          type: 'string',
+          enum: ['applied', 'ignored', 'failed'],
+        }),
+        queryParam('limit', 'Máximo de itens', {
+          type: 'integer',
+          minimum: 1,
+          maximum: 500,
+          default: 50,
+        }),
+        queryParam('offset', 'Deslocamento', {
+          type: 'integer',
+          minimum: 0,
+          default: 0,
+        }),
+      ],
+    }),
+  },
+  '/{session}/contacts/{contact}/tags': {
+    post: operation({
+      tag: 'Etiquetas',
+      summary: 'Aplica ou retira tags do CRM no contato e no chat',
+      description:
+        'A etiqueta correspondente é criada no WhatsApp se ainda não existir. O resultado de cada tag vem em results (applied, ignored, failed ou not_found)',
+      params: [
+        sessionParam,
+        pathParam('contact', 'Número (DDI + DDD) ou id do chat'),
+      ],
+      body: 'ContactTagsRequest',
+      extra: sessionErrors,
+    }),
+  },
+
+  // Webhooks
+  '/{session}/webhooks': {
+    get: operation({
+      tag: 'Webhooks',
+      summary: 'Lista os webhooks da sessão',
+      params: [sessionParam],
+    }),
+    post: operation({
+      tag: 'Webhooks',
+      summary: 'Cadastra um webhook',
+      params: [sessionParam],
+      body: 'WebhookRequest',
+      extra: { 201: responses.ok('Criado') },
+    }),
+  },
+  '/{session}/webhooks/secret': {
+    get: operation({
+      tag: 'Webhooks',
+      summary: 'Situação do segredo HMAC (sem o valor)',
+      params: [sessionParam],
+    }),
+  },
+  '/{session}/webhooks/secret/rotate': {
+    post: operation({
+      tag: 'Webhooks',
+      summary: 'Gera um novo segredo HMAC',
+      params: [sessionParam],
+      body: { schema: ref('RotateSecretRequest'), required: false },
+    }),
+  },
+  '/{session}/webhooks/secret/previous': {
+    delete: operation({
+      tag: 'Webhooks',
+      summary: 'Revoga o segredo anterior antes do fim da carência',
+      params: [sessionParam],
+      extra: { 404: responses.notFound },
+    }),
+  },
+  '/{session}/webhooks/{webhookId}': {
+    put: operation({
+      tag: 'Webhooks',
+      summary: 'Altera url/events/enabled',
+      params: [sessionParam, pathParam('webhookId', 'Id do webhook')],
+      body: 'WebhookUpdateRequest',
+      extra: { 404: responses.notFound },
+    }),
+    delete: operation({
+      tag: 'Webhooks',
+      summary: 'Remove um webhook',
+      params: [sessionParam, pathParam('webhookId', 'Id do webhook')],
+      extra: { 404: responses.notFound },
+    }),
+  },
+  '/webhooks/dead-letters': {
+    get: operation({
+      tag: 'Webhooks',
+      summary: 'Lista eventos no dead-letter',
+      admin: true,
+      params: [
+        queryParam('session', 'Filtra por sessão', { type: 'string' }),
+        queryParam('event', 'Filtra por evento', { type: 'string' }),
+        queryParam('limit', 'Máximo de itens', {
+          type: 'integer',
+          minimum: 1,
+          maximum: 500,
+          default: 50,
+        }),
+        queryParam('offset', 'Deslocamento', {
+          type: 'integer',
+          minimum: 0,
+          default: 0,
+        }),
+      ],
+    }),
+  },
+  '/webhooks/dead-letters/redeliver': {
+    post: operation({
+      tag: 'Webhooks',
+      summary: 'Reenfileira vários eventos (ids, session e/ou event)',
+      admin: true,
+      body: 'RedeliverRequest',
+    }),
+  },
+  '/webhooks/dead-letters/{id}': {
+    get: operation({
+      tag: 'Webhooks',
+      summary: 'Detalhe de um evento (com payload)',
+      admin: true,
+      params: [
+        pathParam('id', 'Id da entrega', { type: 'integer', minimum: 1 }),
+      ],
+      extra: { 404: responses.notFound },
+    }),
+    delete: operation({
+      tag: 'Webhooks',
+      summary: 'Descarta um evento',
+      admin: true,
+      params: [
+        pathParam('id', 'Id da entrega', { type: 'integer', minimum: 1 }),
+      ],
+      extra: { 404: responses.notFound },
+    }),
+  },
+  '/webhooks/dead-letters/{id}/redeliver': {
+    post: operation({
+      tag: 'Webhooks',
+      summary: 'Reenfileira um evento',
+      admin: true,
+      params: [
+        pathParam('id', 'Id da entrega', { type: 'integer', minimum: 1 }),
+      ],
+      extra: { 404: responses.notFound },
+    }),
+  },
+
+  // Eventos
+  '/{session}/events': {
+    get: operation({
+      tag: 'Eventos',
+      summary: 'Stream SSE de eventos da sessão',
+      params: [
+        sessionParam,
+        queryParam('events', `Tipos: ${STREAM_EVENTS.join(', ')} ou *`, {
+          type: 'string',
+        }),
+        queryParam('lastEventId', 'Cursor para retomar o stream', {
+          type: 'string',
+        }),
+        queryParam('apiKey', 'API key (só para EventSource)', {
+          type: 'string',
+        }),
+      ],
+      ok: {
+        description: 'Stream de eventos',
+        content: { 'text/event-stream': { schema: { type: 'string' } } },
+      },
+    }),
+  },
+  '/events': {
+    get: operation({
+      tag: 'Eventos',
+      summary: 'Stream SSE de eventos de todas as sessões',
+      admin: true,
+      params: [
+        queryParam('events', `Tipos: ${STREAM_EVENTS.join(', ')} ou *`, {
+          type: 'string',
+        }),
+        queryParam('lastEventId', 'Cursor para retomar o stream', {
+          type: 'string',
+        }),
+        queryParam('apiKey', 'API key (só para EventSource)', {
+          type: 'string',
+        }),
+      ],
+      ok: {
+        description: 'Stream de eventos',
+        content: { 'text/event-stream': { schema: { type: 'string' } } },
+      },
+    }),
+  },
+  '/events/campaign': {
+    post: operation({
+      tag: 'Eventos',
+      summary: 'Publica progresso de campanha (usado pelo campaignWorker)',
+      admin: true,
+      body: 'CampaignProgressRequest',
+      ok: responses.ok('Publicado'),
+    }),
+  },
+
+  // Campanhas
+  '/{session}/dispatch-campaign': {
+    post: operation({
+      tag: 'Campanhas',
+      summary: 'Dispara uma campanha',
+      params: [sessionParam],
+      body: 'DispatchCampaignRequest',
+    }),
+  },
+  '/campaign/{campaignId}/status': {
+    get: operation({
+      tag: 'Campanhas',
+      summary: 'Progresso de uma campanha',
+      admin: true,
+      params: [pathParam('campaignId', 'Id da campanha')],
+      extra: { 404: responses.notFound },
+    }),
+  },
+  '/campaign/{campaignId}/cancel': {
+    delete: operation({
+      tag: 'Campanhas',
+      summary: 'Cancela uma campanha',
+      admin: true,
+      params: [pathParam('campaignId', 'Id da campanha')],
+      extra: { 404: responses.notFound },
+    }),
+  },
+  '/campaigns/active': {
+    get: operation({
+      tag: 'Campanhas',
+      summary: 'Campanhas em andamento',
+      admin: true,
+    }),
+  },
+
+  // Administração
+  '/api-keys': {
+    get: operation({
+      tag: 'Administração',
+      summary: 'Lista as API keys',
+      admin: true,
+      params: [
+        queryParam('includeRevoked', 'Inclui as revogadas', {
+          type: 'boolean',
+        }),
+      ],
+    }),
+    post: operation({
+      tag: 'Administração',
+      summary: 'Cria uma API key (exibida uma única vez)',
+      admin: true,
+      body: 'ApiKeyRequest',
+      extra: { 201: responses.ok('Criada') },
+    }),
+  },
+  '/api-keys/{id}': {
+    delete: operation({
+      tag: 'Administração',
+      summary: 'Revoga uma API key',
+      admin: true,
+      params: [pathParam('id', 'Id da chave')],
+      extra: { 404: responses.notFound },
+    }),
+  },
+  '/metrics': {
+    get: operation({
+      tag: 'Administração',
+      summary: 'Métricas no formato do Prometheus',
+      admin: true,
+      ok: {
+        description: 'Métricas',
+        content: { 'text/plain': { schema: { type: 'string' } } },
+      },
+    }),
+  },
+};
+
+// Rotas de mídia também aceitam multipart/form-data (lib/uploads.js): o
+// arquivo substitui o campo de origem
+for (const [route, { field, mimetypes }] of Object.entries(UPLOAD_ROUTES)) {
+  const op = paths[`/{session}/${route}`].post;
+  const { properties, required } =
+    schemas[
+      op.requestBody.content['application/json'].schema.$ref.split('/').pop()
+    ];
+  op.requestBody.content['multipart/form-data'] = {
+    schema: {
+      type: 'object',
+      required: required.map((name) => (name === field ? 'file' : name)),
+      properties: {
+        ...Object.fromEntries(
+          Object.entries(properties).filter(([name]) => name !== field)
+        ),
+        file: {
+          type: 'string',
+          format: 'binary',
+          description: `Arquivo (até ${UPLOAD_MAX_BYTES} bytes; tipos: ${
+            mimetypes ? mimetypes.join(', ') : 'qualquer'
+          }). Sem ele, envie ${field} como texto.`,
+        },
+      },
+    },
+  };
+  op.responses[413] = errorResponse(
+    'Arquivo maior que UPLOAD_MAX_BYTES (PAYLOAD_TOO_LARGE)'
+  );
+}
+
+const openapiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'WhatsApp REST API',
+    version: '1.0.0',
+    description:
+      'API REST de sessões, mensagens, webhooks e campanhas sobre o WPPConnect. Todas as rotas exigem API key (X-Api-Key ou Authorization: Bearer); as marcadas com x-admin-only exigem uma chave admin.',
+  },
+  security: [{ ApiKeyHeader: [] }, { BearerAuth: [] }],
+  tags: [
+    'Sessões',
+    'Mensagens',
+    'Mídia',
+    'Grupos',
+    'Etiquetas',
+    'Webhooks',
+    'Eventos',
+    'Campanhas',
+    'Administração',
+  ].map((name) => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-Api-Key' },
+      BearerAuth: { type: 'http', scheme: 'bearer' },
+    },
+    schemas,
+  },
+};
+
+module.exports = {
+  openapiDocument,
+};
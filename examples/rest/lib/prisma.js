@@ -0,0 +1,7 @@
+// lib/prisma.js
+// Instância única do PrismaClient compartilhada pelo servidor REST
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+module.exports = prisma;
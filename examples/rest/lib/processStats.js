@@ -0,0 +1,65 @@
+// lib/processStats.js
+// Memória dos Chromes das sessões. Cada sessão é uma árvore de processos
+// (browser + renderers + GPU/utility), então a memória é somada a partir do
+// PID do browser. Lê /proc: fora do Linux devolve null.
+const fs = require('fs');
+
+// PPid e VmRSS (kB) de /proc/<pid>/status
+function readStatus(pid) {
+  try {
+    const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const ppid = /^PPid:\s+(\d+)/m.exec(status);
+    const rss = /^VmRSS:\s+(\d+)\s+kB/m.exec(status);
+    return {
+      ppid: ppid ? Number(ppid[1]) : null,
+      rssBytes: rss ? Number(rss[1]) * 1024 : 0,
+    };
+  } catch (error) {
+    return null; // processo terminou durante a leitura
+  }
+}
+
+/**
+ * Memória residente de cada árvore de processos.
+ * Devolve Map(pid → { rssBytes, processes }) só com os PIDs encontrados,
+ * ou null se /proc não estiver disponível.
+ */
+function getProcessTreeMemory(pids) {
+  let entries;
+  try {
+    entries = fs.readdirSync('/proc').filter((name) => /^\d+$/.test(name));
+  } catch (error) {
+    return null;
+  }
+
+  const children = new Map(); // ppid → [pid]
+  const stats = new Map();
+  for (const name of entries) {
+    const stat = readStatus(name);
+    if (!stat) continue;
+    const pid = Number(name);
+    stats.set(pid, stat);
+    if (!children.has(stat.ppid)) children.set(stat.ppid, []);
+    children.get(stat.ppid).push(pid);
+  }
+
+  const result = new Map();
+  for (const root of pids) {
+    if (!stats.has(root)) continue;
+    let rssBytes = 0;
+    let processes = 0;
+    const stack = [root];
+    while (stack.length) {
+      const pid = stack.pop();
+      rssBytes += stats.get(pid)?.rssBytes || 0;
+      processes++;
+      stack.push(...(children.get(pid) || []));
+    }
+    result.set(root, { rssBytes, processes });
+  }
+  return result;
+}
+
+module.exports = {
+  getProcessTreeMemory,
+};
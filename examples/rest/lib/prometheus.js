@@ -0,0 +1,231 @@
+// lib/prometheus.js
+// Métricas no formato texto do Prometheus (exposition format 0.0.4):
+// counters, gauges e histogramas com labels, mais coletores que atualizam
+// gauges na hora do scrape. Usado pela API (/metrics) e pelo campaignWorker.
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Buckets padrão (segundos): de 5ms a 1min
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60,
+];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(pairs) {
+  if (!pairs.length) return '';
+  return `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // chave: valores dos labels em JSON
+  }
+
+  // Valores na ordem de labelNames (labels ausentes viram "")
+  _key(labels = {}) {
+    return JSON.stringify(this.labelNames.map((l) => String(labels[l] ?? '')));
+  }
+
+  _pairs(key) {
+    return JSON.parse(key).map((value, i) => [this.labelNames[i], value]);
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help.replace(/\n/g, ' ')}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ];
+    for (const [key, value] of this.values) {
+      lines.push(
+        `${this.name}${formatLabels(this._pairs(key))} ${formatValue(value)}`
+      );
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels, value = 1) {
+    const key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels, value) {
+    this.values.set(this._key(labels), value);
+  }
+
+  inc(labels, value = 1) {
+    const key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  dec(labels, value = 1) {
+    this.inc(labels, -value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = this._key(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+    this.buckets.forEach((le, i) => {
+      if (value <= le) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Inicia um cronômetro; a função devolvida registra a duração (em
+   * segundos), com labels extras opcionais (ex.: o resultado), e a devolve
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help.replace(/\n/g, ' ')}`,
+      `# TYPE ${this.name} histogram`,
+    ];
+    for (const [key, entry] of this.values) {
+      const pairs = this._pairs(key);
+      this.buckets.forEach((le, i) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels([
+            ...pairs,
+            ['le', formatValue(le)],
+          ])} ${entry.counts[i]}`
+        );
+      });
+      lines.push(
+        `${this.name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${
+          entry.count
+        }`
+      );
+      lines.push(`${this.name}_sum${formatLabels(pairs)} ${entry.sum}`);
+      lines.push(`${this.name}_count${formatLabels(pairs)} ${entry.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  _register(metric) {
+    if (this.metrics.some((m) => m.name === metric.name)) {
+      throw new Error(`Métrica ${metric.name} já registrada`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this._register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this._register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this._register(new Histogram(options));
+  }
+
+  /** Função (pode ser async) chamada a cada scrape, antes de renderizar */
+  onCollect(collector) {
+    this.collectors.push(collector);
+  }
+
+  /** Texto do scrape. Falha de um coletor só é logada. */
+  async render() {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (err) {
+        console.error(
+          '⚠️ [METRICS] Falha ao coletar métricas:',
+          err?.message || err
+        );
+      }
+    }
+    return `${this.metrics.map((m) => m.render()).join('\n')}\n`;
+  }
+}
+
+/** Métricas do próprio processo Node (memória e início) */
+function registerProcessMetrics(registry) {
+  const startTime = registry.gauge({
+    name: 'process_start_time_seconds',
+    help: 'Start time of the process since unix epoch in seconds.',
+  });
+  const residentMemory = registry.gauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size in bytes.',
+  });
+  const heapUsed = registry.gauge({
+    name: 'nodejs_heap_used_bytes',
+    help: 'Node.js heap used in bytes.',
+  });
+
+  startTime.set({}, Math.floor(Date.now() / 1000 - process.uptime()));
+  registry.onCollect(() => {
+    const memory = process.memoryUsage();
+    residentMemory.set({}, memory.rss);
+    heapUsed.set({}, memory.heapUsed);
+  });
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  Registry,
+  registerProcessMetrics,
+};
@@ -0,0 +1,776 @@
+// lib/sessionManager.js
+// Ponto único de criação/consulta das sessões do WhatsApp, com máquina de estados
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs');
+const wppconnect = require('@wppconnect-team/wppconnect');
+const sessionStore = require('./sessionStore');
+
+const STATES = Object.freeze({
+  CREATING: 'CREATING',
+  QR_CODE: 'QR_CODE',
+  PAIRING: 'PAIRING',
+  CONNECTED: 'CONNECTED',
+  DISCONNECTED: 'DISCONNECTED',
+  ERROR: 'ERROR',
+  CLOSED: 'CLOSED',
+});
+
+// Transições permitidas (estado atual → próximos estados válidos)
+const TRANSITIONS = {
+  [STATES.CREATING]: [
+    STATES.QR_CODE,
+    STATES.PAIRING,
+    STATES.CONNECTED,
+    STATES.DISCONNECTED,
+    STATES.ERROR,
+    STATES.CLOSED,
+  ],
+  [STATES.QR_CODE]: [
+    STATES.PAIRING,
+    STATES.CONNECTED,
+    STATES.DISCONNECTED,
+    STATES.ERROR,
+    STATES.CLOSED,
+  ],
+  [STATES.PAIRING]: [
+    STATES.QR_CODE,
+    STATES.CONNECTED,
+    STATES.DISCONNECTED,
+    STATES.ERROR,
+    STATES.CLOSED,
+  ],
+  [STATES.CONNECTED]: [
+    STATES.QR_CODE, // deslogado pelo celular
+    STATES.PAIRING,
+    STATES.DISCONNECTED,
+    STATES.ERROR,
+    STATES.CLOSED,
+  ],
+  [STATES.DISCONNECTED]: [
+    STATES.CREATING,
+    STATES.QR_CODE,
+    STATES.PAIRING,
+    STATES.CONNECTED,
+    STATES.ERROR,
+    STATES.CLOSED,
+  ],
+  [STATES.ERROR]: [STATES.CREATING, STATES.CLOSED],
+  [STATES.CLOSED]: [STATES.CREATING],
+};
+
+// statusFind do wppconnect → estado da sessão
+const STATUS_FIND_TO_STATE = {
+  notLogged: STATES.QR_CODE,
+  qrReadSuccess: STATES.PAIRING,
+  isLogged: STATES.CONNECTED,
+  inChat: STATES.CONNECTED,
+  qrReadFail: STATES.DISCONNECTED,
+  qrReadError: STATES.DISCONNECTED,
+  phoneNotConnected: STATES.DISCONNECTED,
+  desconnectedMobile: STATES.DISCONNECTED,
+  browserClose: STATES.DISCONNECTED,
+  serverClose: STATES.DISCONNECTED,
+  autocloseCalled: STATES.DISCONNECTED,
+};
+
+// statusFind que indicam que o Chrome da sessão não existe mais
+const BROWSER_GONE = ['browserClose', 'serverClose', 'autocloseCalled'];
+
+// onStateChange (SocketState) → estado da sessão
+const SOCKET_STATE_TO_STATE = {
+  CONNECTED: STATES.CONNECTED,
+  PAIRING: STATES.PAIRING,
+  UNPAIRED: STATES.QR_CODE,
+  UNPAIRED_IDLE: STATES.QR_CODE,
+  CONFLICT: STATES.DISCONNECTED,
+  TIMEOUT: STATES.DISCONNECTED,
+  UNLAUNCHED: STATES.DISCONNECTED,
+  PROXYBLOCK: STATES.ERROR,
+  TOS_BLOCK: STATES.ERROR,
+  SMB_TOS_BLOCK: STATES.ERROR,
+  DEPRECATED_VERSION: STATES.ERROR,
+};
+
+const QRCODE_LIFETIME = 40 * 1000;
+// Login por código de pareamento (phoneNumber): validade de cada código,
+// espera pelo primeiro código e quantos códigos gerar antes de voltar ao QR
+const PAIRING_CODE_LIFETIME = Number(
+  process.env.PAIRING_CODE_TTL_MS || 3 * 60 * 1000
+);
+const PAIRING_CODE_WAIT_MS = Number(
+  process.env.PAIRING_CODE_WAIT_MS || 60 * 1000
+);
+const PAIRING_MAX_CODES = Number(process.env.PAIRING_MAX_CODES || 3);
+const TOKENS_DIR = path.join(__dirname, '..', 'tokens');
+const CHROME_PATH = process.env.CHROME_PATH || '/usr/bin/google-chrome';
+
+// Código de pareamento exposto pela API e no stream de eventos (com indicação de expiração)
+function serializePairingCode(pairingCode) {
+  if (!pairingCode) return null;
+  return {
+    code: pairingCode.code,
+    phoneNumber: pairingCode.phoneNumber,
+    attempts: pairingCode.attempts,
+    expiresAt: new Date(pairingCode.expiresAt).toISOString(),
+    expired: Date.now() > pairingCode.expiresAt,
+  };
+}
+
+class InvalidTransitionError extends Error {
+  constructor(sessionName, from, to) {
+    super(`Transição inválida na sessão ${sessionName}: ${from} → ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.sessionName = sessionName;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Gerencia o ciclo de vida das sessões. Cada sessão tem um único registro
+ * ({ name, state, client, wid, qrCode, pairingCode, loginMode, message, error,
+ * lastInboundAt, lastOutboundAt, ... })
+ * e no máximo uma criação em andamento: pedidos concorrentes reaproveitam a
+ * mesma Promise, então nunca sobem dois Chromes para a mesma sessão.
+ *
+ * Eventos emitidos:
+ *  - 'state'        (sessionName, state, previousState)
+ *  - 'qr'           (sessionName, qrCode)
+ *  - 'pairing-code' (sessionName, pairingCode)
+ *  - 'client'       (sessionName, client) — client pronto, registrar listeners
+ *                    (devolva os disposables para track())
+ *  - 'closed'       (sessionName) — sessão encerrada, limpar caches
+ */
+class SessionManager extends EventEmitter {
+  constructor() {
+    super();
+    this.sessions = new Map();
+    this.pending = new Map();
+    this.loginClients = new Map(); // clients aguardando QR/código (sem login)
+    this.restarts = new Map(); // reinícios de login pedidos (restartLogin)
+    this.pairingTimers = new Map();
+    this.listeners = new Map(); // disposables dos listeners de cada client
+  }
+
+  /** Registro da sessão (ou undefined se nunca foi criada) */
+  get(sessionName) {
+    return this.sessions.get(sessionName);
+  }
+
+  /** Client da sessão, se já existir */
+  getClient(sessionName) {
+    return this.sessions.get(sessionName)?.client || null;
+  }
+
+  getState(sessionName) {
+    return this.sessions.get(sessionName)?.state || null;
+  }
+
+  /** A sessão está sendo criada (Chrome subindo, aguardando QR/login)? */
+  isStarting(sessionName) {
+    return this.pending.has(sessionName);
+  }
+
+  list() {
+    return Array.from(this.sessions.values());
+  }
+
+  /** PID do Chrome da sessão (também durante o QR/código), ou null */
+  getBrowserPid(sessionName) {
+    const client =
+      this.getClient(sessionName) || this.loginClients.get(sessionName);
+    try {
+      return client?.getPID() || null;
+    } catch (error) {
+      // navegador remoto (browserWS) ou já fechado
+      return null;
+    }
+  }
+
+  /**
+   * Aplica uma transição validada. Transições inválidas são ignoradas e
+   * logadas (callbacks do wppconnect não podem lançar). Use strict = true
+   * para receber InvalidTransitionError.
+   */
+  transition(sessionName, nextState, extra = {}, strict = false) {
+    let record = this.sessions.get(sessionName);
+    const previous = record?.state || null;
+
+    // Repetir o estado atual só atualiza os dados do registro
+    const allowed = previous
+      ? previous === nextState || TRANSITIONS[previous].includes(nextState)
+      : nextState === STATES.CREATING;
+
+    if (!allowed) {
+      const err = new InvalidTransitionError(sessionName, previous, nextState);
+      if (strict) throw err;
+      console.warn(`⚠️ [SESSION] ${err.message} (ignorada)`);
+      return false;
+    }
+
+    if (!record) {
+      record = {
+        name: sessionName,
+        state: null,
+        client: null,
+        qrCode: null,
+        message: null,
+        error: null,
+        createdAt: new Date(),
+      };
+      this.sessions.set(sessionName, record);
+    }
+
+    Object.assign(record, extra, {
+      state: nextState,
+      updatedAt: new Date(),
+    });
+    if (nextState === STATES.CONNECTED) {
+      record.qrCode = null;
+      record.pairingCode = null;
+      record.error = null;
+      record.connectedAt = new Date();
+      this._clearPairingTimer(sessionName);
+    }
+
+    if (previous !== nextState) {
+      console.log(`🔄 [SESSION] ${sessionName}: ${previous} → ${nextState}`);
+      if (nextState === STATES.CONNECTED) {
+        sessionStore.markConnected(sessionName);
+      } else if (nextState !== STATES.QR_CODE) {
+        // QR_CODE é persistido junto com o próprio QR em catchQR
+        sessionStore.saveConnectionState(sessionName, nextState);
+      }
+      this.emit('state', sessionName, nextState, previous);
+    }
+    return true;
+  }
+
+  /**
+   * Inicia a sessão (ou devolve a criação já em andamento).
+   * options.restore = true reaproveita os tokens salvos (não limpa a pasta).
+   * options.phoneNumber = login por código de pareamento em vez de QR.
+   */
+  start(sessionName, options = {}) {
+    const existing = this.getClient(sessionName);
+    if (existing) return Promise.resolve(existing);
+    if (this.pending.has(sessionName)) return this.pending.get(sessionName);
+
+    try {
+      this.transition(
+        sessionName,
+        STATES.CREATING,
+        {
+          message: 'Iniciando criação da sessão...',
+          error: null,
+          client: null,
+          qrCode: null,
+          pairingCode: null,
+          loginFallback: null,
+        },
+        true
+      );
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    // Listeners de um client anterior (ex.: navegador que caiu)
+    this._disposeListeners(sessionName);
+
+    const promise = this._create(sessionName, options).finally(() => {
+      this.pending.delete(sessionName);
+    });
+    this.pending.set(sessionName, promise);
+    return promise;
+  }
+
+  /**
+   * Devolve o client existente; se não houver, inicia a sessão reaproveitando
+   * os tokens salvos e aguarda. Se a sessão já estiver subindo devolve null
+   * na hora: não espera o login (pode levar minutos) nem sobe outro Chrome.
+   * Também devolve null se a criação falhar ou se a sessão foi encerrada
+   * pela API (pause/logout): só createsession/resume a reabrem.
+   */
+  async getOrCreate(sessionName) {
+    const client = this.getClient(sessionName);
+    if (client) return client;
+    if (this.isStarting(sessionName)) return null;
+    if (this.getState(sessionName) === STATES.CLOSED) return null;
+
+    try {
+      return await this.start(sessionName, { restore: true });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Reinicia o login de uma sessão que ainda aguarda QR/código: com
+   * phoneNumber gera um novo código de pareamento, sem ele volta para o QR.
+   * Devolve false se não houver login em andamento.
+   */
+  restartLogin(sessionName, { phoneNumber = null, reason = null } = {}) {
+    const client = this.loginClients.get(sessionName);
+    if (!client || this.restarts.has(sessionName)) return false;
+
+    console.log(
+      `🔁 [SESSION] ${sessionName}: reiniciando login (${
+        phoneNumber ? 'código de pareamento' : 'QR Code'
+      })${reason ? ` — ${reason}` : ''}`
+    );
+    this._clearPairingTimer(sessionName);
+    this.restarts.set(sessionName, {
+      phoneNumber,
+      closed: client.close().catch(() => {}),
+    });
+    return true;
+  }
+
+  /**
+   * Registra os disposables ({ dispose }) dos listeners de um client, para
+   * serem removidos quando a sessão for encerrada
+   */
+  track(sessionName, ...disposables) {
+    if (!this.listeners.has(sessionName)) this.listeners.set(sessionName, []);
+    this.listeners.get(sessionName).push(...disposables.filter(Boolean));
+  }
+
+  /**
+   * Fecha o navegador e marca a sessão como CLOSED, removendo os listeners.
+   * options.logout = true desvincula o aparelho no WhatsApp antes de fechar.
+   * Devolve null se a sessão não existir, ou { loggedOut }.
+   */
+  async close(sessionName, { logout = false, message } = {}) {
+    const record = this.sessions.get(sessionName);
+    if (!record) return null;
+
+    // Ainda no QR/código: o Chrome existe, mas o client não foi publicado
+    const loggedIn = record.client;
+    const client = loggedIn || this.loginClients.get(sessionName);
+    this._clearPairingTimer(sessionName);
+    // Antes do logout: o UNPAIRED que ele dispara não deve virar QR_CODE
+    this._disposeListeners(sessionName);
+    this.transition(sessionName, STATES.CLOSED, {
+      client: null,
+      qrCode: null,
+      pairingCode: null,
+      message: message || 'Sessão encerrada',
+    });
+    this.emit('closed', sessionName);
+
+    let loggedOut = false;
+    if (logout && loggedIn) {
+      try {
+        await loggedIn.logout();
+        loggedOut = true;
+        console.log(`Aparelho da sessão ${sessionName} desvinculado`);
+      } catch (error) {
+        console.error(`Erro ao desconectar sessão ${sessionName}:`, error);
+      }
+    }
+
+    if (client) {
+      try {
+        await client.close();
+        console.log(`Instância ${sessionName} fechada`);
+      } catch (error) {
+        console.error(`Erro ao fechar instância ${sessionName}:`, error);
+      }
+    }
+    return { loggedOut };
+  }
+
+  /**
+   * Pausa: fecha o navegador mantendo os tokens (resume reabre sem QR).
+   * A sessão deixa de ser restaurada no boot.
+   */
+  async pause(sessionName) {
+    const result = await this.close(sessionName, {
+      message: 'Sessão pausada',
+    });
+    if (result) await sessionStore.markInactive(sessionName);
+    return result;
+  }
+
+  /** Reabre uma sessão pausada com os tokens salvos */
+  resume(sessionName) {
+    return this.start(sessionName, { restore: true });
+  }
+
+  /** Desvincula o aparelho no WhatsApp e fecha o navegador */
+  async logout(sessionName) {
+    const result = await this.close(sessionName, {
+      logout: true,
+      message: 'Sessão desconectada',
+    });
+    if (result) await sessionStore.markInactive(sessionName);
+    return result;
+  }
+
+  /**
+   * Exclui a sessão: logout, remove tokens/user-data-dir, esquece o
+   * registro e marca o WhatsAppSession como inativo
+   */
+  async remove(sessionName) {
+    const result = await this.close(sessionName, {
+      logout: true,
+      message: 'Sessão excluída',
+    });
+    await this.forget(sessionName);
+    this.cleanupTokens(sessionName);
+    await sessionStore.markInactive(sessionName);
+    return result || { loggedOut: false };
+  }
+
+  /**
+   * Esquece a sessão (após close). Com a criação ainda em andamento, o
+   * registro CLOSED fica até ela terminar: é por ele que o _create fecha o
+   * navegador que ainda estava subindo. Resolve quando o registro sai.
+   */
+  async forget(sessionName) {
+    const pending = this.pending.get(sessionName);
+    if (pending) await pending.catch(() => {});
+    // Reaberta nesse meio-tempo (start/resume): o registro é da nova criação
+    if (this.pending.has(sessionName)) return;
+    this.sessions.delete(sessionName);
+  }
+
+  /** Há tokens/user-data-dir salvos para a sessão? */
+  hasTokens(sessionName) {
+    return fs.existsSync(path.join(TOKENS_DIR, sessionName));
+  }
+
+  /** Remove a pasta de tokens/user-data-dir da sessão */
+  cleanupTokens(sessionName) {
+    try {
+      const sessionDir = path.join(TOKENS_DIR, sessionName);
+      if (fs.existsSync(sessionDir)) {
+        fs.rmSync(sessionDir, { recursive: true, force: true });
+        console.log(`Sessão ${sessionName} limpa`);
+      }
+    } catch (error) {
+      console.error(`Erro ao limpar sessão ${sessionName}:`, error);
+    }
+  }
+
+  // Última mensagem recebida/enviada (inclusive pelo celular), para o /sessions
+  _noteActivity(sessionName, message) {
+    const record = this.sessions.get(sessionName);
+    if (!record || message?.from === 'status@broadcast') return;
+    record[message?.fromMe ? 'lastOutboundAt' : 'lastInboundAt'] = new Date();
+  }
+
+  _disposeListeners(sessionName) {
+    for (const disposable of this.listeners.get(sessionName) || []) {
+      try {
+        disposable.dispose();
+      } catch (error) {
+        // client já fechado: nada a remover
+      }
+    }
+    this.listeners.delete(sessionName);
+  }
+
+  _clearPairingTimer(sessionName) {
+    clearTimeout(this.pairingTimers.get(sessionName));
+    this.pairingTimers.delete(sessionName);
+  }
+
+  _armPairingTimer(sessionName, ms, fn) {
+    this._clearPairingTimer(sessionName);
+    const timer = setTimeout(() => {
+      this.pairingTimers.delete(sessionName);
+      fn();
+    }, ms);
+    timer.unref?.();
+    this.pairingTimers.set(sessionName, timer);
+  }
+
+  /**
+   * Código vencido sem login: gera outro, até PAIRING_MAX_CODES; depois
+   * (ou se o código nem chegou a ser gerado) volta para o QR Code.
+   */
+  _onPairingTimeout(sessionName, phoneNumber) {
+    const record = this.sessions.get(sessionName);
+    if (!record || record.state === STATES.CONNECTED) return;
+
+    const attempts = record.pairingCode?.attempts || 0;
+    if (attempts && attempts < PAIRING_MAX_CODES) {
+      this.restartLogin(sessionName, {
+        phoneNumber,
+        reason: 'código de pareamento expirado',
+      });
+    } else {
+      this._fallbackToQr(
+        sessionName,
+        attempts
+          ? `nenhum login após ${attempts} código(s) de pareamento`
+          : 'código de pareamento não foi gerado'
+      );
+    }
+  }
+
+  // Registra (para o /status) por que o login por código foi abandonado
+  _noteFallback(sessionName, reason) {
+    const record = this.sessions.get(sessionName);
+    if (record) record.loginFallback = { reason, at: new Date() };
+    console.warn(
+      `⚠️ [SESSION] ${sessionName}: voltando para QR Code (${reason})`
+    );
+  }
+
+  _fallbackToQr(sessionName, reason) {
+    this._noteFallback(sessionName, reason);
+    this.restartLogin(sessionName, { reason });
+  }
+
+  // Sessão encerrada ou já esquecida: a criação em andamento é descartada
+  _cancelled(sessionName) {
+    const state = this.getState(sessionName);
+    return !state || state === STATES.CLOSED;
+  }
+
+  async _create(sessionName, options) {
+    if (this._cancelled(sessionName)) {
+      throw new Error(`Sessão ${sessionName} encerrada durante a criação`);
+    }
+    if (!options.restore) this.cleanupTokens(sessionName);
+
+    const phoneNumber = options.phoneNumber || null;
+    this.sessions.get(sessionName).loginMode = phoneNumber ? 'pairing' : 'qr';
+
+    const catchQR = (base64Qr, asciiQR, attempts, urlCode) => {
+      const qrCode = {
+        base64Image: base64Qr,
+        urlCode: urlCode,
+        asciiQR: asciiQR,
+        attempts: attempts,
+        expiresAt: Date.now() + QRCODE_LIFETIME,
+      };
+      if (
+        this.transition(sessionName, STATES.QR_CODE, {
+          qrCode,
+          pairingCode: null,
+          message: 'QR Code gerado com sucesso',
+        })
+      ) {
+        sessionStore.saveQrCode(sessionName, base64Qr);
+        this.emit('qr', sessionName, qrCode);
+        console.log('QR Code capturado e armazenado');
+      }
+    };
+
+    // Chamado a cada código novo (o WhatsApp também renova o código sozinho)
+    let codeReceived = false;
+    const catchLinkCode = (code) => {
+      codeReceived = true;
+      const previous = this.sessions.get(sessionName)?.pairingCode;
+      const pairingCode = {
+        code,
+        phoneNumber,
+        attempts: (previous?.attempts || 0) + 1,
+        expiresAt: Date.now() + PAIRING_CODE_LIFETIME,
+      };
+      if (
+        this.transition(sessionName, STATES.PAIRING, {
+          pairingCode,
+          qrCode: null,
+          message: 'Código de pareamento gerado com sucesso',
+        })
+      ) {
+        this.emit('pairing-code', sessionName, pairingCode);
+        this._armPairingTimer(sessionName, PAIRING_CODE_LIFETIME, () =>
+          this._onPairingTimeout(sessionName, phoneNumber)
+        );
+        console.log(`Código de pareamento gerado para ${sessionName}`);
+      }
+    };
+
+    const statusFind = (statusSession) => {
+      const record = this.sessions.get(sessionName);
+      if (!record || record.state === STATES.CLOSED) return;
+
+      record.message = `Status: ${statusSession}`;
+      let next = STATUS_FIND_TO_STATE[statusSession];
+      // No login por código não há QR: aguardando login = PAIRING
+      if (phoneNumber && next === STATES.QR_CODE) next = STATES.PAIRING;
+      // Navegador fechou: o client antigo não serve mais
+      const extra = BROWSER_GONE.includes(statusSession)
+        ? { client: null }
+        : {};
+      if (next && next !== record.state) {
+        this.transition(sessionName, next, extra);
+      }
+    };
+
+    let client = null;
+    try {
+      // waitForLogin: false devolve o client antes do login, para que a
+      // sessão possa ser fechada ou reiniciada enquanto aguarda QR/código
+      client = await wppconnect.create({
+        session: sessionName,
+        catchQR,
+        catchLinkCode,
+        statusFind,
+        phoneNumber: phoneNumber || undefined,
+        waitForLogin: false,
+
+        headless: true,
+        devtools: false,
+        debug: true,
+        logQR: true,
+
+        useChrome: true,
+        browserArgs: [], // deixa vazio pra não conflitar
+
+        puppeteerOptions: {
+          executablePath: CHROME_PATH,
+          headless: true,
+          args: [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-gpu',
+            '--disable-extensions',
+            '--disable-background-networking',
+            '--disable-default-apps',
+            '--disable-sync',
+            '--disable-translate',
+            '--disable-features=TranslateUI',
+            '--window-size=1280,800',
+            `--user-data-dir=${path.join(TOKENS_DIR, sessionName)}`,
+          ],
+        },
+
+        autoClose: 0, // nunca fecha automático
+        tokenStore: 'file',
+        folderNameToken: './tokens',
+      });
+
+      // Sessão encerrada enquanto o Chrome subia: descarta o client
+      if (this._cancelled(sessionName)) {
+        await client.close().catch(() => {});
+        throw new Error(`Sessão ${sessionName} encerrada durante a criação`);
+      }
+
+      this.loginClients.set(sessionName, client);
+      if (phoneNumber && !codeReceived) {
+        this._armPairingTimer(sessionName, PAIRING_CODE_WAIT_MS, () =>
+          this._onPairingTimeout(sessionName, phoneNumber)
+        );
+      }
+      try {
+        await client.waitForLogin();
+      } finally {
+        this.loginClients.delete(sessionName);
+        this._clearPairingTimer(sessionName);
+      }
+
+      if (this._cancelled(sessionName)) {
+        await client.close().catch(() => {});
+        throw new Error(`Sessão ${sessionName} encerrada durante o login`);
+      }
+
+      this.sessions.get(sessionName).client = client;
+      this.track(
+        sessionName,
+        client.onStateChange((socketState) => {
+          const next = SOCKET_STATE_TO_STATE[socketState];
+          if (next) this.transition(sessionName, next);
+        })
+      );
+      this._watchLogout(sessionName, client);
+      this.track(
+        sessionName,
+        client.onAnyMessage((message) =>
+          this._noteActivity(sessionName, message)
+        )
+      );
+
+      this.emit('client', sessionName, client);
+      this.transition(sessionName, STATES.CONNECTED, {
+        message: 'Sessão criada com sucesso',
+      });
+      client
+        .getWid()
+        .then((wid) => {
+          const record = this.sessions.get(sessionName);
+          if (record) record.wid = wid;
+        })
+        .catch(() => {});
+      console.log(`Sessão ${sessionName} criada com sucesso`);
+
+      return client;
+    } catch (error) {
+      // Reinício pedido (novo código ou volta ao QR): mesma criação em andamento
+      const restart = this.restarts.get(sessionName);
+      if (restart) {
+        this.restarts.delete(sessionName);
+        await restart.closed;
+      }
+      const closed = this._cancelled(sessionName);
+      if (restart && !closed) {
+        if (!restart.phoneNumber) {
+          this.sessions.get(sessionName).pairingCode = null;
+        }
+        return this._create(sessionName, {
+          restore: true,
+          phoneNumber: restart.phoneNumber,
+        });
+      }
+
+      // Falha no login por código: tenta de novo com QR
+      if (phoneNumber && client && !closed) {
+        this._noteFallback(
+          sessionName,
+          `falha no pareamento: ${error?.message || error}`
+        );
+        await client.close().catch(() => {});
+        return this._create(sessionName, { restore: true });
+      }
+
+      const message = error?.message || String(error);
+      if (!closed) {
+        this.transition(sessionName, STATES.ERROR, {
+          client: null,
+          message,
+          error: message,
+        });
+      }
+      console.error(`Erro ao criar sessão ${sessionName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Com waitForLogin: false o wppconnect não vigia mais o logout pelo
+   * celular; refaz aqui o que ele faria: aguarda um novo login (QR).
+   */
+  _watchLogout(sessionName, client) {
+    let relogin = null;
+    this.track(
+      sessionName,
+      client.onStateChange(async () => {
+        const authenticated = await client.isAuthenticated().catch(() => true);
+        if (authenticated || relogin) return;
+
+        relogin = new Promise((resolve) => setTimeout(resolve, 2000))
+          .then(() => client.waitForLogin())
+          .catch(() => {})
+          .finally(() => {
+            relogin = null;
+          });
+      })
+    );
+  }
+}
+
+module.exports = {
+  SessionManager,
+  InvalidTransitionError,
+  STATES,
+  TRANSITIONS,
+  serializePairingCode,
+  sessionManager: new SessionManager(),
+};
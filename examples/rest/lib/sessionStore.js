@@ -0,0 +1,76 @@
+// lib/sessionStore.js
+// Persiste o registro das sessões (WhatsAppSession) para sobreviver a deploys/crashes
+const prisma = require('./prisma');
+
+/**
+ * Cria/atualiza o registro da sessão. Nunca lança: falha de banco não pode
+ * derrubar a sessão do WhatsApp, apenas loga. O registro nasce inativo: só
+ * markConnected faz a sessão ser restaurada no boot (uma que nunca passou
+ * do QR não sobe um Chrome a cada restart).
+ */
+async function saveSession(sessionName, data) {
+  try {
+    await prisma.whatsAppSession.upsert({
+      where: { sessionName },
+      update: data,
+      create: { sessionName, isActive: false, ...data },
+    });
+  } catch (err) {
+    console.error(
+      `⚠️ [SESSION-STORE] Falha ao persistir sessão ${sessionName}:`,
+      err?.message || err
+    );
+  }
+}
+
+/** Grava o estado de conexão (estados do SessionManager) */
+function saveConnectionState(sessionName, connectionStatus) {
+  return saveSession(sessionName, { connectionStatus });
+}
+
+/** Grava o QR code atual (base64) para ser exibido mesmo após restart */
+function saveQrCode(sessionName, qrCode) {
+  return saveSession(sessionName, { connectionStatus: 'QR_CODE', qrCode });
+}
+
+/** Sessão conectada: limpa o QR e registra lastConnected */
+function markConnected(sessionName) {
+  return saveSession(sessionName, {
+    connectionStatus: 'CONNECTED',
+    qrCode: null,
+    lastConnected: new Date(),
+    isActive: true,
+  });
+}
+
+/** Sessão encerrada pela API (pause/logout/delete): não restaurar no boot */
+function markInactive(sessionName) {
+  return saveSession(sessionName, { isActive: false, qrCode: null });
+}
+
+/** Lista as sessões marcadas como ativas (para restaurar no boot) */
+async function listActiveSessions() {
+  try {
+    const rows = await prisma.whatsAppSession.findMany({
+      where: { isActive: true },
+      select: { sessionName: true },
+      orderBy: { lastConnected: 'desc' },
+    });
+    return rows.map((r) => r.sessionName);
+  } catch (err) {
+    console.error(
+      '⚠️ [SESSION-STORE] Falha ao listar sessões ativas:',
+      err?.message || err
+    );
+    return [];
+  }
+}
+
+module.exports = {
+  saveSession,
+  saveConnectionState,
+  saveQrCode,
+  markConnected,
+  markInactive,
+  listActiveSessions,
+};
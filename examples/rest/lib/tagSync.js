@@ -0,0 +1,909 @@
+// lib/tagSync.js
+// Sincronização em duas vias entre as etiquetas do WhatsApp Business
+// (LabelsLayer) e as tags do CRM (WhatsAppTag/WhatsAppContactTag):
+// - WhatsApp → CRM na hora, pelo onUpdateLabel;
+// - CRM → WhatsApp pela rota de tags do contato e pela ressincronização
+//   (a cada TAG_SYNC_INTERVAL_MS ou sob demanda), que também pega o que o
+//   CRM gravou direto no banco.
+// Cada etiqueta da sessão fica ligada a uma tag de mesmo nome
+// (WhatsAppTagLabel). WhatsAppTagSyncState guarda o último estado
+// sincronizado de cada tag em cada contato: na ressincronização vence o lado
+// que mudou desde então, e uma alteração mais antiga que a última gravada é
+// ignorada (last-write-wins). Tudo (aplicado, ignorado ou com falha) fica em
+// WhatsAppTagSyncLog.
+const prisma = require('./prisma');
+const { ApiError } = require('./errors');
+const { sessionManager, STATES } = require('./sessionManager');
+const {
+  serializeId,
+  contactChatId,
+  resolveSessionId,
+  ensureContact,
+} = require('./messageStore');
+
+// 0 desliga a ressincronização periódica
+const TAG_SYNC_INTERVAL_MS = Number(
+  process.env.TAG_SYNC_INTERVAL_MS || 10 * 60 * 1000
+);
+// Tentativas de achar a etiqueta recém-criada (addNewLabel não a devolve)
+const LABEL_LOOKUP_ATTEMPTS = 5;
+const LABEL_LOOKUP_DELAY_MS = 300;
+
+const ORIGINS = Object.freeze({
+  WHATSAPP: 'whatsapp',
+  CRM: 'crm',
+  RESYNC: 'resync', // a própria ressincronização (ex.: lados já iguais)
+});
+
+const OUTCOMES = Object.freeze({
+  APPLIED: 'applied',
+  IGNORED: 'ignored',
+  FAILED: 'failed',
+});
+
+/** Helpers de log padronizados */
+function log(...args) {
+  console.log(`[${new Date().toISOString()}] [TAG-SYNC]`, ...args);
+}
+
+function error(...args) {
+  console.error(`[${new Date().toISOString()}] [TAG-SYNC ❌]`, ...args);
+}
+
+// ---- execução serializada por sessão (evento, rota e ressincronização não
+// se intercalam)
+
+const queues = new Map();
+
+function serialize(sessionName, task) {
+  const previous = queues.get(sessionName) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+  queues.set(sessionName, tail);
+  tail.then(() => {
+    if (queues.get(sessionName) === tail) queues.delete(sessionName);
+  });
+  return run;
+}
+
+// ---- auditoria
+
+function newRun(sessionName, client, sessionId) {
+  return {
+    sessionName,
+    client,
+    sessionId,
+    startedAt: new Date(),
+    stats: { applied: 0, ignored: 0, failed: 0, actions: {} },
+  };
+}
+
+/** Grava a entrada na trilha de auditoria e soma no resumo da execução */
+async function record(run, entry) {
+  run.stats[entry.outcome]++;
+  if (entry.outcome === OUTCOMES.APPLIED) {
+    run.stats.actions[entry.action] =
+      (run.stats.actions[entry.action] || 0) + 1;
+  }
+  if (entry.outcome === OUTCOMES.FAILED) {
+    error(
+      `${run.sessionName}: ${entry.action} (${entry.tagName || entry.labelId})`,
+      entry.detail
+    );
+  }
+  try {
+    await prisma.whatsAppTagSyncLog.create({
+      data: {
+        sessionName: run.sessionName,
+        changedAt: run.startedAt,
+        ...entry,
+      },
+    });
+  } catch (err) {
+    error('Falha ao gravar auditoria:', err?.message || err);
+  }
+}
+
+// ---- etiquetas e tags
+
+function normalizeColor(color) {
+  return color ? String(color).toLowerCase() : null;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Cria a etiqueta no WhatsApp e devolve o Label criado */
+async function createLabel(client, name, color) {
+  const before = new Set((await client.getAllLabels()).map((l) => l.id));
+  await client.addNewLabel(name, color ? { labelColor: color } : undefined);
+  for (let attempt = 0; attempt < LABEL_LOOKUP_ATTEMPTS; attempt++) {
+    const created = (await client.getAllLabels()).find(
+      (label) => !before.has(label.id) && label.name === name
+    );
+    if (created) return created;
+    await sleep(LABEL_LOOKUP_DELAY_MS);
+  }
+  throw new Error(`A etiqueta "${name}" não apareceu no WhatsApp`);
+}
+
+/**
+ * Liga a etiqueta à tag de mesmo nome, criando a tag (com a cor da
+ * etiqueta) se ela não existir. Devolve o link com a tag.
+ */
+async function linkLabel(run, label, existing = null) {
+  const color = normalizeColor(label.hexColor);
+  let tag = await prisma.whatsAppTag.findUnique({
+    where: { name: label.name },
+  });
+  if (!tag) {
+    tag = await prisma.whatsAppTag.create({
+      data: { name: label.name, ...(color && { color }) },
+    });
+    await record(run, {
+      origin: ORIGINS.WHATSAPP,
+      action: 'tag.created',
+      outcome: OUTCOMES.APPLIED,
+      tagId: tag.id,
+      tagName: tag.name,
+      labelId: label.id,
+      after: { name: tag.name, color: tag.color },
+    });
+  }
+  const data = { tagId: tag.id, name: label.name, color };
+  const link = existing
+    ? await prisma.whatsAppTagLabel.update({
+        where: { id: existing.id },
+        data,
+        include: { tag: true },
+      })
+    : await prisma.whatsAppTagLabel.upsert({
+        where: {
+          sessionId_labelId: { sessionId: run.sessionId, labelId: label.id },
+        },
+        update: data,
+        create: { sessionId: run.sessionId, labelId: label.id, ...data },
+        include: { tag: true },
+      });
+  return link;
+}
+
+/** Link da tag nesta sessão; sem etiqueta ainda, ela é criada no WhatsApp */
+async function ensureLabelForTag(run, tag) {
+  const existing = await prisma.whatsAppTagLabel.findFirst({
+    where: { sessionId: run.sessionId, tagId: tag.id },
+    include: { tag: true },
+  });
+  if (existing) return existing;
+
+  const label = await createLabel(run.client, tag.name, tag.color);
+  const link = await prisma.whatsAppTagLabel.create({
+    data: {
+      sessionId: run.sessionId,
+      labelId: label.id,
+      tagId: tag.id,
+      name: label.name,
+      color: normalizeColor(label.hexColor),
+    },
+    include: { tag: true },
+  });
+  await record(run, {
+    origin: ORIGINS.CRM,
+    action: 'label.created',
+    outcome: OUTCOMES.APPLIED,
+    tagId: tag.id,
+    tagName: tag.name,
+    labelId: label.id,
+    after: { name: label.name, color: link.color },
+  });
+  return link;
+}
+
+/**
+ * Etiqueta com outro nome/cor no CRM: o WPPConnect não edita etiquetas,
+ * então cria uma nova com os valores da tag, passa os chats para ela e
+ * apaga a antiga
+ */
+async function recreateLabel(run, link, label) {
+  const { client } = run;
+  const tag = link.tag;
+  const created = await createLabel(client, tag.name, tag.color);
+  const chats = await client.listChats({ withLabels: [label.id] });
+  const chatIds = chats.map((chat) => serializeId(chat.id));
+  if (chatIds.length) {
+    await client.addOrRemoveLabels(chatIds, [
+      { labelId: created.id, type: 'add' },
+      { labelId: label.id, type: 'remove' },
+    ]);
+  }
+  await client.deleteLabel(label.id);
+  return prisma.whatsAppTagLabel.update({
+    where: { id: link.id },
+    data: {
+      labelId: created.id,
+      name: created.name,
+      color: normalizeColor(created.hexColor),
+    },
+    include: { tag: true },
+  });
+}
+
+/**
+ * Compara a etiqueta com o link (valores da última sincronização) e a tag.
+ * Mudanças no WhatsApp não têm horário: contam como feitas agora e vencem
+ * uma mudança da tag no mesmo intervalo.
+ */
+async function reconcileLabel(run, link, label) {
+  const color = normalizeColor(label.hexColor);
+  const whatsappChanged = label.name !== link.name || color !== link.color;
+  const snapshot = {
+    labelId: link.labelId,
+    name: link.name,
+    color: link.color,
+  };
+  const base = { labelId: label.id };
+
+  // Tag apagada no CRM
+  if (!link.tag) {
+    if (whatsappChanged) {
+      const relinked = await linkLabel(run, label, link);
+      await record(run, {
+        ...base,
+        origin: ORIGINS.WHATSAPP,
+        action: 'label.updated',
+        outcome: OUTCOMES.APPLIED,
+        tagId: relinked.tagId,
+        tagName: relinked.tag.name,
+        before: snapshot,
+        after: { name: label.name, color },
+        detail: 'Etiqueta alterada no WhatsApp depois que a tag foi apagada',
+      });
+      return relinked;
+    }
+    await run.client.deleteLabel(label.id);
+    await prisma.whatsAppTagLabel.delete({ where: { id: link.id } });
+    await record(run, {
+      ...base,
+      origin: ORIGINS.CRM,
+      action: 'label.deleted',
+      outcome: OUTCOMES.APPLIED,
+      tagName: link.name,
+      before: snapshot,
+    });
+    return null;
+  }
+
+  const tag = link.tag;
+  const crmChanged = tag.updatedAt > link.updatedAt;
+  base.tagId = tag.id;
+  base.tagName = tag.name;
+
+  if (whatsappChanged) {
+    const before = { name: tag.name, color: tag.color };
+    const after = { name: label.name, ...(color && { color }) };
+    try {
+      await prisma.whatsAppTag.update({ where: { id: tag.id }, data: after });
+    } catch (err) {
+      await record(run, {
+        ...base,
+        origin: ORIGINS.WHATSAPP,
+        action: 'tag.updated',
+        outcome: OUTCOMES.FAILED,
+        before,
+        after,
+        detail:
+          err?.code === 'P2002'
+            ? `Já existe outra tag chamada "${label.name}"`
+            : String(err?.message || err),
+      });
+      return link;
+    }
+    const updated = await prisma.whatsAppTagLabel.update({
+      where: { id: link.id },
+      data: { name: label.name, color },
+      include: { tag: true },
+    });
+    await record(run, {
+      ...base,
+      origin: ORIGINS.WHATSAPP,
+      action: 'tag.updated',
+      outcome: OUTCOMES.APPLIED,
+      tagName: label.name,
+      before,
+      after,
+      ...(crmChanged && {
+        detail: 'A tag também mudou no CRM; vale a alteração do WhatsApp',
+      }),
+    });
+    return updated;
+  }
+
+  if (crmChanged) {
+    if (tag.name === link.name && normalizeColor(tag.color) === link.color) {
+      // A tag foi gravada sem mudar nome/cor: só marca como sincronizada
+      return prisma.whatsAppTagLabel.update({
+        where: { id: link.id },
+        data: { name: link.name },
+        include: { tag: true },
+      });
+    }
+    const updated = await recreateLabel(run, link, label);
+    await record(run, {
+      ...base,
+      origin: ORIGINS.CRM,
+      action: 'label.updated',
+      outcome: OUTCOMES.APPLIED,
+      labelId: updated.labelId,
+      before: snapshot,
+      after: { labelId: updated.labelId, name: tag.name, color: tag.color },
+    });
+    return updated;
+  }
+  return link;
+}
+
+/**
+ * Etiqueta apagada no WhatsApp: a tag continua (pode estar em outras
+ * sessões), mas sai dos contatos desta sessão
+ */
+async function labelDeleted(run, link) {
+  if (link.tagId) {
+    const contacts = { sessionId: run.sessionId };
+    await prisma.$transaction([
+      prisma.whatsAppContactTag.deleteMany({
+        where: { tagId: link.tagId, contact: contacts },
+      }),
+      prisma.whatsAppTagSyncState.deleteMany({
+        where: { tagId: link.tagId, contact: contacts },
+      }),
+    ]);
+  }
+  await prisma.whatsAppTagLabel.delete({ where: { id: link.id } });
+  await record(run, {
+    origin: ORIGINS.WHATSAPP,
+    action: 'label.deleted',
+    outcome: OUTCOMES.APPLIED,
+    tagId: link.tagId,
+    tagName: link.tag?.name || link.name,
+    labelId: link.labelId,
+    before: { name: link.name, color: link.color },
+  });
+}
+
+// ---- tags nos contatos
+
+function setCrmTag(contactId, tagId, present) {
+  return present
+    ? prisma.whatsAppContactTag.upsert({
+        where: { contactId_tagId: { contactId, tagId } },
+        update: {},
+        create: { contactId, tagId },
+      })
+    : prisma.whatsAppContactTag.deleteMany({ where: { contactId, tagId } });
+}
+
+function setWhatsAppLabel(client, chatId, labelId, present) {
+  return client.addOrRemoveLabels(
+    [chatId],
+    [{ labelId, type: present ? 'add' : 'remove' }]
+  );
+}
+
+/**
+ * Aplica uma mudança de tag num contato vinda de origin, com o horário
+ * changedAt. apply() grava no outro lado. Perde para uma escrita mais nova
+ * já sincronizada (last-write-wins). Devolve o outcome (ou null se nada
+ * mudou).
+ */
+async function applyAssignment(run, change, apply) {
+  const { origin, contactId, chatId, tag, labelId, present, changedAt } =
+    change;
+  const state = await prisma.whatsAppTagSyncState.findUnique({
+    where: { contactId_tagId: { contactId, tagId: tag.id } },
+  });
+  const entry = {
+    origin,
+    action: present ? 'contact.tagged' : 'contact.untagged',
+    tagId: tag.id,
+    tagName: tag.name,
+    labelId,
+    chatId,
+    changedAt,
+    ...(state && {
+      before: {
+        present: state.present,
+        origin: state.origin,
+        changedAt: state.changedAt.toISOString(),
+      },
+    }),
+  };
+
+  if (state && state.changedAt > changedAt) {
+    await record(run, {
+      ...entry,
+      outcome: OUTCOMES.IGNORED,
+      detail: `Vale a alteração mais recente (${
+        state.origin
+      }, ${state.changedAt.toISOString()})`,
+    });
+    return OUTCOMES.IGNORED;
+  }
+  // Eco da nossa própria escrita (ex.: o onUpdateLabel da etiqueta que
+  // acabamos de aplicar)
+  if (state && state.present === present && change.skipUnchanged) return null;
+
+  try {
+    await apply();
+  } catch (err) {
+    await record(run, {
+      ...entry,
+      outcome: OUTCOMES.FAILED,
+      detail: String(err?.message || err),
+    });
+    return OUTCOMES.FAILED;
+  }
+  await saveState(contactId, tag.id, present, origin, changedAt);
+  await record(run, { ...entry, outcome: OUTCOMES.APPLIED });
+  return OUTCOMES.APPLIED;
+}
+
+function saveState(contactId, tagId, present, origin, changedAt) {
+  const data = { present, origin, changedAt };
+  return prisma.whatsAppTagSyncState.upsert({
+    where: { contactId_tagId: { contactId, tagId } },
+    update: data,
+    create: { contactId, tagId, ...data },
+  });
+}
+
+// ---- WhatsApp → CRM (onUpdateLabel)
+
+/**
+ * Etiquetas aplicadas ou retiradas de um chat no WhatsApp; data é o payload
+ * normalizado do evento "label" (lib/chatEvents.js)
+ */
+function handleLabelEvent(sessionName, client, data) {
+  if (!data.chatId || !['add', 'remove'].includes(data.action)) {
+    return Promise.resolve();
+  }
+  const changedAt = new Date();
+  return serialize(sessionName, async () => {
+    const run = newRun(
+      sessionName,
+      client,
+      await resolveSessionId(sessionName)
+    );
+    const contact = await ensureContact(sessionName, data.chatId);
+    for (const label of data.labels) {
+      let link = await prisma.whatsAppTagLabel.findUnique({
+        where: {
+          sessionId_labelId: { sessionId: run.sessionId, labelId: label.id },
+        },
+        include: { tag: true },
+      });
+      const present = data.action === 'add';
+      // Etiqueta nunca ligada saindo do chat (ex.: a antiga, recriada ou
+      // apagada por nós): não há o que retirar no CRM
+      if (!link && !present) continue;
+      if (!link) link = await linkLabel(run, label);
+      // Tag apagada no CRM: a ressincronização decide
+      if (!link.tag) continue;
+
+      await applyAssignment(
+        run,
+        {
+          origin: ORIGINS.WHATSAPP,
+          contactId: contact.id,
+          chatId: data.chatId,
+          tag: link.tag,
+          labelId: label.id,
+          present,
+          changedAt,
+          skipUnchanged: true,
+        },
+        () => setCrmTag(contact.id, link.tag.id, present)
+      );
+    }
+  });
+}
+
+// ---- CRM → WhatsApp (rota)
+
+/** Número ou id de chat → "5511...@c.us" (ids com @ ficam como vieram) */
+function toChatId(contact) {
+  const value = String(contact || '').trim();
+  if (value.includes('@')) return value;
+  const digits = value.replace(/\D/g, '');
+  if (!digits) {
+    throw new ApiError('VALIDATION_ERROR', `Contato inválido: ${contact}`);
+  }
+  return `${digits}@c.us`;
+}
+
+/**
+ * Aplica tags do CRM a um contato e às etiquetas do chat no WhatsApp.
+ * changes: { add: [nomes], remove: [nomes], changedAt } — changedAt é
+ * quando a alteração foi feita no CRM (padrão: agora), para o
+ * last-write-wins. Tags inexistentes em add são criadas.
+ */
+function applyContactTags(sessionName, client, contact, changes) {
+  const chatId = toChatId(contact);
+  const { add = [], remove = [] } = changes;
+  const changedAt = changes.changedAt
+    ? new Date(changes.changedAt)
+    : new Date();
+  if (Number.isNaN(changedAt.getTime())) {
+    throw new ApiError(
+      'VALIDATION_ERROR',
+      'changedAt deve ser uma data ISO 8601'
+    );
+  }
+
+  return serialize(sessionName, async () => {
+    const run = newRun(
+      sessionName,
+      client,
+      await resolveSessionId(sessionName)
+    );
+    const { id: contactId } = await ensureContact(sessionName, chatId);
+    const results = [];
+
+    const wanted = [
+      ...add.map((name) => ({ name, present: true })),
+      ...remove.map((name) => ({ name, present: false })),
+    ];
+    for (const { name, present } of wanted) {
+      let tag = await prisma.whatsAppTag.findUnique({ where: { name } });
+      if (!tag && !present) {
+        results.push({ tag: name, action: 'remove', outcome: 'not_found' });
+        continue;
+      }
+      if (!tag) {
+        tag = await prisma.whatsAppTag.create({ data: { name } });
+        await record(run, {
+          origin: ORIGINS.CRM,
+          action: 'tag.created',
+          outcome: OUTCOMES.APPLIED,
+          tagId: tag.id,
+          tagName: tag.name,
+          after: { name: tag.name, color: tag.color },
+        });
+      }
+
+      let link = null;
+      let outcome;
+      try {
+        // Para retirar, só se a etiqueta já existir no WhatsApp
+        link = present
+          ? await ensureLabelForTag(run, tag)
+          : await prisma.whatsAppTagLabel.findFirst({
+              where: { sessionId: run.sessionId, tagId: tag.id },
+            });
+      } catch (err) {
+        await record(run, {
+          origin: ORIGINS.CRM,
+          action: 'label.created',
+          outcome: OUTCOMES.FAILED,
+          tagId: tag.id,
+          tagName: tag.name,
+          chatId,
+          detail: String(err?.message || err),
+        });
+        outcome = OUTCOMES.FAILED;
+      }
+
+      if (!outcome) {
+        outcome = await applyAssignment(
+          run,
+          {
+            origin: ORIGINS.CRM,
+            contactId,
+            chatId,
+            tag,
+            labelId: link?.labelId ?? null,
+            present,
+            changedAt,
+          },
+          async () => {
+            await setCrmTag(contactId, tag.id, present);
+            if (link) {
+              await setWhatsAppLabel(client, chatId, link.labelId, present);
+            }
+          }
+        );
+      }
+      results.push({
+        tag: tag.name,
+        action: present ? 'add' : 'remove',
+        labelId: link?.labelId ?? null,
+        outcome,
+      });
+    }
+
+    const tags = await prisma.whatsAppContactTag.findMany({
+      where: { contactId },
+      select: { tag: { select: { name: true } } },
+      orderBy: { createdAt: 'asc' },
+    });
+    return { chatId, tags: tags.map((row) => row.tag.name), results };
+  });
+}
+
+// ---- ressincronização
+
+/**
+ * Ressincroniza a sessão inteira: definições das etiquetas (nome/cor) e
+ * depois as tags de cada contato, comparando WhatsApp, CRM e o último
+ * estado sincronizado. Devolve o resumo da execução.
+ */
+function resync(sessionName, client) {
+  return serialize(sessionName, async () => {
+    const run = newRun(
+      sessionName,
+      client,
+      await resolveSessionId(sessionName)
+    );
+    const labels = await client.getAllLabels();
+    const links = await prisma.whatsAppTagLabel.findMany({
+      where: { sessionId: run.sessionId },
+      include: { tag: true },
+    });
+    // Lista vazia com etiquetas ligadas: conta não Business ou etiquetas
+    // ainda não carregadas; não dá para distinguir de "apagou tudo"
+    if (!labels.length && links.length) {
+      throw new ApiError(
+        'SEND_FAILED',
+        'O WhatsApp não devolveu as etiquetas da sessão; tente de novo',
+        { session: sessionName }
+      );
+    }
+
+    // 1. Etiquetas ↔ tags
+    const linksByLabel = new Map(links.map((link) => [link.labelId, link]));
+    const current = [];
+    const failed = new Set(); // tags cujas etiquetas ficaram sem sincronizar
+    for (const label of labels) {
+      const link = linksByLabel.get(label.id);
+      linksByLabel.delete(label.id);
+      try {
+        const synced = link
+          ? await reconcileLabel(run, link, label)
+          : await linkLabel(run, label);
+        if (synced?.tag) current.push(synced);
+      } catch (err) {
+        if (link?.tagId) failed.add(link.tagId);
+        await record(run, {
+          origin: ORIGINS.RESYNC,
+          action: 'label.updated',
+          outcome: OUTCOMES.FAILED,
+          labelId: label.id,
+          tagName: label.name,
+          detail: String(err?.message || err),
+        });
+      }
+    }
+    for (const link of linksByLabel.values()) await labelDeleted(run, link);
+
+    await resyncAssignments(run, current, failed);
+    log(
+      `${sessionName}: ressincronização concluída`,
+      JSON.stringify(run.stats)
+    );
+    return { startedAt: run.startedAt, ...run.stats };
+  });
+}
+
+// 2. Tags nos contatos: o lado que difere do último estado sincronizado
+// mudou e vence; sem estado anterior, nada é retirado (união). Tags em
+// skipTagIds (etiqueta com falha no passo 1) ficam para a próxima.
+async function resyncAssignments(run, links, skipTagIds) {
+  const { client, sessionName, sessionId } = run;
+  const linksByTag = new Map(links.map((link) => [link.tagId, link]));
+
+  const onWhatsApp = new Set(); // "chatId|tagId"
+  for (const link of links) {
+    const chats = await client.listChats({ withLabels: [link.labelId] });
+    for (const chat of chats) {
+      onWhatsApp.add(`${serializeId(chat.id)}|${link.tagId}`);
+    }
+  }
+
+  const contacts = await prisma.whatsAppContact.findMany({
+    where: {
+      sessionId,
+      OR: [{ tags: { some: {} } }, { tagSyncStates: { some: {} } }],
+    },
+    select: {
+      id: true,
+      phone: true,
+      isGroup: true,
+      tags: { select: { tagId: true, createdAt: true, tag: true } },
+      tagSyncStates: { include: { tag: true } },
+    },
+  });
+  const byChat = new Map(
+    contacts.map((contact) => [contactChatId(contact), contact])
+  );
+  for (const key of onWhatsApp) {
+    const chatId = key.split('|')[0];
+    if (byChat.has(chatId)) continue;
+    const { id } = await ensureContact(sessionName, chatId);
+    byChat.set(chatId, { id, tags: [], tagSyncStates: [] });
+  }
+
+  for (const [chatId, contact] of byChat) {
+    const crm = new Map(contact.tags.map((row) => [row.tagId, row]));
+    const states = new Map(
+      contact.tagSyncStates.map((state) => [state.tagId, state])
+    );
+    const tags = new Map();
+    for (const row of contact.tags) tags.set(row.tagId, row.tag);
+    for (const state of contact.tagSyncStates) tags.set(state.tagId, state.tag);
+    for (const link of links) {
+      if (onWhatsApp.has(`${chatId}|${link.tagId}`)) {
+        tags.set(link.tagId, link.tag);
+      }
+    }
+
+    for (const [tagId, tag] of tags) {
+      if (skipTagIds.has(tagId)) continue;
+      const wa = onWhatsApp.has(`${chatId}|${tagId}`);
+      const inCrm = crm.has(tagId);
+      const state = states.get(tagId);
+      if (wa === inCrm) {
+        if (!state) {
+          await saveState(contact.id, tagId, wa, ORIGINS.RESYNC, run.startedAt);
+        } else if (state.present !== wa) {
+          await saveState(contact.id, tagId, wa, state.origin, state.changedAt);
+        }
+        continue;
+      }
+
+      const whatsappChanged = state ? wa !== state.present : wa;
+      if (whatsappChanged) {
+        await applyAssignment(
+          run,
+          {
+            origin: ORIGINS.WHATSAPP,
+            contactId: contact.id,
+            chatId,
+            tag,
+            labelId: linksByTag.get(tagId)?.labelId ?? null,
+            present: wa,
+            changedAt: run.startedAt,
+          },
+          () => setCrmTag(contact.id, tagId, wa)
+        );
+        continue;
+      }
+
+      let link = linksByTag.get(tagId);
+      try {
+        if (inCrm && !link) {
+          link = await ensureLabelForTag(run, tag);
+          linksByTag.set(tagId, link);
+        }
+      } catch (err) {
+        await record(run, {
+          origin: ORIGINS.CRM,
+          action: 'label.created',
+          outcome: OUTCOMES.FAILED,
+          tagId,
+          tagName: tag.name,
+          chatId,
+          detail: String(err?.message || err),
+        });
+        continue;
+      }
+      await applyAssignment(
+        run,
+        {
+          origin: ORIGINS.CRM,
+          contactId: contact.id,
+          chatId,
+          tag,
+          labelId: link?.labelId ?? null,
+          present: inCrm,
+          // Retirada no CRM não tem horário: conta como feita agora
+          changedAt: inCrm ? crm.get(tagId).createdAt : run.startedAt,
+        },
+        () =>
+          link
+            ? setWhatsAppLabel(client, chatId, link.labelId, inCrm)
+            : undefined
+      );
+    }
+  }
+}
+
+// ---- consultas
+
+/** Etiquetas da sessão com a tag ligada a cada uma */
+async function listLabels(sessionName, client) {
+  const sessionId = await resolveSessionId(sessionName);
+  const [labels, links] = await Promise.all([
+    client.getAllLabels(),
+    prisma.whatsAppTagLabel.findMany({
+      where: { sessionId },
+      include: { tag: true },
+    }),
+  ]);
+  const linksByLabel = new Map(links.map((link) => [link.labelId, link]));
+  return labels.map((label) => {
+    const link = linksByLabel.get(label.id);
+    return {
+      id: label.id,
+      name: label.name,
+      color: normalizeColor(label.hexColor),
+      count: label.count ?? null,
+      tag: link?.tag
+        ? { id: link.tag.id, name: link.tag.name, color: link.tag.color }
+        : null,
+      syncedAt: link ? link.updatedAt : null,
+    };
+  });
+}
+
+/** Trilha de auditoria da sessão, mais recentes primeiro */
+async function listSyncLog(
+  sessionName,
+  { tagId, chatId, outcome, limit = 50, offset = 0 }
+) {
+  const where = { sessionName };
+  if (tagId) where.tagId = tagId;
+  if (chatId) where.chatId = chatId;
+  if (outcome) where.outcome = outcome;
+
+  const [total, items] = await Promise.all([
+    prisma.whatsAppTagSyncLog.count({ where }),
+    prisma.whatsAppTagSyncLog.findMany({
+      where,
+      orderBy: { id: 'desc' },
+      skip: offset,
+      take: limit,
+    }),
+  ]);
+  return { total, items };
+}
+
+// ---- ressincronização periódica
+
+let timer = null;
+let syncing = false;
+
+async function syncConnectedSessions() {
+  if (syncing) return;
+  syncing = true;
+  try {
+    for (const session of sessionManager.list()) {
+      if (session.state !== STATES.CONNECTED || !session.client) continue;
+      await resync(session.name, session.client).catch((err) =>
+        error(`${session.name}: ressincronização falhou:`, err?.message || err)
+      );
+    }
+  } finally {
+    syncing = false;
+  }
+}
+
+function startTagSync() {
+  if (timer || TAG_SYNC_INTERVAL_MS <= 0) return;
+  log(`Iniciando (intervalo=${TAG_SYNC_INTERVAL_MS}ms)`);
+  timer = setInterval(syncConnectedSessions, TAG_SYNC_INTERVAL_MS);
+}
+
+function stopTagSync() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  ORIGINS,
+  OUTCOMES,
+  handleLabelEvent,
+  applyContactTags,
+  resync,
+  listLabels,
+  listSyncLog,
+  startTagSync,
+  stopTagSync,
+};
@@ -0,0 +1,231 @@
+// lib/uploads.js
+// Upload multipart/form-data nas rotas de envio de mídia: o arquivo vai em
+// streaming para um temporário (sem base64, sem passar pelo limite do JSON),
+// é validado (tamanho e tipo) e chega ao handler em req.upload, separado
+// do campo de origem da rota (imagePath, filePath...), que continua sendo
+// só o que o cliente enviou. O temporário é apagado quando a resposta
+// termina.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const busboy = require('busboy');
+const FileType = require('file-type');
+const { ApiError, sendError } = require('./errors');
+
+const UPLOAD_MAX_BYTES = Number(
+  process.env.UPLOAD_MAX_BYTES || 64 * 1024 * 1024
+);
+const UPLOAD_TMP_DIR =
+  process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'wpp-uploads');
+
+// Rota → campo de origem que o arquivo substitui e prefixos de mimetype
+// aceitos (null = qualquer tipo)
+const UPLOAD_ROUTES = Object.freeze({
+  sendimage: { field: 'imagePath', mimetypes: ['image/'] },
+  senddocument: { field: 'filePath', mimetypes: null },
+  sendvideo: { field: 'videoPath', mimetypes: ['video/'] },
+  // Gravações do navegador costumam vir como video/webm
+  sendptt: { field: 'audioPath', mimetypes: ['audio/', 'video/webm'] },
+  // Tipo decidido pelo próprio handler (lib/mediaSend.js)
+  sendmedia: { field: 'media', mimetypes: null },
+});
+
+const UPLOAD_PATH = /^\/[^/]+\/([a-z]+)\/?$/;
+
+function routeFor(req) {
+  if (req.method !== 'POST') return null;
+  const match = UPLOAD_PATH.exec(req.path);
+  return match ? UPLOAD_ROUTES[match[1]] || null : null;
+}
+
+/** A requisição é para uma das rotas que aceitam upload? */
+function isUploadRoute(req) {
+  return Boolean(routeFor(req));
+}
+
+// Tipo pelo conteúdo (magic bytes); sem assinatura conhecida (ex.: txt,
+// csv), vale o declarado pelo cliente
+async function detectMimetype(file, declared) {
+  const detected = await FileType.fromFile(file).catch(() => null);
+  return detected?.mime || declared || 'application/octet-stream';
+}
+
+function accepts(route, mimetype) {
+  return (
+    !route.mimetypes ||
+    route.mimetypes.some((prefix) => mimetype.startsWith(prefix))
+  );
+}
+
+/**
+ * Lê o multipart e grava o único arquivo em UPLOAD_TMP_DIR. Devolve
+ * { fields, file } (file null se não veio arquivo). Se o cliente abortar
+ * no meio, o busboy pode não emitir nem 'close' nem 'error': a conexão
+ * encerrada também rejeita e o arquivo parcial é apagado.
+ */
+function receive(req) {
+  let file = null;
+  let out = null;
+  return new Promise((resolve, reject) => {
+    const interrupted = () =>
+      reject(new ApiError('VALIDATION_ERROR', 'Upload interrompido'));
+    req.once('aborted', interrupted);
+    req.once('error', interrupted);
+
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: {
+          files: 1,
+          fileSize: UPLOAD_MAX_BYTES,
+          fieldSize: 1024 * 1024,
+        },
+      });
+    } catch (error) {
+      return reject(
+        new ApiError('VALIDATION_ERROR', `Multipart inválido: ${error.message}`)
+      );
+    }
+
+    const fields = {};
+    let written = Promise.resolve();
+    let failure = null;
+    const abort = (error) => {
+      failure = failure || error;
+    };
+
+    parser.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on('file', (_name, stream, info) => {
+      const target = path.join(
+        UPLOAD_TMP_DIR,
+        `${crypto.randomUUID()}${path.extname(info.filename || '')}`
+      );
+      const hash = crypto.createHash('sha256');
+      file = {
+        path: target,
+        originalName: info.filename || null,
+        declaredMimetype: info.mimeType,
+        size: 0,
+      };
+      stream.on('data', (chunk) => {
+        file.size += chunk.length;
+        hash.update(chunk);
+      });
+      stream.on('limit', () =>
+        abort(
+          new ApiError(
+            'PAYLOAD_TOO_LARGE',
+            `Arquivo maior que o limite de ${UPLOAD_MAX_BYTES} bytes`,
+            { maxBytes: UPLOAD_MAX_BYTES }
+          )
+        )
+      );
+      written = new Promise((done, fail) => {
+        out = fs.createWriteStream(target);
+        out.on('finish', () => {
+          file.sha256 = hash.digest('hex');
+          done();
+        });
+        out.on('error', fail);
+        stream.pipe(out);
+      });
+    });
+
+    parser.on('filesLimit', () =>
+      abort(
+        new ApiError(
+          'VALIDATION_ERROR',
+          'Envie um único arquivo por requisição'
+        )
+      )
+    );
+    parser.on('error', (error) =>
+      abort(
+        new ApiError('VALIDATION_ERROR', `Multipart inválido: ${error.message}`)
+      )
+    );
+    parser.on('close', () => {
+      written.then(
+        () => (failure ? reject(failure) : resolve({ fields, file })),
+        (error) => reject(failure || error)
+      );
+    });
+
+    fs.promises.mkdir(UPLOAD_TMP_DIR, { recursive: true }).then(() => {
+      if (req.destroyed) return interrupted();
+      req.pipe(parser);
+    }, reject);
+  }).catch(async (error) => {
+    // Arquivo parcial do upload rejeitado: fecha antes de apagar, para a
+    // escrita pendente não recriar o arquivo
+    if (out && !out.closed) {
+      await new Promise((done) => out.destroy().once('close', done));
+    }
+    if (file) await fs.promises.rm(file.path, { force: true });
+    throw error;
+  });
+}
+
+/**
+ * Middleware das rotas de UPLOAD_ROUTES (montado na rota, depois da
+ * autorização da sessão, para uma chave sem acesso não gravar nada em
+ * disco): só age em multipart/form-data. Os campos de texto viram req.body
+ * e o arquivo, req.upload ({ path, size, mimetype, sha256, originalName,
+ * field }).
+ */
+async function parseMultipartUpload(req, res, next) {
+  const route = routeFor(req);
+  if (!route || !req.is('multipart/form-data')) return next();
+
+  let received;
+  try {
+    received = await receive(req);
+  } catch (error) {
+    req.resume();
+    return sendError(res, error);
+  }
+
+  const { fields, file } = received;
+  req.body = fields;
+  if (!file) return next();
+  // Campo de arquivo vazio (formulário enviado sem escolher arquivo)
+  if (!file.size && !file.originalName) {
+    await fs.promises.rm(file.path, { force: true });
+    return next();
+  }
+
+  const cleanup = () =>
+    fs.promises.rm(file.path, { force: true }).catch(() => {});
+  res.once('close', cleanup);
+
+  try {
+    file.mimetype = await detectMimetype(file.path, file.declaredMimetype);
+    if (!accepts(route, file.mimetype)) {
+      throw new ApiError(
+        'INVALID_MEDIA',
+        `Tipo de arquivo não aceito nesta rota: ${file.mimetype}`,
+        { mimetype: file.mimetype, accepted: route.mimetypes }
+      );
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  req.upload = { ...file, field: route.field };
+  if (!req.body.filename && file.originalName) {
+    req.body.filename = path.basename(file.originalName);
+  }
+  next();
+}
+
+module.exports = {
+  UPLOAD_ROUTES,
+  UPLOAD_MAX_BYTES,
+  isUploadRoute,
+  parseMultipartUpload,
+};
@@ -0,0 +1,175 @@
+// lib/validation.js
+// Valida body, query e parâmetros de rota contra o documento OpenAPI
+// (lib/openapi.js) antes dos handlers. Falhas respondem 400 com a lista de
+// campos inválidos; rotas fora do documento passam direto.
+const Ajv = require('ajv');
+const { openapiDocument } = require('./openapi');
+const { fail } = require('./errors');
+
+// strict: false para aceitar "example" e afins dos schemas OpenAPI;
+// coerceTypes converte strings da query (e de corpos urlencoded)
+const ajv = new Ajv({
+  allErrors: true,
+  strict: false,
+  coerceTypes: true,
+  useDefaults: false,
+});
+
+const { schemas } = openapiDocument.components;
+
+function resolve(schema) {
+  const match = /^#\/components\/schemas\/(.+)$/.exec(schema?.$ref || '');
+  return match ? schemas[match[1]] : schema;
+}
+
+// Um schema de objeto por local (path/query) a partir dos parameters
+function parametersSchema(parameters, location) {
+  const selected = parameters.filter((p) => p.in === location);
+  if (!selected.length) return null;
+  return ajv.compile({
+    type: 'object',
+    properties: Object.fromEntries(selected.map((p) => [p.name, p.schema])),
+    required: selected.filter((p) => p.required).map((p) => p.name),
+  });
+}
+
+function compileOperation(template, method, op) {
+  const parameters = op.parameters || [];
+  const body = op.requestBody;
+  const names = [];
+  const pattern = template.replace(/\{([^}]+)\}/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return {
+    method: method.toUpperCase(),
+    regex: new RegExp(`^${pattern}/?$`),
+    names,
+    // Rotas mais específicas primeiro: /webhooks/dead-letters/{id} antes
+    // de /{session}/webhooks/{webhookId}
+    staticSegments: template.split('/').filter((s) => s && !s.startsWith('{'))
+      .length,
+    path: parametersSchema(parameters, 'path'),
+    query: parametersSchema(parameters, 'query'),
+    body: body
+      ? {
+          required: Boolean(body.required),
+          validate: ajv.compile(
+            resolve(body.content['application/json'].schema)
+          ),
+        }
+      : null,
+  };
+}
+
+const operations = Object.entries(openapiDocument.paths)
+  .flatMap(([template, item]) =>
+    Object.entries(item).map(([method, op]) =>
+      compileOperation(template, method, op)
+    )
+  )
+  .sort((a, b) => b.staticSegments - a.staticSegments);
+
+function findOperation(method, path) {
+  for (const op of operations) {
+    if (op.method !== method) continue;
+    const match = op.regex.exec(path);
+    if (!match) continue;
+    const params = {};
+    op.names.forEach((name, i) => {
+      try {
+        params[name] = decodeURIComponent(match[i + 1]);
+      } catch {
+        params[name] = match[i + 1];
+      }
+    });
+    return { op, params };
+  }
+  return null;
+}
+
+function describe(error) {
+  const { keyword, params } = error;
+  switch (keyword) {
+    case 'required':
+      return 'é obrigatório';
+    case 'type':
+      return `deve ser do tipo ${[].concat(params.type).join(' ou ')}`;
+    case 'enum':
+      return `deve ser um de: ${params.allowedValues.join(', ')}`;
+    case 'minLength':
+      return params.limit === 1
+        ? 'não pode ser vazio'
+        : `deve ter pelo menos ${params.limit} caracteres`;
+    case 'pattern':
+      return 'formato inválido';
+    case 'minimum':
+      return `deve ser >= ${params.limit}`;
+    case 'maximum':
+      return `deve ser <= ${params.limit}`;
+    case 'minItems':
+      return `deve ter pelo menos ${params.limit} item(ns)`;
+    default:
+      return error.message;
+  }
+}
+
+// "/contacts/0" → "contacts[0]"; required aponta para o campo que falta
+function fieldName(error) {
+  const parts = error.instancePath.split('/').filter(Boolean);
+  if (error.keyword === 'required') parts.push(error.params.missingProperty);
+  return parts.reduce(
+    (name, part) =>
+      /^\d+$/.test(part) ? `${name}[${part}]` : name ? `${name}.${part}` : part,
+    ''
+  );
+}
+
+function collect(validate, data, location, errors) {
+  if (validate(data)) return;
+  for (const error of validate.errors) {
+    errors.push({
+      in: location,
+      field: fieldName(error) || null,
+      message: describe(error),
+    });
+  }
+}
+
+/**
+ * Middleware global: montar depois dos body parsers (nas rotas de upload,
+ * na própria rota, depois do parseMultipartUpload). O body é validado (e
+ * convertido) no próprio req.body; a query do Express 5 é somente leitura,
+ * então é validada numa cópia e os handlers continuam lendo req.query.
+ */
+function validateRequest(req, res, next) {
+  const found = findOperation(req.method, req.path);
+  if (!found) return next();
+  const { op, params } = found;
+  const errors = [];
+
+  if (op.path) collect(op.path, params, 'path', errors);
+  if (op.query) collect(op.query, { ...req.query }, 'query', errors);
+  if (op.body && (req.body !== undefined || op.body.required)) {
+    // O arquivo do multipart (req.upload) faz as vezes do campo de origem
+    const body = req.upload
+      ? { ...req.body, [req.upload.field]: req.upload.path }
+      : req.body ?? {};
+    collect(op.body.validate, body, 'body', errors);
+  }
+
+  if (!errors.length) return next();
+  const first = errors[0];
+  return fail(
+    res,
+    'VALIDATION_ERROR',
+    `Requisição inválida: ${
+      first.field ? `${first.field} ${first.message}` : first.message
+    }`,
+    { errors }
+  );
+}
+
+module.exports = {
+  validateRequest,
+};
@@ -0,0 +1,402 @@
+// lib/webhookQueue.js
+// Fila persistente (WhatsAppWebhookDelivery) de entrega dos webhooks:
+// retry com backoff exponencial + jitter, ordem preservada por sessão/destino
+// e dead-letter após WEBHOOK_MAX_ATTEMPTS tentativas.
+const axios = require('axios');
+const { randomUUID } = require('crypto');
+const prisma = require('./prisma');
+const { HEADERS, signWebhook } = require('./webhookSignature');
+const { getSigningSecrets } = require('./webhookSecrets');
+const { refreshDownloadUrls } = require('./mediaLinks');
+const metrics = require('./metrics');
+
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 10);
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 2000);
+const WEBHOOK_RETRY_MAX_MS = Number(
+  process.env.WEBHOOK_RETRY_MAX_MS || 10 * 60 * 1000
+); // 10min
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const WEBHOOK_QUEUE_TICK_MS = Number(process.env.WEBHOOK_QUEUE_TICK_MS || 1000);
+// Entregas presas em processing (ex.: crash no meio do POST) voltam para a fila
+const WEBHOOK_PROCESSING_TTL_MS = Number(
+  process.env.WEBHOOK_PROCESSING_TTL_MS || 5 * 60 * 1000
+);
+// Por quanto tempo manter as entregas concluídas (0 = para sempre)
+const WEBHOOK_DELIVERED_RETENTION_MS = Number(
+  process.env.WEBHOOK_DELIVERED_RETENTION_MS || 24 * 60 * 60 * 1000
+);
+const BATCH_SIZE = 200;
+
+const STATUS = Object.freeze({
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  DELIVERED: 'delivered',
+  DEAD: 'dead',
+});
+
+const inFlight = new Set(); // chaves de ordenação sendo entregues agora
+let timer = null;
+let ticking = false;
+let lastHousekeeping = 0;
+
+/** Helpers de log padronizados */
+function log(...args) {
+  console.log(`[${new Date().toISOString()}] [WEBHOOK-QUEUE]`, ...args);
+}
+
+function error(...args) {
+  console.error(`[${new Date().toISOString()}] [WEBHOOK-QUEUE ❌]`, ...args);
+}
+
+// Eventos de uma mesma sessão para um mesmo destino saem em ordem
+function orderingKey(row) {
+  return `${row.sessionName}|${row.url}`;
+}
+
+/** Backoff exponencial com jitter: entre 50% e 100% de base * 2^(n-1) */
+function retryDelay(attempts) {
+  const exp = Math.min(
+    WEBHOOK_RETRY_MAX_MS,
+    WEBHOOK_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1)
+  );
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+}
+
+// 4xx (exceto 408/429) não melhora tentando de novo: vai direto pro dead-letter
+function isRetryable(status) {
+  if (!status) return true;
+  if (status === 408 || status === 429) return true;
+  return status < 400 || status >= 500;
+}
+
+/**
+ * POST de um evento para um destino (lança em timeout/status != 2xx).
+ * O corpo é serializado aqui para que a assinatura HMAC cubra exatamente os
+ * bytes enviados; o timestamp é o da tentativa, o eventId é o mesmo em todas.
+ * Os links de mídia são reassinados a cada tentativa (lib/mediaLinks.js).
+ */
+async function postWebhook({ sessionName, event, eventId, url, payload }) {
+  const body = JSON.stringify(refreshDownloadUrls(payload));
+  const secrets = await getSigningSecrets(sessionName);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    [HEADERS.EVENT]: event,
+    [HEADERS.SESSION]: sessionName,
+    [HEADERS.ID]: eventId,
+  };
+  if (secrets.length) {
+    Object.assign(headers, signWebhook({ body, eventId, secrets }));
+  }
+
+  return axios.post(url, body, { headers, timeout: WEBHOOK_TIMEOUT_MS });
+}
+
+/**
+ * Enfileira o evento para cada destino. Se o banco estiver indisponível,
+ * tenta entregar direto (melhor esforço) para não perder o evento calado.
+ */
+async function enqueueWebhook(sessionName, event, payload, targets) {
+  if (!targets.length) return;
+
+  // Mesmo id para todos os destinos e todas as tentativas deste evento
+  const eventId = randomUUID();
+
+  try {
+    await prisma.whatsAppWebhookDelivery.createMany({
+      data: targets.map((webhook) => ({
+        sessionName,
+        webhookId: webhook.id || null,
+        url: webhook.url,
+        event,
+        eventId,
+        payload,
+      })),
+    });
+    kick();
+  } catch (err) {
+    error(
+      `Falha ao enfileirar ${event}/${sessionName}, entregando direto:`,
+      err?.message || err
+    );
+    await Promise.all(
+      targets.map((webhook) =>
+        postWebhook({
+          sessionName,
+          event,
+          eventId,
+          url: webhook.url,
+          payload,
+        }).catch((e) => {
+          error(`Falha ao notificar ${webhook.url}:`, e?.message || e);
+        })
+      )
+    );
+  }
+}
+
+/** Entrega uma linha já reservada (status processing); devolve o novo status */
+async function deliver(row) {
+  const attempts = row.attempts + 1;
+  const endTimer = metrics.webhookDeliveryDuration.startTimer({
+    event: row.event,
+  });
+
+  try {
+    const res = await postWebhook(row);
+    endTimer({ outcome: 'delivered' });
+    metrics.webhookDeliveries.inc({ event: row.event, outcome: 'delivered' });
+    metrics.webhookDeliveryLag.observe(
+      { event: row.event },
+      (Date.now() - new Date(row.createdAt).getTime()) / 1000
+    );
+    await prisma.whatsAppWebhookDelivery.update({
+      where: { id: row.id },
+      data: {
+        status: STATUS.DELIVERED,
+        attempts,
+        lastStatus: res.status,
+        lastError: null,
+        deliveredAt: new Date(),
+      },
+    });
+    return STATUS.DELIVERED;
+  } catch (err) {
+    const status = err?.response?.status || null;
+    const message = status
+      ? `HTTP ${status}: ${err.message}`
+      : String(err?.message || err);
+    const dead = attempts >= WEBHOOK_MAX_ATTEMPTS || !isRetryable(status);
+    const delay = retryDelay(attempts);
+    const outcome = dead ? 'dead' : 'retry';
+    endTimer({ outcome });
+    metrics.webhookDeliveries.inc({ event: row.event, outcome });
+
+    await prisma.whatsAppWebhookDelivery.update({
+      where: { id: row.id },
+      data: {
+        status: dead ? STATUS.DEAD : STATUS.PENDING,
+        attempts,
+        lastStatus: status,
+        lastError: message,
+        nextAttemptAt: dead ? row.nextAttemptAt : new Date(Date.now() + delay),
+      },
+    });
+
+    if (dead) {
+      error(
+        `☠️ Entrega #${row.id} (${row.event}/${row.sessionName} → ${row.url}) movida para dead-letter após ${attempts} tentativa(s): ${message}`
+      );
+    } else {
+      log(
+        `⚠️ Entrega #${row.id} falhou (tentativa ${attempts}/${WEBHOOK_MAX_ATTEMPTS}), nova tentativa em ${delay}ms: ${message}`
+      );
+    }
+    return dead ? STATUS.DEAD : STATUS.PENDING;
+  }
+}
+
+/** Entrega, em ordem, os pendentes de uma chave até esgotar ou falhar */
+async function drainKey(key, head) {
+  inFlight.add(key);
+  try {
+    let row = head;
+    while (row) {
+      // Reserva a linha; se outra instância pegou antes, desiste da chave
+      const { count } = await prisma.whatsAppWebhookDelivery.updateMany({
+        where: { id: row.id, status: STATUS.PENDING },
+        data: { status: STATUS.PROCESSING },
+      });
+      if (!count) return;
+
+      // Falhou com retry agendado: os próximos dessa chave esperam
+      if ((await deliver(row)) === STATUS.PENDING) return;
+
+      const next = await prisma.whatsAppWebhookDelivery.findFirst({
+        where: {
+          sessionName: row.sessionName,
+          url: row.url,
+          status: STATUS.PENDING,
+        },
+        orderBy: { id: 'asc' },
+      });
+      row = next && next.nextAttemptAt <= new Date() ? next : null;
+    }
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+// Devolve para a fila o que ficou preso em processing e apaga entregas antigas
+async function housekeeping() {
+  if (Date.now() - lastHousekeeping < 60 * 1000) return;
+  lastHousekeeping = Date.now();
+
+  const revived = await prisma.whatsAppWebhookDelivery.updateMany({
+    where: {
+      status: STATUS.PROCESSING,
+      updatedAt: { lt: new Date(Date.now() - WEBHOOK_PROCESSING_TTL_MS) },
+    },
+    data: { status: STATUS.PENDING },
+  });
+  if (revived.count > 0) {
+    log(`♻️ Revividas ${revived.count} entregas presas em processing`);
+  }
+
+  if (WEBHOOK_DELIVERED_RETENTION_MS > 0) {
+    await prisma.whatsAppWebhookDelivery.deleteMany({
+      where: {
+        status: STATUS.DELIVERED,
+        deliveredAt: {
+          lt: new Date(Date.now() - WEBHOOK_DELIVERED_RETENTION_MS),
+        },
+      },
+    });
+  }
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    await housekeeping();
+
+    // O mais antigo pendente de cada chave é a "cabeça" da fila dela
+    const rows = await prisma.whatsAppWebhookDelivery.findMany({
+      where: { status: { in: [STATUS.PENDING, STATUS.PROCESSING] } },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    const heads = new Map();
+    for (const row of rows) {
+      const key = orderingKey(row);
+      if (!heads.has(key)) heads.set(key, row);
+    }
+
+    const now = Date.now();
+    for (const [key, head] of heads) {
+      if (inFlight.has(key)) continue;
+      if (head.status !== STATUS.PENDING) continue; // outra instância entregando
+      if (new Date(head.nextAttemptAt).getTime() > now) continue;
+
+      drainKey(key, head).catch((err) =>
+        error(`Erro ao processar fila ${key}:`, err?.message || err)
+      );
+    }
+  } catch (err) {
+    error('Erro no tick da fila:', err?.message || err);
+  } finally {
+    ticking = false;
+  }
+}
+
+/** Agenda um tick imediato (chamado ao enfileirar) */
+function kick() {
+  if (timer) setImmediate(tick);
+}
+
+function startWebhookWorker() {
+  if (timer) return;
+  log(
+    `Iniciando (tick=${WEBHOOK_QUEUE_TICK_MS}ms, maxAttempts=${WEBHOOK_MAX_ATTEMPTS})`
+  );
+  timer = setInterval(tick, WEBHOOK_QUEUE_TICK_MS);
+  tick();
+}
+
+function stopWebhookWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+// ---- dead-letter
+
+async function listDeadLetters({ session, event, limit = 50, offset = 0 }) {
+  const where = { status: STATUS.DEAD };
+  if (session) where.sessionName = session;
+  if (event) where.event = event;
+
+  const [total, items] = await Promise.all([
+    prisma.whatsAppWebhookDelivery.count({ where }),
+    prisma.whatsAppWebhookDelivery.findMany({
+      where,
+      orderBy: { id: 'desc' },
+      skip: offset,
+      take: limit,
+      select: {
+        id: true,
+        sessionName: true,
+        webhookId: true,
+        url: true,
+        event: true,
+        eventId: true,
+        attempts: true,
+        lastStatus: true,
+        lastError: true,
+        createdAt: true,
+        updatedAt: true,
+      },
+    }),
+  ]);
+  return { total, items };
+}
+
+function getDelivery(id) {
+  return prisma.whatsAppWebhookDelivery.findUnique({ where: { id } });
+}
+
+/** Recoloca eventos do dead-letter na fila; devolve quantos voltaram */
+async function redeliver(where) {
+  const { count } = await prisma.whatsAppWebhookDelivery.updateMany({
+    where: { ...where, status: STATUS.DEAD },
+    data: {
+      status: STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null,
+      lastStatus: null,
+    },
+  });
+  if (count) kick();
+  return count;
+}
+
+async function discardDeadLetter(id) {
+  const { count } = await prisma.whatsAppWebhookDelivery.deleteMany({
+    where: { id, status: STATUS.DEAD },
+  });
+  return count > 0;
+}
+
+/** Quantidade de entregas ainda não concluídas (por sessão, se informada) */
+function countQueued(sessionName) {
+  const where = { status: { in: [STATUS.PENDING, STATUS.PROCESSING] } };
+  if (sessionName) where.sessionName = sessionName;
+  return prisma.whatsAppWebhookDelivery.count({ where });
+}
+
+/** Entregas não concluídas agrupadas por sessão: Map(sessionName → total) */
+async function countQueuedBySession() {
+  const rows = await prisma.whatsAppWebhookDelivery.groupBy({
+    by: ['sessionName'],
+    where: { status: { in: [STATUS.PENDING, STATUS.PROCESSING] } },
+    _count: { _all: true },
+  });
+  return new Map(rows.map((row) => [row.sessionName, row._count._all]));
+}
+
+module.exports = {
+  STATUS,
+  postWebhook,
+  enqueueWebhook,
+  startWebhookWorker,
+  stopWebhookWorker,
+  listDeadLetters,
+  getDelivery,
+  redeliver,
+  discardDeadLetter,
+  countQueued,
+  countQueuedBySession,
+};
@@ -0,0 +1,123 @@
+// lib/webhookSecrets.js
+// Segredos HMAC dos webhooks por sessão, com rotação sem downtime: após
+// rotacionar, o segredo anterior continua assinando durante
+// WEBHOOK_SECRET_GRACE_MS (ou até ser removido pela API).
+const crypto = require('crypto');
+const prisma = require('./prisma');
+
+const WEBHOOK_SECRET_GRACE_MS = Number(
+  process.env.WEBHOOK_SECRET_GRACE_MS || 24 * 60 * 60 * 1000
+); // 24h
+const SECRETS_CACHE_TTL_MS = 30 * 1000;
+
+// Segredo global, usado por sessões que ainda não têm um próprio
+const DEFAULT_SECRET = process.env.WEBHOOK_SECRET || null;
+
+const secretsCache = new Map(); // key: sessionName, value: { secrets, ts }
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function activeSecrets(session) {
+  if (!session?.webhookSecret) return DEFAULT_SECRET ? [DEFAULT_SECRET] : [];
+
+  const secrets = [session.webhookSecret];
+  const rotatedAt = session.webhookSecretRotatedAt?.getTime?.() || 0;
+  if (
+    session.webhookSecretPrevious &&
+    Date.now() - rotatedAt < WEBHOOK_SECRET_GRACE_MS
+  ) {
+    secrets.push(session.webhookSecretPrevious);
+  }
+  return secrets;
+}
+
+/** Segredos que devem assinar os eventos da sessão (pode ser vazio) */
+async function getSigningSecrets(sessionName) {
+  const hit = secretsCache.get(sessionName);
+  if (hit && Date.now() - hit.ts < SECRETS_CACHE_TTL_MS) return hit.secrets;
+
+  try {
+    const session = await prisma.whatsAppSession.findUnique({
+      where: { sessionName },
+      select: {
+        webhookSecret: true,
+        webhookSecretPrevious: true,
+        webhookSecretRotatedAt: true,
+      },
+    });
+    const secrets = activeSecrets(session);
+    secretsCache.set(sessionName, { secrets, ts: Date.now() });
+    return secrets;
+  } catch (err) {
+    console.error(
+      `⚠️ [WEBHOOK] Falha ao carregar segredo da sessão ${sessionName}:`,
+      err?.message || err
+    );
+    return hit ? hit.secrets : DEFAULT_SECRET ? [DEFAULT_SECRET] : [];
+  }
+}
+
+/** Situação do segredo da sessão (sem expor os valores) */
+async function describeSecret(sessionName) {
+  const session = await prisma.whatsAppSession.findUnique({
+    where: { sessionName },
+  });
+  const secrets = activeSecrets(session);
+
+  return {
+    hasSecret: !!session?.webhookSecret,
+    usingDefaultSecret: !session?.webhookSecret && !!DEFAULT_SECRET,
+    previousSecretActive: secrets.length > 1,
+    rotatedAt: session?.webhookSecretRotatedAt || null,
+    previousSecretExpiresAt:
+      secrets.length > 1
+        ? new Date(
+            session.webhookSecretRotatedAt.getTime() + WEBHOOK_SECRET_GRACE_MS
+          )
+        : null,
+  };
+}
+
+/**
+ * Gera (ou aceita) um novo segredo; o atual vira o "anterior" e continua
+ * valendo durante a carência. Devolve o novo segredo — única vez em que
+ * ele é exposto pela API.
+ */
+async function rotateSecret(sessionName, secret = generateSecret()) {
+  const current = await prisma.whatsAppSession.findUnique({
+    where: { sessionName },
+    select: { webhookSecret: true },
+  });
+  const data = {
+    webhookSecret: secret,
+    webhookSecretPrevious: current?.webhookSecret || null,
+    webhookSecretRotatedAt: new Date(),
+  };
+
+  await prisma.whatsAppSession.upsert({
+    where: { sessionName },
+    update: data,
+    create: { sessionName, isActive: false, ...data },
+  });
+  secretsCache.delete(sessionName);
+  return secret;
+}
+
+/** Encerra a rotação: para de assinar com o segredo anterior */
+async function revokePreviousSecret(sessionName) {
+  const { count } = await prisma.whatsAppSession.updateMany({
+    where: { sessionName },
+    data: { webhookSecretPrevious: null },
+  });
+  secretsCache.delete(sessionName);
+  return count > 0;
+}
+
+module.exports = {
+  getSigningSecrets,
+  describeSecret,
+  rotateSecret,
+  revokePreviousSecret,
+};
@@ -0,0 +1,166 @@
+// lib/webhookSignature.js
+// Assinatura HMAC-SHA256 dos webhooks. Sem dependências além do crypto, para
+// que o consumidor (CRM) possa importar apenas este arquivo e validar:
+//
+//   const { verifyWebhook, createReplayGuard } = require('./webhookSignature');
+//   const replayGuard = createReplayGuard();
+//
+//   app.post(
+//     '/api/whatsappwebhook',
+//     express.json({ verify: (req, res, buf) => (req.rawBody = buf) }),
+//     async (req, res) => {
+//       const check = verifyWebhook({
+//         body: req.rawBody,
+//         headers: req.headers,
+//         secrets: [process.env.WPP_WEBHOOK_SECRET],
+//         replayGuard,
+//       });
+//       // Retry de um evento já processado: responda 2xx sem reprocessar
+//       if (check.reason === 'replayed_event') return res.sendStatus(200);
+//       if (!check.ok) return res.status(401).send({ reason: check.reason });
+//       await handleEvent(req.body); // se lançar, o 5xx volta pelo retry
+//       replayGuard.remember(check.eventId); // só depois de processado
+//       res.sendStatus(200);
+//     }
+//   );
+const crypto = require('crypto');
+
+const HEADERS = Object.freeze({
+  ID: 'x-webhook-id',
+  TIMESTAMP: 'x-webhook-timestamp',
+  SIGNATURE: 'x-webhook-signature',
+  EVENT: 'x-webhook-event',
+  SESSION: 'x-webhook-session',
+});
+
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+function computeSignature(secret, eventId, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${eventId}.${timestamp}.`)
+    .update(body)
+    .digest('hex');
+}
+
+/**
+ * Gera os headers de assinatura para um corpo já serializado.
+ * Com mais de um segredo (rotação), envia uma assinatura por segredo:
+ * "v1=<hex>,v1=<hex>" — o consumidor aceita se qualquer uma bater.
+ */
+function signWebhook({ body, eventId, secrets, timestamp }) {
+  const ts = timestamp || Math.floor(Date.now() / 1000);
+  const signatures = secrets
+    .filter(Boolean)
+    .map(
+      (secret) =>
+        `${SIGNATURE_VERSION}=${computeSignature(secret, eventId, ts, body)}`
+    );
+
+  return {
+    [HEADERS.ID]: eventId,
+    [HEADERS.TIMESTAMP]: String(ts),
+    [HEADERS.SIGNATURE]: signatures.join(','),
+  };
+}
+
+function safeEqualHex(a, b) {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function getHeader(headers, name) {
+  if (typeof headers?.get === 'function') return headers.get(name);
+  const value = headers?.[name] ?? headers?.[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Valida um webhook recebido.
+ * - body: corpo cru (Buffer ou string), exatamente como chegou
+ * - secrets: segredos aceitos (durante a rotação, o antigo e o novo)
+ * - replayGuard: opcional, ver createReplayGuard()
+ * Devolve { ok, reason?, eventId, timestamp }.
+ */
+function verifyWebhook({
+  body,
+  headers,
+  secrets,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  replayGuard,
+  now = Date.now(),
+}) {
+  const eventId = getHeader(headers, HEADERS.ID);
+  const timestamp = Number(getHeader(headers, HEADERS.TIMESTAMP));
+  const header = getHeader(headers, HEADERS.SIGNATURE);
+  const result = { ok: false, eventId, timestamp };
+
+  if (!eventId || !timestamp || !header) {
+    return { ...result, reason: 'missing_headers' };
+  }
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return { ...result, reason: 'timestamp_out_of_tolerance' };
+  }
+
+  const received = String(header)
+    .split(',')
+    .map((part) => part.trim().split('='))
+    .filter(([version, hex]) => version === SIGNATURE_VERSION && hex)
+    .map(([, hex]) => hex);
+
+  const payload = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+  const valid = (secrets || []).filter(Boolean).some((secret) => {
+    const expected = computeSignature(secret, eventId, timestamp, payload);
+    return received.some((hex) => safeEqualHex(hex, expected));
+  });
+  if (!valid) return { ...result, reason: 'invalid_signature' };
+
+  if (replayGuard && replayGuard.has(eventId)) {
+    return { ...result, reason: 'replayed_event' };
+  }
+  return { ...result, ok: true };
+}
+
+/**
+ * Guarda em memória os ids já processados durante a janela de tolerância.
+ * has(eventId) só consulta (verifyWebhook); remember(eventId) registra e
+ * deve ser chamado depois que o consumidor tratou o evento, senão o retry
+ * de uma falha seria tomado por replay e o evento, perdido.
+ * Em mais de uma instância, troque por um store compartilhado (Redis/banco)
+ * com a mesma interface.
+ */
+function createReplayGuard({
+  ttlMs = DEFAULT_TOLERANCE_SECONDS * 1000 * 2,
+} = {}) {
+  const seen = new Map(); // key: eventId, value: expiresAt
+
+  const prune = (now) => {
+    for (const [id, expiresAt] of seen) {
+      if (expiresAt > now) break; // Map mantém ordem de inserção
+      seen.delete(id);
+    }
+  };
+
+  return {
+    has(eventId) {
+      prune(Date.now());
+      return seen.has(eventId);
+    },
+    remember(eventId) {
+      const now = Date.now();
+      prune(now);
+      // Reinsere para manter a ordem de expiração
+      seen.delete(eventId);
+      seen.set(eventId, now + ttlMs);
+    },
+  };
+}
+
+module.exports = {
+  HEADERS,
+  signWebhook,
+  verifyWebhook,
+  createReplayGuard,
+};
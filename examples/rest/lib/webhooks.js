@@ -0,0 +1,238 @@
+// lib/webhooks.js
+// Configuração de webhooks por sessão (WhatsAppWebhook) e envio dos eventos
+const fs = require('fs');
+const prisma = require('./prisma');
+const { enqueueWebhook } = require('./webhookQueue');
+const eventStream = require('./eventStream');
+const { CHAT_EVENTS } = require('./chatEvents');
+
+// Tipos de evento que podem ser assinados
+const WEBHOOK_EVENTS = ['received', 'sent', 'ack', ...CHAT_EVENTS];
+
+// Alto volume: só chegam a webhooks que os listam explicitamente
+const OPT_IN_EVENTS = ['presence'];
+
+// Por quanto tempo a configuração lida do banco fica em cache (ms)
+const WEBHOOK_CACHE_TTL_MS = Number(
+  process.env.WEBHOOK_CACHE_TTL_MS || 30 * 1000
+);
+
+const targetsCache = new Map(); // key: sessionName, value: { targets, ts }
+
+/**
+ * Webhook padrão, usado quando a sessão não tem nenhum configurado.
+ * Vem de WEBHOOK_CONFIG_FILE (JSON: { "url": "...", "events": [...] })
+ * ou das variáveis WEBHOOK_URL / WEBHOOK_EVENTS (lista separada por vírgula).
+ */
+function loadDefaultWebhook() {
+  const configFile = process.env.WEBHOOK_CONFIG_FILE;
+  if (configFile) {
+    try {
+      const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+      if (config?.url) {
+        return { url: config.url, events: normalizeEvents(config.events) };
+      }
+    } catch (err) {
+      console.error(
+        `⚠️ [WEBHOOK] Falha ao ler ${configFile}:`,
+        err?.message || err
+      );
+    }
+  }
+
+  if (process.env.WEBHOOK_URL) {
+    return {
+      url: process.env.WEBHOOK_URL,
+      events: normalizeEvents(process.env.WEBHOOK_EVENTS),
+    };
+  }
+  return null;
+}
+
+const defaultWebhook = loadDefaultWebhook();
+if (defaultWebhook) {
+  console.log('[WEBHOOK] Webhook padrão:', defaultWebhook.url);
+} else {
+  console.warn(
+    '⚠️ [WEBHOOK] Nenhum webhook padrão (WEBHOOK_URL / WEBHOOK_CONFIG_FILE); só sessões configuradas receberão eventos'
+  );
+}
+
+/** Aceita array ou string "a,b"; vazio/null = todos os eventos */
+function normalizeEvents(events) {
+  if (!events) return null;
+  const list = (Array.isArray(events) ? events : String(events).split(','))
+    .map((e) => String(e).trim())
+    .filter(Boolean);
+  return list.length && !list.includes('*') ? list : null;
+}
+
+/** Devolve a lista de eventos desconhecidos (para validar a entrada da API) */
+function invalidEvents(events) {
+  return (normalizeEvents(events) || []).filter(
+    (e) => !WEBHOOK_EVENTS.includes(e)
+  );
+}
+
+function acceptsEvent(webhook, event) {
+  if (!webhook.events) return !OPT_IN_EVENTS.includes(event);
+  return webhook.events.includes(event);
+}
+
+function isValidUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url);
+}
+
+async function findSession(sessionName) {
+  return prisma.whatsAppSession.findUnique({ where: { sessionName } });
+}
+
+// Sessão ainda sem registro é criada inativa: só passa a ser restaurada
+// no boot depois de conectar pela primeira vez
+async function findOrCreateSession(sessionName) {
+  return prisma.whatsAppSession.upsert({
+    where: { sessionName },
+    update: {},
+    create: { sessionName, isActive: false },
+  });
+}
+
+/** Webhooks ativos da sessão (com fallback para o padrão), com cache */
+async function getWebhookTargets(sessionName) {
+  const hit = targetsCache.get(sessionName);
+  if (hit && Date.now() - hit.ts < WEBHOOK_CACHE_TTL_MS) return hit.targets;
+
+  let targets = [];
+  try {
+    const session = await findSession(sessionName);
+    if (session) {
+      const rows = await prisma.whatsAppWebhook.findMany({
+        where: { sessionId: session.id, enabled: true },
+        orderBy: { createdAt: 'asc' },
+      });
+      targets = rows.map((row) => ({
+        id: row.id,
+        url: row.url,
+        events: normalizeEvents(row.events),
+      }));
+    }
+  } catch (err) {
+    console.error(
+      `⚠️ [WEBHOOK] Falha ao carregar webhooks da sessão ${sessionName}:`,
+      err?.message || err
+    );
+    // Sem banco, mantém o que estava em cache (se houver)
+    if (hit) return hit.targets;
+  }
+
+  if (!targets.length && defaultWebhook) targets = [defaultWebhook];
+  targetsCache.set(sessionName, { targets, ts: Date.now() });
+  return targets;
+}
+
+function invalidateWebhookCache(sessionName) {
+  targetsCache.delete(sessionName);
+}
+
+/**
+ * Enfileira o evento para todos os webhooks da sessão que o assinam
+ * (a entrega, com retry, fica a cargo de lib/webhookQueue) e o publica
+ * no stream em tempo real (lib/eventStream).
+ * Nunca lança: falhas são apenas logadas.
+ */
+async function dispatchWebhook(sessionName, event, payload) {
+  eventStream.publish(sessionName, event, payload);
+
+  const targets = await getWebhookTargets(sessionName);
+
+  await enqueueWebhook(
+    sessionName,
+    event,
+    payload,
+    targets.filter((webhook) => acceptsEvent(webhook, event))
+  );
+}
+
+function serializeWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: normalizeEvents(row.events) || ['*'],
+    enabled: row.enabled,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt,
+  };
+}
+
+async function listWebhooks(sessionName) {
+  const session = await findSession(sessionName);
+  if (!session) return [];
+  const rows = await prisma.whatsAppWebhook.findMany({
+    where: { sessionId: session.id },
+    orderBy: { createdAt: 'asc' },
+  });
+  return rows.map(serializeWebhook);
+}
+
+async function createWebhook(sessionName, { url, events, enabled = true }) {
+  const session = await findOrCreateSession(sessionName);
+  const row = await prisma.whatsAppWebhook.create({
+    data: {
+      sessionId: session.id,
+      url,
+      events: normalizeEvents(events),
+      enabled: enabled !== false,
+    },
+  });
+  invalidateWebhookCache(sessionName);
+  return serializeWebhook(row);
+}
+
+/** Atualiza um webhook da sessão; devolve null se não existir */
+async function updateWebhook(sessionName, webhookId, data) {
+  const session = await findSession(sessionName);
+  if (!session) return null;
+
+  const changes = {};
+  if (data.url !== undefined) changes.url = data.url;
+  if (data.events !== undefined) changes.events = normalizeEvents(data.events);
+  if (data.enabled !== undefined) changes.enabled = data.enabled !== false;
+
+  const { count } = await prisma.whatsAppWebhook.updateMany({
+    where: { id: webhookId, sessionId: session.id },
+    data: changes,
+  });
+  invalidateWebhookCache(sessionName);
+  if (!count) return null;
+
+  return serializeWebhook(
+    await prisma.whatsAppWebhook.findUnique({ where: { id: webhookId } })
+  );
+}
+
+/** Remove um webhook da sessão; devolve false se não existir */
+async function deleteWebhook(sessionName, webhookId) {
+  const session = await findSession(sessionName);
+  if (!session) return false;
+
+  const { count } = await prisma.whatsAppWebhook.deleteMany({
+    where: { id: webhookId, sessionId: session.id },
+  });
+  invalidateWebhookCache(sessionName);
+  return count > 0;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  OPT_IN_EVENTS,
+  defaultWebhook,
+  isValidUrl,
+  invalidEvents,
+  getWebhookTargets,
+  invalidateWebhookCache,
+  dispatchWebhook,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+};
@@ -0,0 +1,77 @@
+// routes/apiKeys.js
+// Administração das API keys — montado em /api-keys (somente admin)
+const express = require('express');
+const apiKeys = require('../lib/apiKeys');
+const { sendError, fail } = require('../lib/errors');
+
+const router = express.Router();
+
+// Valida name/scope/userId do body; devolve a mensagem de erro ou null
+function validateApiKeyBody(body) {
+  const { name, scope = apiKeys.SCOPES.USER, userId } = body || {};
+
+  if (typeof name !== 'string' || !name.trim()) return 'name é obrigatório';
+  if (!Object.values(apiKeys.SCOPES).includes(scope)) {
+    return `scope inválido. Válidos: ${Object.values(apiKeys.SCOPES).join(
+      ', '
+    )}`;
+  }
+  if (scope === apiKeys.SCOPES.USER && !Number.isInteger(userId)) {
+    return 'userId (número) é obrigatório para chaves de escopo user';
+  }
+  return null;
+}
+
+// Lista as chaves (?includeRevoked=true para ver as revogadas)
+router.get('/', async function (req, res) {
+  try {
+    const list = await apiKeys.listApiKeys({
+      includeRevoked: req.query.includeRevoked === 'true',
+    });
+    res.send({ status: true, apiKeys: list });
+  } catch (error) {
+    console.error('Erro ao listar API keys:', error);
+    sendError(res, error);
+  }
+});
+
+// Cria uma chave: { "name": "crm", "scope": "user", "userId": 1 }
+router.post('/', async function (req, res) {
+  const invalid = validateApiKeyBody(req.body);
+  if (invalid) {
+    return fail(res, 'VALIDATION_ERROR', invalid);
+  }
+
+  try {
+    const { apiKey, key } = await apiKeys.createApiKey({
+      name: req.body.name.trim(),
+      scope: req.body.scope,
+      userId: req.body.userId,
+    });
+    res.status(201).send({
+      status: true,
+      apiKey,
+      key,
+      message: 'Guarde a chave: ela não será exibida novamente',
+    });
+  } catch (error) {
+    console.error('Erro ao criar API key:', error);
+    sendError(res, error);
+  }
+});
+
+// Revoga uma chave (passa a responder 401 imediatamente nesta instância)
+router.delete('/:id', async function (req, res) {
+  try {
+    const revoked = await apiKeys.revokeApiKey(req.params.id);
+    if (!revoked) {
+      return fail(res, 'NOT_FOUND', 'API key não encontrada');
+    }
+    res.send({ status: true, message: 'API key revogada', id: req.params.id });
+  } catch (error) {
+    console.error('Erro ao revogar API key:', error);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
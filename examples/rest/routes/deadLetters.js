@@ -0,0 +1,122 @@
+// routes/deadLetters.js
+// Administração do dead-letter dos webhooks — montado em /webhooks/dead-letters
+const express = require('express');
+const webhookQueue = require('../lib/webhookQueue');
+const { sendError, fail } = require('../lib/errors');
+
+const router = express.Router();
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Lista eventos no dead-letter (?session=&event=&limit=&offset=)
+router.get('/', async function (req, res) {
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  try {
+    const { total, items } = await webhookQueue.listDeadLetters({
+      session: req.query.session,
+      event: req.query.event,
+      limit,
+      offset,
+    });
+    res.send({ status: true, total, limit, offset, deadLetters: items });
+  } catch (error) {
+    console.error('Erro ao listar dead-letters:', error);
+    sendError(res, error);
+  }
+});
+
+// Reenfileira vários de uma vez: { "ids": [1, 2] } ou { "session": "x" }
+router.post('/redeliver', async function (req, res) {
+  const { ids, session, event } = req.body || {};
+
+  const where = {};
+  if (Array.isArray(ids)) {
+    const parsed = ids.map(parseId);
+    if (!parsed.length || parsed.includes(null)) {
+      return fail(res, 'VALIDATION_ERROR', 'ids deve ser uma lista de números');
+    }
+    where.id = { in: parsed };
+  }
+  if (session) where.sessionName = session;
+  if (event) where.event = event;
+
+  if (!Object.keys(where).length) {
+    return fail(res, 'VALIDATION_ERROR', 'Informe ids, session e/ou event');
+  }
+
+  try {
+    const count = await webhookQueue.redeliver(where);
+    res.send({
+      status: true,
+      message: `${count} evento(s) recolocado(s) na fila`,
+      count,
+    });
+  } catch (error) {
+    console.error('Erro ao reenfileirar dead-letters:', error);
+    sendError(res, error);
+  }
+});
+
+// Detalhe de um evento (inclui o payload)
+router.get('/:id', async function (req, res) {
+  const id = parseId(req.params.id);
+  if (!id) {
+    return fail(res, 'VALIDATION_ERROR', 'id inválido');
+  }
+
+  try {
+    const delivery = await webhookQueue.getDelivery(id);
+    if (!delivery || delivery.status !== webhookQueue.STATUS.DEAD) {
+      return fail(res, 'NOT_FOUND', 'Evento não encontrado');
+    }
+    res.send({ status: true, deadLetter: delivery });
+  } catch (error) {
+    console.error('Erro ao buscar dead-letter:', error);
+    sendError(res, error);
+  }
+});
+
+// Reenfileira um evento
+router.post('/:id/redeliver', async function (req, res) {
+  const id = parseId(req.params.id);
+  if (!id) {
+    return fail(res, 'VALIDATION_ERROR', 'id inválido');
+  }
+
+  try {
+    const count = await webhookQueue.redeliver({ id });
+    if (!count) {
+      return fail(res, 'NOT_FOUND', 'Evento não encontrado');
+    }
+    res.send({ status: true, message: 'Evento recolocado na fila', id });
+  } catch (error) {
+    console.error('Erro ao reenfileirar dead-letter:', error);
+    sendError(res, error);
+  }
+});
+
+// Descarta um evento do dead-letter
+router.delete('/:id', async function (req, res) {
+  const id = parseId(req.params.id);
+  if (!id) {
+    return fail(res, 'VALIDATION_ERROR', 'id inválido');
+  }
+
+  try {
+    const removed = await webhookQueue.discardDeadLetter(id);
+    if (!removed) {
+      return fail(res, 'NOT_FOUND', 'Evento não encontrado');
+    }
+    res.send({ status: true, message: 'Evento descartado', id });
+  } catch (error) {
+    console.error('Erro ao descartar dead-letter:', error);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+// routes/docs.js
+// Documento OpenAPI (/openapi.json) e a documentação interativa (/docs).
+// Montado antes da autenticação: o documento não expõe dados das sessões, e
+// o "Authorize" do Swagger UI envia a API key nas chamadas de teste.
+const express = require('express');
+const { openapiDocument } = require('../lib/openapi');
+
+const router = express.Router();
+
+// Swagger UI servido pelo CDN (SWAGGER_UI_CDN para usar um espelho próprio)
+const SWAGGER_UI_CDN =
+  process.env.SWAGGER_UI_CDN || 'https://unpkg.com/swagger-ui-dist@5';
+
+const docsPage = `<!DOCTYPE html>
+<html lang="pt-BR">
+  <head>
+    <meta charset="utf-8" />
+    <title>${openapiDocument.info.title}</title>
+    <link rel="stylesheet" href="${SWAGGER_UI_CDN}/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI_CDN}/swagger-ui-bundle.js"></script>
+    <script>
+      window.ui = SwaggerUIBundle({
+        url: 'openapi.json',
+        dom_id: '#swagger-ui',
+        persistAuthorization: true,
+        tryItOutEnabled: true,
+      });
+    </script>
+  </body>
+</html>
+`;
+
+router.get('/openapi.json', function (req, res) {
+  res.send(openapiDocument);
+});
+
+router.get('/docs', function (req, res) {
+  res.type('html').send(docsPage);
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+// routes/events.js
+// Stream de eventos (SSE) — montado em /events (todas as sessões, admin)
+// e em /:session/events (uma sessão)
+const express = require('express');
+const eventStream = require('../lib/eventStream');
+const auth = require('../lib/auth');
+const { fail } = require('../lib/errors');
+const {
+  sessionManager,
+  serializePairingCode,
+} = require('../lib/sessionManager');
+
+const router = express.Router({ mergeParams: true });
+
+// Estado atual (e QR/código pendente) das sessões, para quem conecta sem cursor
+function snapshot(sessionName) {
+  const records = sessionName
+    ? [sessionManager.get(sessionName)].filter(Boolean)
+    : sessionManager.list();
+  const ts = new Date().toISOString();
+
+  return records.flatMap((record) => {
+    const events = [
+      {
+        type: 'state',
+        session: record.name,
+        ts,
+        data: { state: record.state, previous: null, message: record.message },
+      },
+    ];
+    if (record.qrCode) {
+      events.push({
+        type: 'qr',
+        session: record.name,
+        ts,
+        data: eventStream.qrEventData(record.qrCode),
+      });
+    }
+    if (record.pairingCode) {
+      events.push({
+        type: 'pairing-code',
+        session: record.name,
+        ts,
+        data: serializePairingCode(record.pairingCode),
+      });
+    }
+    return events;
+  });
+}
+
+// Abre o stream (?events=qr,state&lastEventId=...)
+router.get('/', function (req, res) {
+  const sessionName = req.params.session || null;
+
+  const unknown = eventStream.invalidEvents(req.query.events);
+  if (unknown.length) {
+    return fail(
+      res,
+      'VALIDATION_ERROR',
+      `Eventos desconhecidos: ${unknown.join(
+        ', '
+      )}. Válidos: ${eventStream.STREAM_EVENTS.join(', ')} ou *`
+    );
+  }
+
+  eventStream.subscribe(req, res, {
+    session: sessionName,
+    events: req.query.events,
+    cursor: req.headers['last-event-id'] || req.query.lastEventId,
+    snapshot: snapshot(sessionName),
+  });
+});
+
+// Progresso de campanha reportado pelo workers/campaignWorker.js
+router.post('/campaign', auth.requireAdmin, function (req, res) {
+  const { sessionName, campaignId } = req.body || {};
+  if (!sessionName || !campaignId) {
+    return fail(
+      res,
+      'VALIDATION_ERROR',
+      'sessionName e campaignId são obrigatórios'
+    );
+  }
+
+  eventStream.publish(sessionName, 'campaign', req.body);
+  res.status(202).send({ status: true });
+});
+
+module.exports = router;
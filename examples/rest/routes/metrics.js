@@ -0,0 +1,57 @@
+// routes/metrics.js
+// Métricas no formato do Prometheus — montado em /metrics (admin)
+const express = require('express');
+const metrics = require('../lib/metrics');
+const { CONTENT_TYPE } = require('../lib/prometheus');
+const { sendError } = require('../lib/errors');
+const eventStream = require('../lib/eventStream');
+const webhookQueue = require('../lib/webhookQueue');
+const { getProcessTreeMemory } = require('../lib/processStats');
+const { sessionManager, STATES } = require('../lib/sessionManager');
+
+const router = express.Router();
+
+// Gauges calculados a cada scrape (sessões que sumiram somem da saída)
+metrics.registry.onCollect(() => {
+  metrics.sessions.reset();
+  for (const state of Object.values(STATES)) {
+    metrics.sessions.set({ state }, 0);
+  }
+  for (const record of sessionManager.list()) {
+    metrics.sessions.inc({ state: record.state });
+  }
+
+  metrics.browserMemory.reset();
+  const pids = new Map();
+  for (const record of sessionManager.list()) {
+    const pid = sessionManager.getBrowserPid(record.name);
+    if (pid) pids.set(record.name, pid);
+  }
+  const memory = getProcessTreeMemory([...pids.values()]);
+  for (const [session, pid] of pids) {
+    const tree = memory?.get(pid);
+    if (tree) metrics.browserMemory.set({ session }, tree.rssBytes);
+  }
+
+  metrics.eventStreamSubscribers.set({}, eventStream.countSubscribers());
+});
+
+metrics.registry.onCollect(async () => {
+  const queued = await webhookQueue.countQueuedBySession();
+  metrics.webhookQueueSize.reset();
+  for (const [session, count] of queued) {
+    metrics.webhookQueueSize.set({ session }, count);
+  }
+});
+
+router.get('/', async function (req, res) {
+  try {
+    const body = await metrics.registry.render();
+    res.set('Content-Type', CONTENT_TYPE).send(body);
+  } catch (error) {
+    console.error('Erro ao gerar métricas:', error);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
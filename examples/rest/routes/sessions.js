@@ -0,0 +1,239 @@
+// routes/sessions.js
+// Visão geral das sessões para operação — montado em /sessions (admin)
+const express = require('express');
+const prisma = require('../lib/prisma');
+const webhookQueue = require('../lib/webhookQueue');
+const { sendError, fail } = require('../lib/errors');
+const { getProcessTreeMemory } = require('../lib/processStats');
+const { sessionManager, STATES } = require('../lib/sessionManager');
+
+const router = express.Router();
+
+// Campos aceitos em ?sort= → valor usado na ordenação
+const SORT_FIELDS = {
+  session: (s) => s.session,
+  state: (s) => s.state,
+  uptime: (s) => s.uptimeSeconds,
+  lastInbound: (s) => s.lastInboundAt,
+  lastOutbound: (s) => s.lastOutboundAt,
+  queuedWebhooks: (s) => s.queuedWebhooks,
+  memory: (s) => s.chrome?.memoryBytes,
+};
+
+function parseList(value) {
+  if (!value) return null;
+  return String(value)
+    .split(',')
+    .map((v) => v.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+function parseBoolean(value) {
+  if (value === undefined) return null;
+  return ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+}
+
+function iso(date) {
+  return date ? new Date(date).toISOString() : null;
+}
+
+// Valida os filtros/ordenação da query; devolve { error } ou as opções
+function parseQuery(query) {
+  const states = parseList(query.state);
+  const unknown = (states || []).filter((s) => !STATES[s]);
+  if (unknown.length) {
+    return {
+      error: `Estados desconhecidos: ${unknown.join(
+        ', '
+      )}. Válidos: ${Object.keys(STATES).join(', ')}`,
+    };
+  }
+
+  const sort = query.sort || 'session';
+  if (!SORT_FIELDS[sort]) {
+    return {
+      error: `sort inválido. Válidos: ${Object.keys(SORT_FIELDS).join(', ')}`,
+    };
+  }
+
+  const order = String(query.order || 'asc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order deve ser asc ou desc' };
+  }
+
+  let idleMinutes = null;
+  if (query.idleMinutes !== undefined) {
+    idleMinutes = Number(query.idleMinutes);
+    if (!Number.isFinite(idleMinutes) || idleMinutes < 0) {
+      return { error: 'idleMinutes deve ser um número >= 0' };
+    }
+  }
+
+  let userId = null;
+  if (query.userId !== undefined) {
+    userId = Number(query.userId);
+    if (!Number.isInteger(userId)) {
+      return { error: 'userId deve ser um número inteiro' };
+    }
+  }
+
+  return {
+    states,
+    active: parseBoolean(query.active),
+    hasError: parseBoolean(query.hasError),
+    search: query.q ? String(query.q).toLowerCase() : null,
+    idleMinutes,
+    userId,
+    sort,
+    order,
+  };
+}
+
+// Junta o que está em memória (SessionManager) com o que só existe no banco
+// (ex.: sessões pausadas ou que não subiram desde o último boot)
+async function collectSessions() {
+  const [rows, queued] = await Promise.all([
+    prisma.whatsAppSession.findMany({
+      select: {
+        sessionName: true,
+        isActive: true,
+        connectionStatus: true,
+        lastConnected: true,
+        userId: true,
+      },
+    }),
+    webhookQueue.countQueuedBySession(),
+  ]);
+  const rowsByName = new Map(rows.map((row) => [row.sessionName, row]));
+  const records = new Map(sessionManager.list().map((r) => [r.name, r]));
+  const names = new Set([...rowsByName.keys(), ...records.keys()]);
+
+  const pids = new Map();
+  for (const name of records.keys()) {
+    const pid = sessionManager.getBrowserPid(name);
+    if (pid) pids.set(name, pid);
+  }
+  const memory = getProcessTreeMemory([...pids.values()]);
+
+  const now = Date.now();
+  return [...names].map((name) => {
+    const record = records.get(name);
+    const row = rowsByName.get(name);
+    const pid = pids.get(name) || null;
+    const tree = memory?.get(pid);
+    const connected = record?.state === STATES.CONNECTED;
+
+    return {
+      session: name,
+      state: record?.state || row?.connectionStatus || null,
+      loaded: Boolean(record),
+      isActive: row ? row.isActive : null,
+      userId: row?.userId ?? null,
+      wid: record?.wid || null,
+      loginMode: record?.loginMode || null,
+      connectedAt: connected ? iso(record.connectedAt) : null,
+      uptimeSeconds: connected
+        ? Math.floor((now - new Date(record.connectedAt).getTime()) / 1000)
+        : null,
+      lastConnected: iso(row?.lastConnected),
+      lastInboundAt: iso(record?.lastInboundAt),
+      lastOutboundAt: iso(record?.lastOutboundAt),
+      queuedWebhooks: queued.get(name) || 0,
+      chrome: pid
+        ? {
+            pid,
+            memoryBytes: tree?.rssBytes ?? null,
+            processes: tree?.processes ?? null,
+          }
+        : null,
+      error: record?.error || null,
+      message: record?.message || null,
+      updatedAt: iso(record?.updatedAt),
+    };
+  });
+}
+
+function applyFilters(sessions, options) {
+  const now = Date.now();
+  return sessions.filter((s) => {
+    if (options.states && !options.states.includes(s.state)) return false;
+    if (options.active !== null && s.isActive !== options.active) return false;
+    if (options.hasError !== null && Boolean(s.error) !== options.hasError) {
+      return false;
+    }
+    if (options.userId !== null && s.userId !== options.userId) return false;
+    if (
+      options.search &&
+      !s.session.toLowerCase().includes(options.search) &&
+      !(s.wid || '').toLowerCase().includes(options.search)
+    ) {
+      return false;
+    }
+    if (options.idleMinutes !== null) {
+      // Sem mensagens (em nenhum sentido) há pelo menos idleMinutes
+      const last = Math.max(
+        s.lastInboundAt ? Date.parse(s.lastInboundAt) : 0,
+        s.lastOutboundAt ? Date.parse(s.lastOutboundAt) : 0
+      );
+      if (now - last < options.idleMinutes * 60 * 1000) return false;
+    }
+    return true;
+  });
+}
+
+// Valores vazios sempre no fim, em qualquer direção
+function sortSessions(sessions, sort, order) {
+  const value = SORT_FIELDS[sort];
+  const direction = order === 'desc' ? -1 : 1;
+  return sessions.sort((a, b) => {
+    const va = value(a);
+    const vb = value(b);
+    if (va == null && vb == null) return a.session.localeCompare(b.session);
+    if (va == null) return 1;
+    if (vb == null) return -1;
+    if (va < vb) return -direction;
+    if (va > vb) return direction;
+    return a.session.localeCompare(b.session);
+  });
+}
+
+// Lista as sessões (?state=CONNECTED,ERROR&active=&hasError=&userId=&q=
+// &idleMinutes=&sort=&order=)
+router.get('/', async function (req, res) {
+  const options = parseQuery(req.query);
+  if (options.error) {
+    return fail(res, 'VALIDATION_ERROR', options.error);
+  }
+
+  try {
+    const all = await collectSessions();
+    const sessions = sortSessions(
+      applyFilters(all, options),
+      options.sort,
+      options.order
+    );
+
+    const byState = {};
+    for (const s of all) byState[s.state] = (byState[s.state] || 0) + 1;
+
+    res.send({
+      status: true,
+      total: sessions.length,
+      summary: {
+        sessions: all.length,
+        byState,
+        queuedWebhooks: all.reduce((sum, s) => sum + s.queuedWebhooks, 0),
+        chromeMemoryBytes: all.reduce(
+          (sum, s) => sum + (s.chrome?.memoryBytes || 0),
+          0
+        ),
+      },
+      sessions,
+    });
+  } catch (error) {
+    console.error('Erro ao listar sessões:', error);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
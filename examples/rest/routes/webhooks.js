@@ -0,0 +1,173 @@
+// routes/webhooks.js
+// CRUD dos webhooks de uma sessão — montado em /:session/webhooks
+const express = require('express');
+const webhooks = require('../lib/webhooks');
+const webhookSecrets = require('../lib/webhookSecrets');
+const { sendError, fail } = require('../lib/errors');
+
+const router = express.Router({ mergeParams: true });
+
+// Valida url/events do body; devolve a mensagem de erro ou null
+function validateWebhookBody(body, partial = false) {
+  const { url, events } = body || {};
+
+  if (url === undefined && !partial) return 'url é obrigatório';
+  if (url !== undefined && !webhooks.isValidUrl(url)) {
+    return 'url inválida (use http:// ou https://)';
+  }
+
+  const unknown = webhooks.invalidEvents(events);
+  if (unknown.length) {
+    return `Eventos desconhecidos: ${unknown.join(
+      ', '
+    )}. Válidos: ${webhooks.WEBHOOK_EVENTS.join(', ')} ou *`;
+  }
+  return null;
+}
+
+// Lista os webhooks da sessão (e o padrão usado quando não há nenhum)
+router.get('/', async function (req, res) {
+  const sessionName = req.params.session;
+
+  try {
+    const list = await webhooks.listWebhooks(sessionName);
+    res.send({
+      status: true,
+      session: sessionName,
+      webhooks: list,
+      defaultWebhook: webhooks.defaultWebhook,
+      availableEvents: webhooks.WEBHOOK_EVENTS,
+    });
+  } catch (error) {
+    console.error('Erro ao listar webhooks:', error);
+    sendError(res, error);
+  }
+});
+
+// Cadastra um webhook na sessão
+router.post('/', async function (req, res) {
+  const sessionName = req.params.session;
+
+  const invalid = validateWebhookBody(req.body);
+  if (invalid) {
+    return fail(res, 'VALIDATION_ERROR', invalid);
+  }
+
+  try {
+    const webhook = await webhooks.createWebhook(sessionName, req.body);
+    res.status(201).send({ status: true, session: sessionName, webhook });
+  } catch (error) {
+    console.error('Erro ao cadastrar webhook:', error);
+    sendError(res, error);
+  }
+});
+
+// Situação do segredo HMAC da sessão (o valor nunca é devolvido aqui)
+router.get('/secret', async function (req, res) {
+  const sessionName = req.params.session;
+
+  try {
+    const secret = await webhookSecrets.describeSecret(sessionName);
+    res.send({ status: true, session: sessionName, secret });
+  } catch (error) {
+    console.error('Erro ao consultar segredo do webhook:', error);
+    sendError(res, error);
+  }
+});
+
+// Gera um novo segredo (ou usa o informado em { "secret": "..." });
+// o anterior continua assinando durante a carência
+router.post('/secret/rotate', async function (req, res) {
+  const sessionName = req.params.session;
+  const { secret } = req.body || {};
+
+  if (
+    secret !== undefined &&
+    (typeof secret !== 'string' || secret.length < 16)
+  ) {
+    return fail(
+      res,
+      'VALIDATION_ERROR',
+      'secret deve ter pelo menos 16 caracteres'
+    );
+  }
+
+  try {
+    const newSecret = await webhookSecrets.rotateSecret(
+      sessionName,
+      secret || undefined
+    );
+    res.send({
+      status: true,
+      session: sessionName,
+      secret: newSecret,
+      ...(await webhookSecrets.describeSecret(sessionName)),
+      message: 'Guarde o segredo: ele não será exibido novamente',
+    });
+  } catch (error) {
+    console.error('Erro ao rotacionar segredo do webhook:', error);
+    sendError(res, error);
+  }
+});
+
+// Encerra a rotação antes do fim da carência
+router.delete('/secret/previous', async function (req, res) {
+  const sessionName = req.params.session;
+
+  try {
+    const removed = await webhookSecrets.revokePreviousSecret(sessionName);
+    if (!removed) {
+      return fail(res, 'SESSION_NOT_FOUND', 'Sessão não encontrada');
+    }
+    res.send({ status: true, message: 'Segredo anterior revogado' });
+  } catch (error) {
+    console.error('Erro ao revogar segredo anterior:', error);
+    sendError(res, error);
+  }
+});
+
+// Altera url/events/enabled de um webhook
+router.put('/:webhookId', async function (req, res) {
+  const sessionName = req.params.session;
+
+  const invalid = validateWebhookBody(req.body, true);
+  if (invalid) {
+    return fail(res, 'VALIDATION_ERROR', invalid);
+  }
+
+  try {
+    const webhook = await webhooks.updateWebhook(
+      sessionName,
+      req.params.webhookId,
+      req.body
+    );
+    if (!webhook) {
+      return fail(res, 'NOT_FOUND', 'Webhook não encontrado');
+    }
+    res.send({ status: true, session: sessionName, webhook });
+  } catch (error) {
+    console.error('Erro ao alterar webhook:', error);
+    sendError(res, error);
+  }
+});
+
+// Remove um webhook
+router.delete('/:webhookId', async function (req, res) {
+  const sessionName = req.params.session;
+
+  try {
+    const removed = await webhooks.deleteWebhook(
+      sessionName,
+      req.params.webhookId
+    );
+    if (!removed) {
+      return fail(res, 'NOT_FOUND', 'Webhook não encontrado');
+    }
+    res.send({ status: true, message: 'Webhook removido com sucesso' });
+  } catch (error) {
+    console.error('Erro ao remover webhook:', error);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+// tests/common.js
+// Carrega módulos de lib/ com dependências trocadas por stubs (Prisma,
+// wppconnect, sessionStore...), sem abrir banco nem navegador.
+const path = require('path');
+const { before, after } = require('mocha');
+
+const LIB_DIR = path.join(__dirname, '..', 'lib');
+
+// "./prisma" é relativo a lib/; nome de pacote, resolvido a partir dela
+function resolveFromLib(request) {
+  return request.startsWith('.')
+    ? require.resolve(path.join(LIB_DIR, request))
+    : require.resolve(request, { paths: [LIB_DIR] });
+}
+
+/**
+ * Carrega lib/<name>.js do zero com stubs ({ request: exports }). Os stubs
+ * só valem durante o carregamento: o cache volta ao que era depois, então
+ * cada arquivo de teste recebe sua própria instância do módulo.
+ */
+function loadLib(name, stubs = {}) {
+  const saved = new Map();
+  for (const [request, exports] of Object.entries(stubs)) {
+    const file = resolveFromLib(request);
+    saved.set(file, require.cache[file]);
+    require.cache[file] = { id: file, filename: file, loaded: true, exports };
+  }
+  const target = resolveFromLib(`./${name}`);
+  delete require.cache[target];
+  try {
+    return require(target);
+  } finally {
+    delete require.cache[target];
+    for (const [file, entry] of saved) {
+      if (entry) require.cache[file] = entry;
+      else delete require.cache[file];
+    }
+  }
+}
+
+/** Promise controlada de fora ({ promise, resolve, reject }) */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+/** Cala console.log/warn/error (logs dos módulos) durante a suíte atual */
+function silenceConsole() {
+  const original = {};
+  before(function () {
+    for (const method of ['log', 'warn', 'error']) {
+      original[method] = console[method];
+      console[method] = () => {};
+    }
+  });
+  after(function () {
+    Object.assign(console, original);
+  });
+}
+
+module.exports = {
+  loadLib,
+  deferred,
+  silenceConsole,
+};
@@ -0,0 +1,279 @@
+// tests/sessionManager.test.js
+// Máquina de estados das sessões: transições recusadas e a criação única
+// por sessão (pedidos concorrentes não sobem dois Chromes)
+const assert = require('assert');
+const { describe, it, beforeEach } = require('mocha');
+const { loadLib, deferred, silenceConsole } = require('./common');
+
+const persisted = [];
+const sessionStore = {
+  markConnected: (name) => persisted.push([name, 'CONNECTED']),
+  saveConnectionState: (name, state) => persisted.push([name, state]),
+  markInactive: async () => {},
+};
+
+// create() é trocado em cada teste que sobe um client
+const wppconnect = {};
+
+const { SessionManager, InvalidTransitionError, STATES, TRANSITIONS } = loadLib(
+  'sessionManager',
+  {
+    '@wppconnect-team/wppconnect': wppconnect,
+    './sessionStore': sessionStore,
+  }
+);
+
+describe('SessionManager', function () {
+  let manager;
+
+  silenceConsole();
+
+  beforeEach(function () {
+    manager = new SessionManager();
+    persisted.length = 0;
+  });
+
+  // Leva a sessão até state por um caminho válido
+  function reach(name, ...states) {
+    for (const state of states) {
+      assert.strictEqual(manager.transition(name, state, {}, true), true);
+    }
+  }
+
+  describe('TRANSITIONS', function () {
+    it('cobre todos os estados e só aponta para estados conhecidos', function () {
+      const states = Object.values(STATES);
+      assert.deepStrictEqual(Object.keys(TRANSITIONS).sort(), states.sort());
+      for (const next of Object.values(TRANSITIONS)) {
+        for (const state of next) assert.ok(states.includes(state), state);
+      }
+    });
+
+    it('sessão nova só nasce em CREATING', function () {
+      assert.throws(
+        () => manager.transition('s1', STATES.CONNECTED, {}, true),
+        (err) =>
+          err instanceof InvalidTransitionError &&
+          err.from === null &&
+          err.to === STATES.CONNECTED
+      );
+      assert.strictEqual(manager.get('s1'), undefined);
+    });
+
+    it('lança InvalidTransitionError em modo strict', function () {
+      reach('s1', STATES.CREATING, STATES.CLOSED);
+
+      assert.throws(
+        () => manager.transition('s1', STATES.CONNECTED, {}, true),
+        (err) =>
+          err instanceof InvalidTransitionError &&
+          err.sessionName === 's1' &&
+          err.from === STATES.CLOSED &&
+          err.to === STATES.CONNECTED
+      );
+      assert.strictEqual(manager.getState('s1'), STATES.CLOSED);
+    });
+
+    it('ignora a transição inválida fora do modo strict', function () {
+      reach('s1', STATES.CREATING, STATES.ERROR);
+      const events = [];
+      manager.on('state', (...args) => events.push(args));
+
+      // Callbacks do wppconnect não podem lançar: só devolve false
+      assert.strictEqual(manager.transition('s1', STATES.QR_CODE), false);
+      assert.strictEqual(manager.getState('s1'), STATES.ERROR);
+      assert.deepStrictEqual(events, []);
+      assert.deepStrictEqual(persisted, [
+        ['s1', STATES.CREATING],
+        ['s1', STATES.ERROR],
+      ]);
+    });
+
+    it('recusa toda transição fora da tabela', function () {
+      const paths = {
+        [STATES.CREATING]: [STATES.CREATING],
+        [STATES.QR_CODE]: [STATES.CREATING, STATES.QR_CODE],
+        [STATES.PAIRING]: [STATES.CREATING, STATES.PAIRING],
+        [STATES.CONNECTED]: [STATES.CREATING, STATES.CONNECTED],
+        [STATES.DISCONNECTED]: [STATES.CREATING, STATES.DISCONNECTED],
+        [STATES.ERROR]: [STATES.CREATING, STATES.ERROR],
+        [STATES.CLOSED]: [STATES.CREATING, STATES.CLOSED],
+      };
+      for (const [from, path] of Object.entries(paths)) {
+        for (const to of Object.values(STATES)) {
+          if (to === from || TRANSITIONS[from].includes(to)) continue;
+          const name = `${from}-${to}`;
+          reach(name, ...path);
+          assert.throws(
+            () => manager.transition(name, to, {}, true),
+            InvalidTransitionError,
+            `${from} → ${to}`
+          );
+          assert.strictEqual(manager.getState(name), from);
+        }
+      }
+    });
+
+    it('repetir o estado atual só atualiza o registro', function () {
+      reach('s1', STATES.CREATING, STATES.QR_CODE);
+      const events = [];
+      manager.on('state', (...args) => events.push(args));
+
+      assert.strictEqual(
+        manager.transition('s1', STATES.QR_CODE, { qrCode: 'novo' }, true),
+        true
+      );
+      assert.strictEqual(manager.get('s1').qrCode, 'novo');
+      assert.deepStrictEqual(events, []);
+    });
+
+    it('CONNECTED limpa QR e código e é persistido com markConnected', function () {
+      reach('s1', STATES.CREATING);
+      manager.transition('s1', STATES.QR_CODE, { qrCode: 'qr' }, true);
+      const events = [];
+      manager.on('state', (...args) => events.push(args));
+
+      manager.transition('s1', STATES.CONNECTED, {}, true);
+
+      const record = manager.get('s1');
+      assert.strictEqual(record.qrCode, null);
+      assert.strictEqual(record.pairingCode, null);
+      assert.deepStrictEqual(events, [
+        ['s1', STATES.CONNECTED, STATES.QR_CODE],
+      ]);
+      assert.deepStrictEqual(persisted.at(-1), ['s1', 'CONNECTED']);
+    });
+  });
+
+  describe('start', function () {
+    it('pedidos concorrentes reaproveitam a mesma criação', async function () {
+      const creation = deferred();
+      let creates = 0;
+      manager._create = () => {
+        creates++;
+        return creation.promise;
+      };
+
+      const first = manager.start('s1');
+      const second = manager.start('s1');
+      assert.strictEqual(first, second);
+      assert.strictEqual(creates, 1);
+      assert.strictEqual(manager.isStarting('s1'), true);
+      assert.strictEqual(await manager.getOrCreate('s1'), null);
+
+      const client = { id: 'client' };
+      manager.get('s1').client = client;
+      creation.resolve(client);
+      assert.strictEqual(await first, client);
+      assert.strictEqual(manager.isStarting('s1'), false);
+
+      // Com o client pronto, não cria de novo
+      assert.strictEqual(await manager.start('s1'), client);
+      assert.strictEqual(creates, 1);
+    });
+
+    it('libera a sessão quando a criação falha', async function () {
+      manager._create = () => Promise.reject(new Error('Chrome caiu'));
+
+      await assert.rejects(manager.start('s1'), /Chrome caiu/);
+      assert.strictEqual(manager.isStarting('s1'), false);
+    });
+
+    it('recusa iniciar a partir de um estado sem CREATING', async function () {
+      let creates = 0;
+      manager._create = async () => {
+        creates++;
+      };
+      reach('s1', STATES.CREATING, STATES.CONNECTED);
+
+      await assert.rejects(manager.start('s1'), InvalidTransitionError);
+      assert.strictEqual(creates, 0);
+      assert.strictEqual(manager.isStarting('s1'), false);
+      assert.strictEqual(manager.getState('s1'), STATES.CONNECTED);
+    });
+
+    it('sessão encerrada pela API só reabre com start/resume', async function () {
+      let creates = 0;
+      manager._create = async () => {
+        creates++;
+        return null;
+      };
+      reach('s1', STATES.CREATING, STATES.CLOSED);
+
+      assert.strictEqual(await manager.getOrCreate('s1'), null);
+      assert.strictEqual(creates, 0);
+
+      await manager.resume('s1');
+      assert.strictEqual(creates, 1);
+      assert.strictEqual(manager.getState('s1'), STATES.CREATING);
+    });
+  });
+
+  describe('encerramento durante a criação', function () {
+    // Client de mentira: waitForLogin só termina quando o client é fechado
+    function fakeClient() {
+      const login = deferred();
+      return {
+        closes: 0,
+        waitForLogin: () => login.promise,
+        close: async function () {
+          this.closes++;
+          login.reject(new Error('navegador fechado'));
+        },
+      };
+    }
+
+    it('remove mantém o registro CLOSED até fechar o Chrome que subia', async function () {
+      const chrome = deferred();
+      wppconnect.create = () => chrome.promise;
+
+      const creation = manager.start('s1', { restore: true });
+      let removed = false;
+      const removal = manager.remove('s1').then(() => (removed = true));
+      await new Promise((resolve) => setImmediate(resolve));
+
+      // O _create ainda não devolveu o client: a lápide segura a sessão
+      assert.strictEqual(removed, false);
+      assert.strictEqual(manager.getState('s1'), STATES.CLOSED);
+
+      const client = fakeClient();
+      chrome.resolve(client);
+      await assert.rejects(creation, /encerrada durante a criação/);
+      await removal;
+
+      assert.strictEqual(client.closes, 1);
+      assert.strictEqual(manager.get('s1'), undefined);
+      assert.strictEqual(manager.isStarting('s1'), false);
+    });
+
+    it('remove no QR fecha o client do login e esquece a sessão', async function () {
+      const client = fakeClient();
+      wppconnect.create = async () => client;
+
+      const creation = manager.start('s1', { restore: true });
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.strictEqual(manager.loginClients.get('s1'), client);
+
+      await manager.remove('s1');
+      await assert.rejects(creation, /navegador fechado/);
+
+      assert.ok(client.closes >= 1);
+      assert.strictEqual(manager.get('s1'), undefined);
+    });
+
+    it('registro já esquecido conta como encerrado', async function () {
+      const chrome = deferred();
+      wppconnect.create = () => chrome.promise;
+
+      const creation = manager.start('s1', { restore: true });
+      manager.sessions.delete('s1');
+
+      const client = fakeClient();
+      chrome.resolve(client);
+      await assert.rejects(creation, /encerrada durante a criação/);
+
+      assert.strictEqual(client.closes, 1);
+      assert.strictEqual(manager.get('s1'), undefined);
+    });
+  });
+});
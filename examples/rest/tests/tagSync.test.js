@@ -0,0 +1,444 @@
+// tests/tagSync.test.js
+// Sincronização etiquetas ↔ tags: last-write-wins nas alterações de um
+// contato (rota do CRM e onUpdateLabel) e a comparação de três vias da
+// ressincronização, com Prisma em memória e um client falso
+const assert = require('assert');
+const { describe, it, beforeEach } = require('mocha');
+const { loadLib, silenceConsole } = require('./common');
+
+// Só as consultas que tagSync e messageStore fazem
+function createFakePrisma() {
+  const db = {
+    sessions: [],
+    contacts: [],
+    tags: [],
+    links: [],
+    contactTags: [],
+    states: [],
+    logs: [],
+  };
+  let seq = 0;
+  const nextId = () => String(++seq);
+  const tagOf = (row) => {
+    const tag = db.tags.find((t) => t.id === row.tagId);
+    return tag ? { ...tag } : null;
+  };
+  const withTag = (row, include) =>
+    row ? { ...row, ...(include?.tag && { tag: tagOf(row) }) } : null;
+  const sameContactTag = (where) => (row) =>
+    row.contactId === where.contactId && row.tagId === where.tagId;
+
+  return {
+    db,
+    whatsAppSession: {
+      async upsert({ where }) {
+        let session = db.sessions.find(
+          (s) => s.sessionName === where.sessionName
+        );
+        if (!session) {
+          session = { id: nextId(), sessionName: where.sessionName };
+          db.sessions.push(session);
+        }
+        return { id: session.id };
+      },
+    },
+    whatsAppContact: {
+      async upsert({ where, create }) {
+        const { phone, sessionId } = where.phone_sessionId;
+        let contact = db.contacts.find(
+          (c) => c.phone === phone && c.sessionId === sessionId
+        );
+        if (!contact) {
+          contact = { id: nextId(), isGroup: false, ...create };
+          db.contacts.push(contact);
+        }
+        return { id: contact.id };
+      },
+      async findMany({ where }) {
+        return db.contacts
+          .filter((c) => c.sessionId === where.sessionId)
+          .map((c) => ({
+            id: c.id,
+            phone: c.phone,
+            isGroup: c.isGroup,
+            tags: db.contactTags
+              .filter((row) => row.contactId === c.id)
+              .map((row) => ({
+                tagId: row.tagId,
+                createdAt: row.createdAt,
+                tag: tagOf(row),
+              })),
+            tagSyncStates: db.states
+              .filter((row) => row.contactId === c.id)
+              .map((row) => withTag(row, { tag: true })),
+          }))
+          .filter((c) => c.tags.length || c.tagSyncStates.length);
+      },
+    },
+    whatsAppTag: {
+      async findUnique({ where }) {
+        const tag = db.tags.find((t) =>
+          where.id ? t.id === where.id : t.name === where.name
+        );
+        return tag ? { ...tag } : null;
+      },
+      async create({ data }) {
+        const now = new Date();
+        const tag = {
+          id: nextId(),
+          color: '#007bff',
+          createdAt: now,
+          updatedAt: now,
+          ...data,
+        };
+        db.tags.push(tag);
+        return { ...tag };
+      },
+    },
+    whatsAppTagLabel: {
+      async findUnique({ where, include }) {
+        const { sessionId, labelId } = where.sessionId_labelId;
+        const link = db.links.find(
+          (l) => l.sessionId === sessionId && l.labelId === labelId
+        );
+        return withTag(link, include);
+      },
+      async findFirst({ where, include }) {
+        const link = db.links.find(
+          (l) => l.sessionId === where.sessionId && l.tagId === where.tagId
+        );
+        return withTag(link, include);
+      },
+      async findMany({ where, include }) {
+        return db.links
+          .filter((l) => l.sessionId === where.sessionId)
+          .map((l) => withTag(l, include));
+      },
+      async upsert({ where, update, create, include }) {
+        const { sessionId, labelId } = where.sessionId_labelId;
+        let link = db.links.find(
+          (l) => l.sessionId === sessionId && l.labelId === labelId
+        );
+        if (link) Object.assign(link, update, { updatedAt: new Date() });
+        else {
+          link = { id: nextId(), updatedAt: new Date(), ...create };
+          db.links.push(link);
+        }
+        return withTag(link, include);
+      },
+    },
+    whatsAppContactTag: {
+      async upsert({ where, create }) {
+        let row = db.contactTags.find(sameContactTag(where.contactId_tagId));
+        if (!row) {
+          row = { id: nextId(), createdAt: new Date(), ...create };
+          db.contactTags.push(row);
+        }
+        return { ...row };
+      },
+      async deleteMany({ where }) {
+        const before = db.contactTags.length;
+        db.contactTags = db.contactTags.filter(
+          (row) => !sameContactTag(where)(row)
+        );
+        return { count: before - db.contactTags.length };
+      },
+      async findMany({ where }) {
+        return db.contactTags
+          .filter((row) => row.contactId === where.contactId)
+          .map((row) => ({ tag: { name: tagOf(row).name } }));
+      },
+    },
+    whatsAppTagSyncState: {
+      async findUnique({ where }) {
+        const state = db.states.find(sameContactTag(where.contactId_tagId));
+        return state ? { ...state } : null;
+      },
+      async upsert({ where, update, create }) {
+        const state = db.states.find(sameContactTag(where.contactId_tagId));
+        if (state) Object.assign(state, update);
+        else db.states.push({ id: nextId(), ...create });
+      },
+    },
+    whatsAppTagSyncLog: {
+      async create({ data }) {
+        db.logs.push(data);
+      },
+    },
+  };
+}
+
+// Etiquetas do WhatsApp Business e os chats de cada uma
+function createFakeClient(labels) {
+  const chats = new Map(); // chatId → Set(labelId)
+  return {
+    labels,
+    chats,
+    labelsOf: (chatId) => [...(chats.get(chatId) || [])],
+    async getAllLabels() {
+      return labels.map((label) => ({ ...label }));
+    },
+    async listChats({ withLabels: [labelId] }) {
+      return [...chats]
+        .filter(([, ids]) => ids.has(labelId))
+        .map(([chatId]) => ({ id: { _serialized: chatId } }));
+    },
+    async addOrRemoveLabels(chatIds, operations) {
+      for (const chatId of chatIds) {
+        if (!chats.has(chatId)) chats.set(chatId, new Set());
+        for (const { labelId, type } of operations) {
+          chats.get(chatId)[type === 'add' ? 'add' : 'delete'](labelId);
+        }
+      }
+    },
+  };
+}
+
+const SESSION = 's1';
+const ALICE = '5511911111111@c.us';
+const BOB = '5511922222222@c.us';
+const VIP = { id: '1', name: 'VIP', hexColor: '#FF0000' };
+
+const minutesFrom = (date, minutes) =>
+  new Date(date.getTime() + minutes * 60 * 1000);
+
+describe('tagSync', function () {
+  let prisma;
+  let store;
+  let tagSync;
+  let client;
+
+  silenceConsole();
+
+  beforeEach(async function () {
+    prisma = createFakePrisma();
+    store = loadLib('messageStore', { './prisma': prisma });
+    tagSync = loadLib('tagSync', {
+      './prisma': prisma,
+      './messageStore': store,
+      './sessionManager': { sessionManager: {}, STATES: {} },
+    });
+    client = createFakeClient([{ ...VIP }]);
+    // Primeira ressincronização liga a etiqueta à tag de mesmo nome
+    await tagSync.resync(SESSION, client);
+    prisma.db.logs.length = 0;
+  });
+
+  const vipTag = () => prisma.db.tags.find((tag) => tag.name === 'VIP');
+  const contactOf = (chatId) =>
+    prisma.db.contacts.find((c) => `${c.phone}@c.us` === chatId);
+  const crmTags = (chatId) =>
+    prisma.db.contactTags
+      .filter((row) => row.contactId === contactOf(chatId)?.id)
+      .map((row) => prisma.db.tags.find((t) => t.id === row.tagId).name);
+  const stateOf = (chatId) =>
+    prisma.db.states.find(
+      (s) => s.contactId === contactOf(chatId).id && s.tagId === vipTag().id
+    );
+  const outcomes = () =>
+    prisma.db.logs.map((entry) => `${entry.origin}:${entry.outcome}`);
+
+  describe('applyContactTags (CRM → WhatsApp)', function () {
+    it('aplica a tag nos dois lados e grava o estado', async function () {
+      const changedAt = new Date();
+      const result = await tagSync.applyContactTags(SESSION, client, ALICE, {
+        add: ['VIP'],
+        changedAt: changedAt.toISOString(),
+      });
+
+      assert.deepStrictEqual(result.tags, ['VIP']);
+      assert.strictEqual(result.results[0].outcome, 'applied');
+      assert.deepStrictEqual(client.labelsOf(ALICE), [VIP.id]);
+      assert.strictEqual(stateOf(ALICE).present, true);
+      assert.strictEqual(stateOf(ALICE).origin, 'crm');
+      assert.deepStrictEqual(outcomes(), ['crm:applied']);
+    });
+
+    it('ignora alteração mais antiga que a última sincronizada', async function () {
+      const changedAt = new Date();
+      await tagSync.applyContactTags(SESSION, client, ALICE, {
+        add: ['VIP'],
+        changedAt,
+      });
+      prisma.db.logs.length = 0;
+
+      const result = await tagSync.applyContactTags(SESSION, client, ALICE, {
+        remove: ['VIP'],
+        changedAt: minutesFrom(changedAt, -5),
+      });
+
+      assert.strictEqual(result.results[0].outcome, 'ignored');
+      assert.deepStrictEqual(result.tags, ['VIP']);
+      assert.deepStrictEqual(client.labelsOf(ALICE), [VIP.id]);
+      assert.strictEqual(stateOf(ALICE).present, true);
+      assert.deepStrictEqual(outcomes(), ['crm:ignored']);
+      assert.strictEqual(prisma.db.logs[0].before.origin, 'crm');
+    });
+
+    it('aplica alteração mais nova que a última sincronizada', async function () {
+      const changedAt = new Date();
+      await tagSync.applyContactTags(SESSION, client, ALICE, {
+        add: ['VIP'],
+        changedAt,
+      });
+
+      const result = await tagSync.applyContactTags(SESSION, client, ALICE, {
+        remove: ['VIP'],
+        changedAt: minutesFrom(changedAt, 5),
+      });
+
+      assert.strictEqual(result.results[0].outcome, 'applied');
+      assert.deepStrictEqual(result.tags, []);
+      assert.deepStrictEqual(client.labelsOf(ALICE), []);
+      assert.strictEqual(stateOf(ALICE).present, false);
+    });
+
+    it('recusa changedAt inválido', function () {
+      assert.throws(
+        () =>
+          tagSync.applyContactTags(SESSION, client, ALICE, {
+            add: ['VIP'],
+            changedAt: 'ontem',
+          }),
+        (err) => err.code === 'VALIDATION_ERROR'
+      );
+    });
+  });
+
+  describe('handleLabelEvent (WhatsApp → CRM)', function () {
+    const event = (action) => ({ chatId: ALICE, action, labels: [VIP] });
+
+    it('ignora o eco da etiqueta que o próprio CRM aplicou', async function () {
+      await tagSync.applyContactTags(SESSION, client, ALICE, { add: ['VIP'] });
+      prisma.db.logs.length = 0;
+
+      await tagSync.handleLabelEvent(SESSION, client, event('add'));
+
+      assert.deepStrictEqual(outcomes(), []);
+      assert.strictEqual(stateOf(ALICE).origin, 'crm');
+    });
+
+    it('retirada no WhatsApp sai do CRM', async function () {
+      await tagSync.applyContactTags(SESSION, client, ALICE, {
+        add: ['VIP'],
+        changedAt: minutesFrom(new Date(), -1),
+      });
+      prisma.db.logs.length = 0;
+
+      await tagSync.handleLabelEvent(SESSION, client, event('remove'));
+
+      assert.deepStrictEqual(crmTags(ALICE), []);
+      assert.strictEqual(stateOf(ALICE).present, false);
+      assert.strictEqual(stateOf(ALICE).origin, 'whatsapp');
+      assert.deepStrictEqual(outcomes(), ['whatsapp:applied']);
+    });
+
+    it('alteração do CRM anterior ao evento do WhatsApp perde', async function () {
+      await tagSync.handleLabelEvent(SESSION, client, event('add'));
+      assert.deepStrictEqual(crmTags(ALICE), ['VIP']);
+
+      const result = await tagSync.applyContactTags(SESSION, client, ALICE, {
+        remove: ['VIP'],
+        changedAt: minutesFrom(new Date(), -1),
+      });
+
+      assert.strictEqual(result.results[0].outcome, 'ignored');
+      assert.deepStrictEqual(crmTags(ALICE), ['VIP']);
+    });
+  });
+
+  describe('resync', function () {
+    // Tag gravada direto no banco pelo CRM
+    async function tagInCrm(chatId, createdAt = new Date()) {
+      const { id } = await store.ensureContact(SESSION, chatId);
+      prisma.db.contactTags.push({
+        id: `ct-${id}`,
+        contactId: id,
+        tagId: vipTag().id,
+        createdAt,
+      });
+    }
+
+    it('sem estado anterior une os dois lados e não retira nada', async function () {
+      await client.addOrRemoveLabels(
+        [ALICE],
+        [{ labelId: VIP.id, type: 'add' }]
+      );
+      await tagInCrm(BOB);
+
+      const stats = await tagSync.resync(SESSION, client);
+
+      assert.deepStrictEqual(crmTags(ALICE), ['VIP']);
+      assert.deepStrictEqual(client.labelsOf(BOB), [VIP.id]);
+      assert.deepStrictEqual(crmTags(BOB), ['VIP']);
+      assert.strictEqual(stats.applied, 2);
+      assert.strictEqual(stats.failed, 0);
+      assert.deepStrictEqual(outcomes().sort(), [
+        'crm:applied',
+        'whatsapp:applied',
+      ]);
+    });
+
+    it('lados iguais não geram alterações', async function () {
+      await tagSync.applyContactTags(SESSION, client, ALICE, { add: ['VIP'] });
+      prisma.db.logs.length = 0;
+
+      const stats = await tagSync.resync(SESSION, client);
+
+      assert.strictEqual(stats.applied, 0);
+      assert.deepStrictEqual(outcomes(), []);
+    });
+
+    it('vence o WhatsApp quando só ele mudou desde a sincronização', async function () {
+      await tagSync.applyContactTags(SESSION, client, ALICE, { add: ['VIP'] });
+      // Etiqueta retirada com o servidor fora do ar (sem evento)
+      client.chats.get(ALICE).delete(VIP.id);
+
+      await tagSync.resync(SESSION, client);
+
+      assert.deepStrictEqual(crmTags(ALICE), []);
+      assert.deepStrictEqual(client.labelsOf(ALICE), []);
+      assert.strictEqual(stateOf(ALICE).origin, 'whatsapp');
+    });
+
+    it('vence o CRM quando só ele mudou desde a sincronização', async function () {
+      await tagSync.applyContactTags(SESSION, client, ALICE, { add: ['VIP'] });
+      // Tag retirada direto no banco pelo CRM
+      await prisma.whatsAppContactTag.deleteMany({
+        where: { contactId: contactOf(ALICE).id, tagId: vipTag().id },
+      });
+
+      await tagSync.resync(SESSION, client);
+
+      assert.deepStrictEqual(client.labelsOf(ALICE), []);
+      assert.deepStrictEqual(crmTags(ALICE), []);
+      assert.strictEqual(stateOf(ALICE).present, false);
+      assert.strictEqual(stateOf(ALICE).origin, 'crm');
+    });
+
+    it('tag do CRM mais antiga que a retirada no WhatsApp é ignorada', async function () {
+      const now = new Date();
+      await tagSync.applyContactTags(SESSION, client, ALICE, {
+        add: ['VIP'],
+        changedAt: minutesFrom(now, -30),
+      });
+      // Retirada no celular, já sincronizada pelo evento
+      client.chats.get(ALICE).delete(VIP.id);
+      await tagSync.handleLabelEvent(SESSION, client, {
+        chatId: ALICE,
+        action: 'remove',
+        labels: [VIP],
+      });
+      // O CRM regrava a tag com um horário anterior à retirada
+      await tagInCrm(ALICE, minutesFrom(now, -10));
+      prisma.db.logs.length = 0;
+
+      await tagSync.resync(SESSION, client);
+
+      assert.deepStrictEqual(client.labelsOf(ALICE), []);
+      assert.deepStrictEqual(outcomes(), ['crm:ignored']);
+      assert.strictEqual(stateOf(ALICE).present, false);
+      assert.strictEqual(stateOf(ALICE).origin, 'whatsapp');
+    });
+  });
+});
@@ -0,0 +1,180 @@
+// tests/webhookSignature.test.js
+// Assinatura dos webhooks: ida e volta, rotação de segredo e replayGuard
+const assert = require('assert');
+const { describe, it } = require('mocha');
+const {
+  HEADERS,
+  signWebhook,
+  verifyWebhook,
+  createReplayGuard,
+} = require('../lib/webhookSignature');
+
+const body = JSON.stringify({ event: 'received', session: 's1' });
+const eventId = 'evt-1';
+
+describe('webhookSignature', function () {
+  describe('signWebhook/verifyWebhook', function () {
+    it('valida o corpo assinado com o mesmo segredo', function () {
+      const headers = signWebhook({ body, eventId, secrets: ['s3cr3t'] });
+      const check = verifyWebhook({ body, headers, secrets: ['s3cr3t'] });
+
+      assert.strictEqual(check.ok, true);
+      assert.strictEqual(check.eventId, eventId);
+      assert.match(headers[HEADERS.SIGNATURE], /^v1=[0-9a-f]{64}$/);
+    });
+
+    it('aceita o corpo cru como Buffer', function () {
+      const headers = signWebhook({ body, eventId, secrets: ['s3cr3t'] });
+      const check = verifyWebhook({
+        body: Buffer.from(body),
+        headers,
+        secrets: ['s3cr3t'],
+      });
+      assert.strictEqual(check.ok, true);
+    });
+
+    it('recusa corpo alterado, outro segredo ou outro eventId', function () {
+      const headers = signWebhook({ body, eventId, secrets: ['s3cr3t'] });
+
+      const tampered = verifyWebhook({
+        body: body.replace('s1', 's2'),
+        headers,
+        secrets: ['s3cr3t'],
+      });
+      const wrongSecret = verifyWebhook({ body, headers, secrets: ['outro'] });
+      const otherId = verifyWebhook({
+        body,
+        headers: { ...headers, [HEADERS.ID]: 'evt-2' },
+        secrets: ['s3cr3t'],
+      });
+
+      for (const check of [tampered, wrongSecret, otherId]) {
+        assert.strictEqual(check.ok, false);
+        assert.strictEqual(check.reason, 'invalid_signature');
+      }
+    });
+
+    it('recusa headers ausentes', function () {
+      const check = verifyWebhook({ body, headers: {}, secrets: ['s3cr3t'] });
+      assert.strictEqual(check.reason, 'missing_headers');
+    });
+
+    it('recusa timestamp fora da tolerância', function () {
+      const timestamp = Math.floor(Date.now() / 1000) - 10 * 60;
+      const headers = signWebhook({
+        body,
+        eventId,
+        secrets: ['s3cr3t'],
+        timestamp,
+      });
+
+      assert.strictEqual(
+        verifyWebhook({ body, headers, secrets: ['s3cr3t'] }).reason,
+        'timestamp_out_of_tolerance'
+      );
+      assert.strictEqual(
+        verifyWebhook({
+          body,
+          headers,
+          secrets: ['s3cr3t'],
+          toleranceSeconds: 15 * 60,
+        }).ok,
+        true
+      );
+    });
+
+    it('lê headers no formato do fetch (Headers.get)', function () {
+      const signed = signWebhook({ body, eventId, secrets: ['s3cr3t'] });
+      const headers = { get: (name) => signed[name] ?? null };
+      assert.strictEqual(
+        verifyWebhook({ body, headers, secrets: ['s3cr3t'] }).ok,
+        true
+      );
+    });
+  });
+
+  describe('rotação de segredo', function () {
+    it('assina com os dois segredos durante a carência', function () {
+      const headers = signWebhook({
+        body,
+        eventId,
+        secrets: ['novo', 'antigo'],
+      });
+
+      assert.strictEqual(headers[HEADERS.SIGNATURE].split(',').length, 2);
+      // Consumidor ainda com o antigo e consumidor já atualizado
+      assert.strictEqual(
+        verifyWebhook({ body, headers, secrets: ['antigo'] }).ok,
+        true
+      );
+      assert.strictEqual(
+        verifyWebhook({ body, headers, secrets: ['novo'] }).ok,
+        true
+      );
+      assert.strictEqual(
+        verifyWebhook({ body, headers, secrets: ['outro'] }).reason,
+        'invalid_signature'
+      );
+    });
+
+    it('consumidor com os dois segredos aceita a assinatura antiga', function () {
+      const headers = signWebhook({ body, eventId, secrets: ['antigo'] });
+      assert.strictEqual(
+        verifyWebhook({ body, headers, secrets: ['novo', 'antigo'] }).ok,
+        true
+      );
+    });
+
+    it('ignora segredos vazios', function () {
+      const headers = signWebhook({ body, eventId, secrets: ['novo', null] });
+      assert.strictEqual(headers[HEADERS.SIGNATURE].split(',').length, 1);
+      assert.strictEqual(
+        verifyWebhook({ body, headers, secrets: [undefined, 'novo'] }).ok,
+        true
+      );
+    });
+  });
+
+  describe('createReplayGuard', function () {
+    it('verifyWebhook só consulta: o id vale até ser lembrado', function () {
+      const replayGuard = createReplayGuard();
+      const headers = signWebhook({ body, eventId, secrets: ['s3cr3t'] });
+      const verify = () =>
+        verifyWebhook({ body, headers, secrets: ['s3cr3t'], replayGuard });
+
+      // Consumidor falhou (5xx): o retry do mesmo id é processado de novo
+      assert.strictEqual(verify().ok, true);
+      assert.strictEqual(verify().ok, true);
+      assert.strictEqual(replayGuard.has(eventId), false);
+
+      replayGuard.remember(eventId);
+      const replay = verify();
+      assert.strictEqual(replay.ok, false);
+      assert.strictEqual(replay.reason, 'replayed_event');
+    });
+
+    it('assinatura inválida não vira replayed_event', function () {
+      const replayGuard = createReplayGuard();
+      replayGuard.remember(eventId);
+      const headers = signWebhook({ body, eventId, secrets: ['outro'] });
+      assert.strictEqual(
+        verifyWebhook({ body, headers, secrets: ['s3cr3t'], replayGuard })
+          .reason,
+        'invalid_signature'
+      );
+    });
+
+    it('esquece os ids depois do ttl', function () {
+      const replayGuard = createReplayGuard({ ttlMs: 0 });
+      replayGuard.remember(eventId);
+      assert.strictEqual(replayGuard.has(eventId), false);
+    });
+
+    it('guarda cada id separadamente', function () {
+      const replayGuard = createReplayGuard();
+      replayGuard.remember('evt-a');
+      assert.strictEqual(replayGuard.has('evt-a'), true);
+      assert.strictEqual(replayGuard.has('evt-b'), false);
+    });
+  });
+});
@@ -1,7 +1,13 @@
 // workers/campaignWorker.js
+const http = require('http');
 const { PrismaClient } = require('@prisma/client');
 const axios = require('axios');
 const { DateTime } = require('luxon');
+const {
+  CONTENT_TYPE,
+  Registry,
+  registerProcessMetrics,
+} = require('../lib/prometheus');
 
 const prisma = new PrismaClient();
 
@@ -22,6 +28,13 @@ function warn(scope, ...args) {
 const WHATSAPP_EXTERNAL_API =
   process.env.WHATSAPP_EXTERNAL_API || 'http://localhost:3001';
 
+// A API exige API key (uma das API_ADMIN_KEYS ou uma chave do dono das sessões)
+const whatsappApi = axios.create({
+  headers: process.env.WHATSAPP_API_KEY
+    ? { 'X-Api-Key': process.env.WHATSAPP_API_KEY }
+    : {},
+});
+
 // Limite opcional de campanhas em paralelo (0 = ilimitado, “esponja total”)
 const MAX_CAMPAIGN_CONCURRENCY = Number(
   process.env.MAX_CAMPAIGN_CONCURRENCY || 0
@@ -35,6 +48,56 @@ const PROCESSING_TTL_MS = Number(
 // Intervalo do orquestrador
 const ORCHESTRATOR_TICK_MS = Number(process.env.ORCHESTRATOR_TICK_MS || 3000);
 
+// Falhas retryable da API (sessão reconectando, mídia fora do ar...) voltam
+// para pending até esse total de tentativas, com espera crescente
+const SEND_MAX_ATTEMPTS = Number(process.env.CAMPAIGN_SEND_MAX_ATTEMPTS || 3);
+const SEND_RETRY_DELAY_MS = Number(
+  process.env.CAMPAIGN_SEND_RETRY_DELAY_MS || 60 * 1000
+);
+
+// Porta do /metrics (Prometheus) do worker (0 = desativado)
+const CAMPAIGN_WORKER_METRICS_PORT = Number(
+  process.env.CAMPAIGN_WORKER_METRICS_PORT ?? 9464
+);
+
+/** Métricas do worker (servidas em CAMPAIGN_WORKER_METRICS_PORT) */
+const metrics = new Registry();
+registerProcessMetrics(metrics);
+
+const claimsTotal = metrics.counter({
+  name: 'campaign_worker_claims_total',
+  help: 'Tentativas de claim de contato, por resultado (claimed, empty, race).',
+  labelNames: ['result'],
+});
+const dispatchesSent = metrics.counter({
+  name: 'campaign_worker_dispatches_sent_total',
+  help: 'Mensagens de campanha enviadas, por tipo.',
+  labelNames: ['type'],
+});
+const dispatchesFailed = metrics.counter({
+  name: 'campaign_worker_dispatches_failed_total',
+  help: 'Mensagens de campanha que falharam de vez, por tipo e code do erro.',
+  labelNames: ['type', 'code'],
+});
+const dispatchesRetried = metrics.counter({
+  name: 'campaign_worker_dispatches_retried_total',
+  help: 'Falhas retryable devolvidas para pending, por tipo e code do erro.',
+  labelNames: ['type', 'code'],
+});
+const revivedTotal = metrics.counter({
+  name: 'campaign_worker_revived_total',
+  help: 'Mensagens devolvidas para pending após ficarem presas em processing.',
+});
+const leaseDuration = metrics.histogram({
+  name: 'campaign_worker_lease_duration_seconds',
+  help: 'Tempo em que o lote de um contato ficou em processing (claim até o fim dos envios).',
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600],
+});
+const runningCampaignsGauge = metrics.gauge({
+  name: 'campaign_worker_running_campaigns',
+  help: 'Campanhas sendo processadas agora.',
+});
+
 function parsePayload(raw) {
   try {
     const obj = JSON.parse(raw);
@@ -43,6 +106,29 @@ function parsePayload(raw) {
   return { type: 'text', text: String(raw ?? '') };
 }
 
+/**
+ * Falha de envio → { code, message, retryable }. Usa o envelope de erro da
+ * API; sem resposta (API fora do ar, timeout) sempre vale tentar de novo.
+ */
+function describeFailure(err) {
+  const body = err.response?.data;
+  if (body?.code) {
+    return {
+      code: body.code,
+      message: body.message || err.message,
+      retryable: Boolean(body.retryable),
+    };
+  }
+  if (!err.response) {
+    return { code: 'NETWORK_ERROR', message: err.message, retryable: true };
+  }
+  return {
+    code: `HTTP_${err.response.status}`,
+    message: body?.message || err.message,
+    retryable: err.response.status >= 500,
+  };
+}
+
 function filenameFromUrl(u, fallback) {
   try {
     const last = u.split('?')[0].split('/').pop();
@@ -80,6 +166,35 @@ function convertUTCToBrazilTime(utcDate) {
   return brazilDateTime.toJSDate();
 }
 
+/**
+ * Publica o progresso da campanha no stream de eventos da API (/events).
+ * Melhor esforço: exige chave admin e nunca interrompe o envio.
+ */
+async function reportProgress(campaignId, dispatch, contact, status, err) {
+  try {
+    const counts = await prisma.campaignDispatch.groupBy({
+      by: ['status'],
+      where: { campaignId },
+      _count: { _all: true },
+    });
+    const totals = Object.fromEntries(
+      counts.map((c) => [c.status, c._count._all])
+    );
+
+    await whatsappApi.post(`${WHATSAPP_EXTERNAL_API}/events/campaign`, {
+      campaignId,
+      sessionName: dispatch.sessionName,
+      dispatchId: dispatch.id,
+      contact,
+      status,
+      error: err || null,
+      totals,
+    });
+  } catch (e) {
+    warn('PROGRESS', `[${campaignId}] Falha ao publicar progresso:`, e.message);
+  }
+}
+
 /**
  * Obtém a data/hora atual no horário do Brasil
  * @returns {Date} - Data/hora atual no horário do Brasil
@@ -101,6 +216,7 @@ async function reviveStuckProcessing() {
     });
 
     if (res.count > 0) {
+      revivedTotal.inc({}, res.count);
       warn(
         'REVIVE',
         `♻️ Revividas ${res.count} mensagens presas em processing`
@@ -151,6 +267,7 @@ async function claimNextContactBatch(campaignId) {
       });
 
       if (!first) {
+        claimsTotal.inc({ result: 'empty' });
         log(
           'CLAIM',
           `Nenhuma mensagem pendente encontrada na campanha ${campaignId}`
@@ -188,6 +305,7 @@ async function claimNextContactBatch(campaignId) {
 
       if (upd.count === 0) {
         // corrida: alguém pegou antes
+        claimsTotal.inc({ result: 'race' });
         warn(
           'CLAIM',
           `Corrida detectada na campanha ${campaignId}. Outro worker pegou primeiro.`
@@ -196,6 +314,7 @@ async function claimNextContactBatch(campaignId) {
       }
 
       log('CLAIM', `Travadas ${upd.count} mensagens em "processing"`);
+      claimsTotal.inc({ result: 'claimed' });
 
       // Busca SOMENTE o que acabamos de “pegar” (heurística pelo updatedAt >= claimTime)
       const batch = await tx.campaignDispatch.findMany({
@@ -308,6 +427,7 @@ async function processCampaign(campaignId) {
       }
 
       const { contact, contactData, batch } = claim;
+      const endLease = leaseDuration.startTimer();
       const cleanNumber = String(contact).replace(/[^\d]/g, '');
 
       const currentBrazilTime = DateTime.now()
@@ -332,47 +452,57 @@ async function processCampaign(campaignId) {
             `[${campaignId}] Enviando tipo="${payload.type}" para ${cleanNumber} | dispatchId=${dispatch.id}`
           );
 
+          // Mesma chave em toda tentativa: um timeout seguido de retry (ou um
+          // lote revivido) não envia a mensagem duas vezes
+          const requestOptions = {
+            headers: { 'Idempotency-Key': `dispatch-${dispatch.id}` },
+          };
+
           switch (payload.type) {
             case 'image':
-              res = await axios.post(
+              res = await whatsappApi.post(
                 `${WHATSAPP_EXTERNAL_API}/${dispatch.sessionName}/sendimage`,
                 {
                   telnumber: cleanNumber,
                   imagePath: payload.imageUrl,
                   filename: filenameFromUrl(payload.imageUrl, 'imagem.jpg'),
                   caption: payload.text || '',
-                }
+                },
+                requestOptions
               );
               break;
 
             case 'video':
-              res = await axios.post(
+              res = await whatsappApi.post(
                 `${WHATSAPP_EXTERNAL_API}/${dispatch.sessionName}/sendvideo`,
                 {
                   telnumber: cleanNumber,
                   videoPath: payload.videoUrl,
                   filename: filenameFromUrl(payload.videoUrl, 'video.mp4'),
                   caption: payload.text || '',
-                }
+                },
+                requestOptions
               );
               break;
 
             case 'audio':
-              res = await axios.post(
+              res = await whatsappApi.post(
                 `${WHATSAPP_EXTERNAL_API}/${dispatch.sessionName}/sendptt`,
-                { telnumber: cleanNumber, audioPath: payload.audioUrl }
+                { telnumber: cleanNumber, audioPath: payload.audioUrl },
+                requestOptions
               );
               break;
 
             case 'document':
-              res = await axios.post(
+              res = await whatsappApi.post(
                 `${WHATSAPP_EXTERNAL_API}/${dispatch.sessionName}/senddocument`,
                 {
                   telnumber: cleanNumber,
                   filePath: payload.documentUrl,
                   filename: filenameFromUrl(payload.documentUrl, 'documento'),
                   caption: payload.text || '',
-                }
+                },
+                requestOptions
               );
               break;
 
@@ -384,9 +514,10 @@ async function processCampaign(campaignId) {
                 empresa: contactData?.empresa,
               });
 
-              res = await axios.post(
+              res = await whatsappApi.post(
                 `${WHATSAPP_EXTERNAL_API}/${dispatch.sessionName}/sendmessage`,
-                { telnumber: cleanNumber, message: finalMessage }
+                { telnumber: cleanNumber, message: finalMessage },
+                requestOptions
               );
             }
           }
@@ -400,20 +531,56 @@ async function processCampaign(campaignId) {
               'SEND',
               `✅ [${campaignId}] Enviado (${payload.type}) → ${cleanNumber} | dispatchId=${dispatch.id}`
             );
+            dispatchesSent.inc({ type: payload.type });
+            reportProgress(campaignId, dispatch, cleanNumber, 'sent');
           } else {
             throw new Error(res?.data?.message || 'Falha no envio');
           }
         } catch (err) {
+          const failure = describeFailure(err);
+          const attempts = (dispatch.attempts || 0) + 1;
+          const retry = failure.retryable && attempts < SEND_MAX_ATTEMPTS;
+          const reason = `${failure.code}: ${failure.message}`;
           error(
             'SEND',
-            `[${campaignId}] Erro ao enviar para ${cleanNumber} (dispatchId=${dispatch.id}):`,
-            err.message
+            `[${campaignId}] Erro ao enviar para ${cleanNumber} (dispatchId=${dispatch.id}, tentativa ${attempts}/${SEND_MAX_ATTEMPTS}):`,
+            reason
           );
           try {
-            await prisma.campaignDispatch.update({
-              where: { id: dispatch.id },
-              data: { status: 'failed', error: String(err.message || err) },
-            });
+            if (retry) {
+              const delay = SEND_RETRY_DELAY_MS * attempts;
+              await prisma.campaignDispatch.update({
+                where: { id: dispatch.id },
+                data: {
+                  status: 'pending',
+                  attempts,
+                  error: reason,
+                  scheduledAt: new Date(
+                    getCurrentBrazilTime().getTime() + delay
+                  ),
+                },
+              });
+              dispatchesRetried.inc({ type: payload.type, code: failure.code });
+              warn(
+                'SEND',
+                `[${campaignId}] dispatchId=${
+                  dispatch.id
+                } volta para pending em ${Math.ceil(delay / 1000)}s`
+              );
+            } else {
+              await prisma.campaignDispatch.update({
+                where: { id: dispatch.id },
+                data: { status: 'failed', attempts, error: reason },
+              });
+              dispatchesFailed.inc({ type: payload.type, code: failure.code });
+              reportProgress(
+                campaignId,
+                dispatch,
+                cleanNumber,
+                'failed',
+                reason
+              );
+            }
           } catch (e) {
             error('SEND', 'Erro ao marcar como failed:', e.message);
           }
@@ -430,6 +597,7 @@ async function processCampaign(campaignId) {
           await new Promise((resolve) => setTimeout(resolve, delayMs));
         }
       }
+      endLease();
 
       // Delay entre contatos dessa campanha
       if (contactDelayMs > 0) {
@@ -547,6 +715,33 @@ async function orchestrate() {
   }
 }
 
+metrics.onCollect(() => {
+  runningCampaignsGauge.set({}, runningCampaigns.size);
+});
+
+function startMetricsServer() {
+  if (!CAMPAIGN_WORKER_METRICS_PORT) return;
+
+  http
+    .createServer(async (req, res) => {
+      if (req.method !== 'GET' || req.url !== '/metrics') {
+        res.writeHead(404).end();
+        return;
+      }
+      try {
+        const body = await metrics.render();
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPE }).end(body);
+      } catch (err) {
+        error('METRICS', err.message);
+        res.writeHead(500).end();
+      }
+    })
+    .on('error', (err) => error('METRICS', 'Falha no servidor:', err.message))
+    .listen(CAMPAIGN_WORKER_METRICS_PORT, () =>
+      log('METRICS', `/metrics na porta ${CAMPAIGN_WORKER_METRICS_PORT}`)
+    );
+}
+
 /** BOOT */
 log('BOOT', 'WHATSAPP_EXTERNAL_API:', WHATSAPP_EXTERNAL_API);
 log('BOOT', 'MAX_CAMPAIGN_CONCURRENCY:', MAX_CAMPAIGN_CONCURRENCY);
@@ -554,4 +749,5 @@ log('BOOT', 'PROCESSING_TTL_MS:', PROCESSING_TTL_MS);
 log('BOOT', 'ORCHESTRATOR_TICK_MS:', ORCHESTRATOR_TICK_MS);
 log('BOOT', '🧽 CampaignWorker (multi-campanhas paralelas) iniciando...');
 
+startMetricsServer();
 orchestrate();